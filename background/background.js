@@ -9,178 +9,508 @@ if (typeof importScripts === 'function') {
   } catch (e) {
     console.log('Polyfill already loaded or not needed');
   }
+  // Firefox MV2 loads these modules via manifest background.scripts
+  importScripts(
+    '../config/platforms.js',
+    '../config/config.js',
+    '../utils/host-health.js',
+    '../utils/post-url-extractor.js',
+    '../utils/url-transformer.js',
+    '../utils/link-converter.js',
+    '../utils/copy-history.js',
+    '../utils/copy-formats.js'
+  );
 }
 
 console.log('Embed Link Helper background script loaded');
 
-// Default configuration values
-const DEFAULT_CONFIG = {
-  twitter: {
-    enabled: true,
-    targetHostname: "fixvx.com"
-  },
-  instagram: {
-    enabled: true,
-    targetHostname: "kkinstagram.com"
-  },
-  debugLogging: false
-};
+// Periodic probe of the configured target hostnames
+const HEALTH_PROBE_ALARM = 'host-health-probe';
+const HEALTH_PROBE_INTERVAL_MINUTES = 30;
+
+// Keyboard shortcut that copies the embed link of the focused or hovered post (see manifest commands)
+const COPY_POST_COMMAND = 'copy-embed-link';
+
+// Context menu entries on links are named after this prefix and the platform id
+const CONTEXT_MENU_ID_PREFIX = 'copy-embed-link-';
+
+// Context menu entry of the toolbar icon that copies the current page's embed link
+const PAGE_MENU_ID = 'copy-page-embed-link';
+
+// How long the toolbar badge shows the outcome of a copy
+const BADGE_FEEDBACK_MS = 2000;
+
+// Pending context menu rebuild, so rebuilds never interleave their removeAll and create calls
+let contextMenuUpdate = Promise.resolve();
+
+// Pending copy history change, so two copies never overwrite each other's entry
+let copyHistoryUpdate = Promise.resolve();
 
 /**
- * Get the default configuration
- * @returns {Object} Default configuration object
+ * Check if a tab URL belongs to a page that runs content scripts
+ * The manifests match every page host of the registered platforms
+ * @param {string} url - The tab URL
+ * @returns {boolean} True if the URL's hostname is a page host of a registered platform
  */
-function getDefaultConfig() {
-  return JSON.parse(JSON.stringify(DEFAULT_CONFIG)); // Deep clone
+function isContentScriptUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return PlatformRegistry.findPlatformByHostname(hostname) !== null;
+  } catch (error) {
+    return false;
+  }
 }
 
 /**
- * Validate a hostname string
- * @param {string} hostname - The hostname to validate
- * @returns {boolean} True if valid, false otherwise
+ * Get the target hostnames of the enabled platforms
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Hostnames in platform order, without duplicates
  */
-function validateHostname(hostname) {
-  if (!hostname || typeof hostname !== 'string') {
-    return false;
+function getConfiguredTargetHostnames(config) {
+  const hostnames = new Set();
+
+  for (const platformKey of PlatformRegistry.getPlatformIds()) {
+    if (config[platformKey].enabled) {
+      HostHealth.getTargetHostnames(config[platformKey]).forEach(hostname => hostnames.add(hostname));
+    }
   }
 
-  hostname = hostname.trim();
+  return [...hostnames];
+}
+
+/**
+ * Get the host permission patterns needed to probe the configured target hostnames
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Origin patterns, without duplicates
+ */
+function getHealthCheckOrigins(config) {
+  const origins = getConfiguredTargetHostnames(config)
+    .map(hostname => HostHealth.getHealthCheckOrigin(config.healthCheckEndpoint, hostname))
+    .filter(Boolean);
+  return [...new Set(origins)];
+}
 
-  if (hostname.length === 0) {
+/**
+ * Check if the extension may read the health check response of a hostname
+ * Host permissions for target hosts are optional and granted from the options page
+ * @param {string} endpoint - Health check endpoint template
+ * @param {string} hostname - The hostname to check
+ * @returns {Promise<boolean>} True if the host permission is granted
+ */
+async function hasHealthCheckAccess(endpoint, hostname) {
+  const origin = HostHealth.getHealthCheckOrigin(endpoint, hostname);
+  if (!origin || !browser.permissions) {
     return false;
   }
 
-  if (hostname.includes('://')) {
+  try {
+    return await browser.permissions.contains({ origins: [origin] });
+  } catch (error) {
     return false;
   }
+}
 
-  if (hostname.includes('/')) {
-    return false;
+/**
+ * Probe every target hostname of the enabled platforms
+ * Hosts the extension has no permission for are not probed: their entry has
+ * healthy: null, and failover treats them as up. Results are kept in
+ * storage.local so content scripts can skip hosts that are down
+ * @returns {Promise<Object>} Map of hostname to health entry
+ */
+async function probeConfiguredHosts() {
+  const config = await Config.getConfig();
+  const hostnames = getConfiguredTargetHostnames(config);
+
+  const probedHostnames = [];
+  for (const hostname of hostnames) {
+    if (await hasHealthCheckAccess(config.healthCheckEndpoint, hostname)) {
+      probedHostnames.push(hostname);
+    }
   }
 
-  const validHostnameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/;
-  if (!validHostnameRegex.test(hostname)) {
-    return false;
+  const probed = await HostHealth.probeHosts(probedHostnames, config.healthCheckEndpoint);
+  const hostHealth = Object.fromEntries(hostnames.map(hostname => [
+    hostname,
+    probed[hostname] || { healthy: null, status: null, checkedAt: Date.now() }
+  ]));
+  await browser.storage.local.set({ hostHealth });
+
+  const downHosts = hostnames.filter(hostname => hostHealth[hostname].healthy === false);
+  if (downHosts.length > 0) {
+    console.warn('Target hosts marked as down:', downHosts);
   }
 
-  if (hostname.includes('..')) {
-    return false;
+  return hostHealth;
+}
+
+/**
+ * Probe target hostnames now and schedule periodic probes
+ */
+function scheduleHealthProbe() {
+  probeConfiguredHosts().catch(error => {
+    console.error('Error probing target hosts:', error);
+  });
+
+  if (browser.alarms) {
+    browser.alarms.create(HEALTH_PROBE_ALARM, { periodInMinutes: HEALTH_PROBE_INTERVAL_MINUTES });
   }
+}
 
-  return true;
+/**
+ * Get the link URL patterns of a platform for its context menu entry
+ * Match patterns cannot express post paths, so links are matched by host and
+ * checked against the post URL pattern when the entry is clicked
+ * @param {Object} definition - Platform definition from the registry
+ * @returns {Array<string>} Match patterns for the platform's page and short-link hosts
+ */
+function getLinkUrlPatterns(definition) {
+  const hosts = [...definition.hosts, ...(definition.shortLinks ? definition.shortLinks.hosts : [])];
+  return hosts.map(host => `*://${host}/*`);
 }
 
 /**
- * Validate a complete configuration object
- * @param {Object} config - Configuration object to validate
- * @returns {boolean} True if valid, false otherwise
+ * Get the toolbar action API: action in Manifest V3, browserAction in Manifest V2
+ * @returns {Object|undefined} The action API
  */
-function validateConfig(config) {
-  if (!config || typeof config !== 'object') {
-    return false;
+function getActionApi() {
+  return browser.action || browser.browserAction;
+}
+
+/**
+ * Show the outcome of a copy on the toolbar icon of a tab for a moment
+ * @param {number} tabId - The tab
+ * @param {boolean} success - Whether the link was copied
+ */
+async function showBadgeFeedback(tabId, success) {
+  const actionApi = getActionApi();
+  if (!actionApi) {
+    return;
   }
 
-  if (config.twitter) {
-    if (typeof config.twitter.enabled !== 'boolean') {
-      return false;
-    }
-    if (config.twitter.targetHostname && !validateHostname(config.twitter.targetHostname)) {
-      return false;
-    }
+  await actionApi.setBadgeBackgroundColor({ tabId, color: success ? '#388e3c' : '#d32f2f' });
+  await actionApi.setBadgeText({ tabId, text: success ? '✓' : '✗' });
+
+  setTimeout(() => {
+    actionApi.setBadgeText({ tabId, text: '' }).catch(() => {
+      // The tab was closed in the meantime
+    });
+  }, BADGE_FEEDBACK_MS);
+}
+
+/**
+ * Rebuild the "Copy embed link" context menu entries for the enabled platforms
+ * and the toolbar icon's entry for the current page
+ * @returns {Promise<void>} Resolves once the entries are registered
+ */
+function updateContextMenus() {
+  if (!browser.contextMenus) {
+    return Promise.resolve();
   }
 
-  if (config.instagram) {
-    if (typeof config.instagram.enabled !== 'boolean') {
-      return false;
-    }
-    if (config.instagram.targetHostname && !validateHostname(config.instagram.targetHostname)) {
-      return false;
-    }
+  contextMenuUpdate = contextMenuUpdate
+    .then(async () => {
+      const config = await Config.getConfig();
+      await browser.contextMenus.removeAll();
+
+      browser.contextMenus.create({
+        id: PAGE_MENU_ID,
+        title: 'Copy embed link for this page',
+        contexts: [browser.action ? 'action' : 'browser_action']
+      });
+
+      for (const platformKey of PlatformRegistry.getPlatformIds()) {
+        if (config[platformKey].enabled) {
+          browser.contextMenus.create({
+            id: `${CONTEXT_MENU_ID_PREFIX}${platformKey}`,
+            title: 'Copy embed link',
+            contexts: ['link'],
+            targetUrlPatterns: getLinkUrlPatterns(PlatformRegistry.getPlatform(platformKey))
+          });
+        }
+      }
+    })
+    .catch(error => {
+      console.error('Error updating context menus:', error);
+    });
+
+  return contextMenuUpdate;
+}
+
+/**
+ * Read the copied embed links from storage.local
+ * @returns {Promise<Array<Object>>} History entries, newest first
+ */
+async function getCopyHistory() {
+  const key = CopyHistory.COPY_HISTORY_STORAGE_KEY;
+  const result = await browser.storage.local.get(key);
+  return Array.isArray(result[key]) ? result[key] : [];
+}
+
+/**
+ * Change the stored copy history
+ * Changes run one after another since each one reads the list before writing it
+ * @param {Function} update - Receives the history and returns the new one
+ * @returns {Promise<Array<Object>>} The new history
+ */
+function updateCopyHistory(update) {
+  const result = copyHistoryUpdate.then(async () => {
+    const history = update(await getCopyHistory());
+    await browser.storage.local.set({ [CopyHistory.COPY_HISTORY_STORAGE_KEY]: history });
+    return history;
+  });
+
+  copyHistoryUpdate = result.catch(() => {
+    // The next change reads the history again
+  });
+  return result;
+}
+
+/**
+ * Add a copied embed link to the history, unless the user turned history off
+ * @param {Object} copy - The copy: { originalUrl, transformedUrl, platform, timestamp }
+ * @returns {Promise<boolean>} True if the copy was recorded
+ */
+async function recordCopy(copy) {
+  const config = await Config.getConfig();
+  if (!config.keepCopyHistory) {
+    return false;
+  }
+
+  const entry = CopyHistory.createHistoryEntry(copy);
+  if (!entry) {
+    console.warn('Not recording invalid copy:', copy);
+    return false;
   }
 
+  await updateCopyHistory(history => CopyHistory.addHistoryEntry(history, entry));
   return true;
 }
 
 /**
- * Get configuration from browser storage
- * Falls back to default configuration if storage is empty or fails
- * @returns {Promise<Object>} Configuration object
+ * Forget every copied link once the user or a policy turns history off
  */
-async function getStoredConfig() {
-  try {
-    const result = await browser.storage.sync.get('config');
-    
-    // If no config in storage, return default
-    if (!result.config) {
-      return getDefaultConfig();
-    }
+async function clearCopyHistoryIfDisabled() {
+  const config = await Config.getConfig();
+  if (!config.keepCopyHistory) {
+    await updateCopyHistory(() => []);
+  }
+}
 
-    // Validate retrieved config
-    if (!validateConfig(result.config)) {
-      console.warn('Invalid config in storage, using defaults');
-      return getDefaultConfig();
-    }
+/**
+ * Write text to the clipboard on behalf of a tab
+ * Background pages can write directly; service workers have no clipboard, so
+ * the text is written from the tab the context menu was opened in. An HTML
+ * version is added as a text/html flavor where ClipboardItem is supported
+ * @param {string} text - Text to copy
+ * @param {Object} tab - The tab the context menu was opened in
+ * @param {string} [html] - HTML version of the text
+ */
+async function writeClipboardText(text, tab, html) {
+  // Runs in the tab for service workers, so it may only use its arguments
+  const write = (value, htmlValue) => (typeof htmlValue === 'string' && navigator.clipboard.write &&
+    typeof ClipboardItem !== 'undefined'
+    ? navigator.clipboard.write([new ClipboardItem({
+      'text/plain': new Blob([value], { type: 'text/plain' }),
+      'text/html': new Blob([htmlValue], { type: 'text/html' })
+    })])
+    : navigator.clipboard.writeText(value));
 
-    // Merge with defaults to ensure all fields exist
-    const defaultConfig = getDefaultConfig();
-    return {
-      twitter: {
-        ...defaultConfig.twitter,
-        ...result.config.twitter
-      },
-      instagram: {
-        ...defaultConfig.instagram,
-        ...result.config.instagram
-      },
-      debugLogging: result.config.debugLogging !== undefined ? result.config.debugLogging : defaultConfig.debugLogging
-    };
-  } catch (error) {
-    console.error('Error retrieving config from storage:', error);
-    return getDefaultConfig();
+  if (typeof window !== 'undefined' && navigator.clipboard) {
+    await write(text, html);
+    return;
   }
+
+  await browser.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: write,
+    args: [text, html || null]
+  });
 }
 
 /**
- * Save configuration to browser storage
- * @param {Object} config - Configuration object to save
- * @returns {Promise<void>}
- * @throws {Error} If config is invalid or storage operation fails
+ * Copy the embed link of a linked post or of a post's own page
+ * Uses the same post URL validation, healthy hostname selection and copy format
+ * as the share menu items; formatted copies only know the author named in the URL
+ * @param {string} linkUrl - URL of the link, or of the tab for the current page
+ * @param {Object} tab - The tab the context menu was opened in
+ * @returns {Promise<string|null>} The copied link, or null if the link is not a supported post
  */
-async function saveStoredConfig(config) {
-  // Validate config before saving
-  if (!validateConfig(config)) {
-    throw new Error('Invalid configuration: validation failed');
+async function copyEmbedLink(linkUrl, tab) {
+  const { platformId, postUrl, error } = LinkConverter.findPostPlatform(linkUrl);
+  if (error) {
+    console.warn('Not copying embed link:', error);
+    return null;
+  }
+
+  const config = await Config.getConfig();
+  if (!config[platformId].enabled) {
+    console.warn('Not copying embed link:', `${platformId} is disabled`);
+    return null;
   }
 
+  const result = await browser.storage.local.get('hostHealth');
+  const hostname = HostHealth.selectHealthyHostname(
+    HostHealth.getTargetHostnames(config[platformId]),
+    result.hostHealth
+  );
+
+  const { url, error: convertError } = LinkConverter.convertPostUrl(linkUrl, config, hostname);
+  if (convertError) {
+    console.warn('Not copying embed link:', convertError);
+    return null;
+  }
+
+  const details = PostUrlExtractor.extractPostDetails(null, postUrl, platformId);
+  const { text, html } = CopyFormats.renderCopyFormat(config[platformId].copyFormat, { url, ...details });
+  await writeClipboardText(text, tab, html);
+
+  recordCopy({ originalUrl: postUrl, transformedUrl: url, platform: platformId }).catch(error => {
+    console.error('Error recording copy:', error);
+  });
+  return url;
+}
+
+/**
+ * Copy the embed link of the post a tab shows, such as a single tweet or an
+ * Instagram /p/<code>/ page, and show the outcome on the toolbar icon
+ * @param {Object} tab - The tab
+ * @returns {Promise<string|null>} The copied link, or null if the page is not a supported post
+ */
+async function copyPageEmbedLink(tab) {
+  let url = null;
   try {
-    await browser.storage.sync.set({ config });
+    url = await copyEmbedLink(tab.url, tab);
   } catch (error) {
-    console.error('Error saving config to storage:', error);
-    throw new Error(`Failed to save configuration: ${error.message}`);
+    console.error('Error copying embed link:', error);
   }
+
+  await showBadgeFeedback(tab.id, Boolean(url));
+  return url;
 }
 
 /**
  * Initialize extension with default configuration on install
+ * and migrate the stored configuration on update
  */
 browser.runtime.onInstalled.addListener(async (details) => {
   console.log('Extension installed/updated:', details.reason);
   
   try {
+    // Upgrade configs stored by the previous version, keeping a backup
+    if (details.reason === 'update') {
+      await Config.runConfigMigrations();
+    }
+
     // Check if config already exists
     const result = await browser.storage.sync.get('config');
     
     // Only set default config if none exists
     if (!result.config) {
       console.log('Initializing default configuration');
-      await saveStoredConfig(getDefaultConfig());
+      await Config.saveConfig(Config.getDefaultConfig());
     }
+
+    scheduleHealthProbe();
+    updateContextMenus();
   } catch (error) {
     console.error('Error during initialization:', error);
     // Even if initialization fails, extension will use defaults at runtime
   }
 });
 
+/**
+ * Probe target hosts when the browser starts and on every alarm
+ */
+browser.runtime.onStartup.addListener(() => {
+  scheduleHealthProbe();
+  updateContextMenus();
+});
+
+if (browser.alarms) {
+  browser.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === HEALTH_PROBE_ALARM) {
+      probeConfiguredHosts().catch(error => {
+        console.error('Error probing target hosts:', error);
+      });
+    }
+  });
+}
+
+/**
+ * An organization policy change may replace the target hostnames, re-probe them
+ * Any settings change may turn platforms on or off, so the context menu follows it,
+ * or turn the copy history off, which clears it
+ */
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (!changes.config) {
+    return;
+  }
+
+  if (areaName === 'managed') {
+    probeConfiguredHosts().catch(error => {
+      console.error('Error probing target hosts:', error);
+    });
+  }
+
+  if (areaName === 'managed' || areaName === 'sync') {
+    updateContextMenus();
+    clearCopyHistoryIfDisabled().catch(error => {
+      console.error('Error clearing copy history:', error);
+    });
+  }
+});
+
+/**
+ * Copy the embed link of a supported post link on any site, or of the current
+ * page from the toolbar icon's menu
+ */
+if (browser.contextMenus) {
+  browser.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === PAGE_MENU_ID) {
+      copyPageEmbedLink(tab).catch(error => {
+        console.error('Error showing copy feedback:', error);
+      });
+      return;
+    }
+
+    if (typeof info.menuItemId !== 'string' || !info.menuItemId.startsWith(CONTEXT_MENU_ID_PREFIX)) {
+      return;
+    }
+
+    copyEmbedLink(info.linkUrl, tab).catch(error => {
+      console.error('Error copying embed link:', error);
+    });
+  });
+}
+
+/**
+ * Ask the active tab's content script to copy the embed link of the post under
+ * the cursor or keyboard focus
+ * @returns {Promise<Object|null>} The content script's response, or null if the tab has none
+ */
+async function copyFocusedPostInActiveTab() {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url || !isContentScriptUrl(tab.url)) {
+    return null;
+  }
+
+  const response = await browser.tabs.sendMessage(tab.id, { action: 'copyFocusedPost' });
+  if (response && !response.success) {
+    console.log('Keyboard shortcut copied nothing:', response.error);
+  }
+  return response || null;
+}
+
+if (browser.commands) {
+  browser.commands.onCommand.addListener((command) => {
+    if (command === COPY_POST_COMMAND) {
+      copyFocusedPostInActiveTab().catch(error => {
+        console.error('Error handling keyboard shortcut:', error);
+      });
+    }
+  });
+}
+
 /**
  * Message handler for communication with popup and content scripts
  */
@@ -189,16 +519,35 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // Handle getConfig action
   if (message.action === 'getConfig') {
-    getStoredConfig()
-      .then(config => {
-        sendResponse({ success: true, config });
+    Promise.all([Config.getConfig(), Config.getManagedConfig()])
+      .then(([config, managedConfig]) => {
+        // Settings set by an organization policy are shown locked in the popup
+        sendResponse({ success: true, config, managedPaths: Config.getManagedPaths(managedConfig) });
       })
       .catch(error => {
         console.error('Error handling getConfig:', error);
         sendResponse({ 
           success: false, 
           error: error.message,
-          config: getDefaultConfig() // Fallback to defaults
+          config: Config.getDefaultConfig() // Fallback to defaults
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle getStoredConfig action (the configuration saved by the user, without the organization policy)
+  if (message.action === 'getStoredConfig') {
+    Promise.all([Config.getStoredConfig(), Config.getManagedConfig()])
+      .then(([config, managedConfig]) => {
+        sendResponse({ success: true, config, managedPaths: Config.getManagedPaths(managedConfig) });
+      })
+      .catch(error => {
+        console.error('Error handling getStoredConfig:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
         });
       });
     
@@ -216,18 +565,24 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return false;
     }
 
-    saveStoredConfig(message.data)
+    // Settings set by an organization policy keep the user's own stored value
+    Promise.all([Config.getStoredConfig(), Config.getManagedConfig()])
+      .then(([storedConfig, managedConfig]) => Config.saveConfig(
+        Config.restoreManagedSettings(message.data, storedConfig, managedConfig)
+      ))
       .then(async () => {
-        // Broadcast config update to all tabs (Requirements 6.1, 6.2, 6.3)
+        // Broadcast config update to all tabs (Requirements 6.1, 6.2, 6.3), with
+        // the saved settings validated and the organization policy applied
         try {
+          const config = await Config.getConfig();
           const tabs = await browser.tabs.query({});
           for (const tab of tabs) {
-            // Only send to tabs with content scripts (Twitter/X and Instagram)
-            if (tab.url && (tab.url.includes('x.com') || tab.url.includes('instagram.com'))) {
+            // Only send to tabs with content scripts
+            if (tab.url && isContentScriptUrl(tab.url)) {
               try {
                 await browser.tabs.sendMessage(tab.id, {
                   action: 'configUpdated',
-                  config: message.data
+                  config
                 });
               } catch (error) {
                 // Tab might not have content script loaded yet, ignore
@@ -240,10 +595,134 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
           // Don't fail the save operation if broadcast fails
         }
         
+        // Target hostnames may have changed, re-probe them
+        probeConfiguredHosts().catch(error => {
+          console.error('Error probing target hosts:', error);
+        });
+        
         sendResponse({ success: true });
       })
       .catch(error => {
         console.error('Error handling saveConfig:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message,
+          errors: error.errors || []
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle getHealthyHostname action
+  if (message.action === 'getHealthyHostname') {
+    browser.storage.local.get('hostHealth')
+      .then(result => {
+        const hostname = HostHealth.selectHealthyHostname(message.hostnames, result.hostHealth);
+        sendResponse({ success: true, hostname });
+      })
+      .catch(error => {
+        console.error('Error handling getHealthyHostname:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle getDiagnostics action (options page)
+  if (message.action === 'getDiagnostics') {
+    Promise.all([browser.storage.local.get('hostHealth'), Config.getManagedConfig(), Config.getConfig()])
+      .then(([result, managedConfig, config]) => {
+        sendResponse({
+          success: true,
+          diagnostics: {
+            version: browser.runtime.getManifest().version,
+            schemaVersion: Config.CONFIG_SCHEMA_VERSION,
+            managedPaths: Config.getManagedPaths(managedConfig),
+            hostHealth: result.hostHealth || {},
+            healthCheckOrigins: getHealthCheckOrigins(config)
+          }
+        });
+      })
+      .catch(error => {
+        console.error('Error handling getDiagnostics:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle probeHosts action (options page)
+  if (message.action === 'probeHosts') {
+    probeConfiguredHosts()
+      .then(hostHealth => {
+        sendResponse({ success: true, hostHealth });
+      })
+      .catch(error => {
+        console.error('Error handling probeHosts:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle recordCopy action (content scripts and popup, after a successful copy)
+  if (message.action === 'recordCopy') {
+    recordCopy(message.copy)
+      .then(recorded => {
+        sendResponse({ success: true, recorded });
+      })
+      .catch(error => {
+        console.error('Error handling recordCopy:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle getCopyHistory action (popup)
+  if (message.action === 'getCopyHistory') {
+    getCopyHistory()
+      .then(history => {
+        sendResponse({ success: true, history });
+      })
+      .catch(error => {
+        console.error('Error handling getCopyHistory:', error);
+        sendResponse({ 
+          success: false, 
+          error: error.message 
+        });
+      });
+    
+    // Return true to indicate async response
+    return true;
+  }
+
+  // Handle deleteCopyHistoryEntry action (popup)
+  if (message.action === 'deleteCopyHistoryEntry') {
+    updateCopyHistory(history => CopyHistory.removeHistoryEntry(history, message.id))
+      .then(history => {
+        sendResponse({ success: true, history });
+      })
+      .catch(error => {
+        console.error('Error handling deleteCopyHistoryEntry:', error);
         sendResponse({ 
           success: false, 
           error: error.message 
@@ -0,0 +1,233 @@
+/**
+ * Background Script Tests
+ * Drives the background script's context menus, keyboard shortcut and copy history
+ * through the browser API, with the configuration and host health shared with the
+ * extension pages
+ */
+
+const Config = require('../config/config');
+const { createStorageArea, waitFor, setupExtension } = require('../test/extension-harness');
+
+describe('Background Script', () => {
+  const { sendBackgroundMessage, onBackgroundStorageChanged, onContextMenuClicked, onCommand } = setupExtension();
+
+  describe('Context menu on post links', () => {
+    let copiedText;
+
+    beforeEach(() => {
+      browser.contextMenus.create.mockClear();
+      copiedText = null;
+      Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: jest.fn(async (text) => { copiedText = text; }) }
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+    });
+
+    /**
+     * Click "Copy embed link" on a link and wait for the background to handle it
+     * @param {string} platform - Platform of the menu entry
+     * @param {string} linkUrl - URL of the link
+     */
+    async function clickMenuEntry(platform, linkUrl) {
+      onContextMenuClicked({ menuItemId: `copy-embed-link-${platform}`, linkUrl }, { id: 1 });
+      await waitFor(() => copiedText !== null || console.warn.mock.calls.length > 0);
+    }
+
+    test('an entry is registered for the page and short-link hosts of each enabled platform', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.instagram.enabled = false;
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      onBackgroundStorageChanged({ config: { newValue: stored } }, 'sync');
+      await waitFor(() => browser.contextMenus.create.mock.calls.length === 5);
+
+      expect(browser.contextMenus.removeAll).toHaveBeenCalled();
+      const [pageEntry, ...entries] = browser.contextMenus.create.mock.calls.map(([entry]) => entry);
+      expect(pageEntry).toEqual({
+        id: 'copy-page-embed-link',
+        title: 'Copy embed link for this page',
+        contexts: ['browser_action']
+      });
+      expect(entries.map(entry => entry.id)).toEqual([
+        'copy-embed-link-twitter',
+        'copy-embed-link-tiktok',
+        'copy-embed-link-reddit',
+        'copy-embed-link-bluesky'
+      ]);
+      expect(entries[0]).toMatchObject({ title: 'Copy embed link', contexts: ['link'] });
+      expect(entries[0].targetUrlPatterns).toContain('*://mobile.twitter.com/*');
+      expect(entries[1].targetUrlPatterns).toContain('*://vm.tiktok.com/*');
+      expect(entries[2].targetUrlPatterns).toContain('*://redd.it/*');
+    });
+
+    test('clicking an entry copies the transformed link', async () => {
+      await clickMenuEntry('twitter', 'https://twitter.com/jack/status/20');
+      expect(copiedText).toBe('https://fixvx.com/jack/status/20');
+
+      copiedText = null;
+      await clickMenuEntry('reddit', 'https://redd.it/abc123');
+      expect(copiedText).toBe('https://rxddit.com/comments/abc123');
+    });
+
+    test('clicking an entry copies in the platform\'s copy format', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.copyFormat = 'markdown';
+      stored.tiktok.copyFormat = 'spoiler';
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await clickMenuEntry('twitter', 'https://x.com/jack/status/20');
+      expect(copiedText).toBe('[@jack](https://fixvx.com/jack/status/20)');
+
+      copiedText = null;
+      await clickMenuEntry('tiktok', 'https://www.tiktok.com/@scout2015/video/6718335390845095173');
+      expect(copiedText).toBe('||https://vxtiktok.com/@scout2015/video/6718335390845095173||');
+    });
+
+    test('clicking an entry skips target hosts that are down', async () => {
+      browser.storage.local = createStorageArea({
+        hostHealth: { 'kkinstagram.com': { healthy: false, checkedAt: Date.now() } }
+      });
+
+      await clickMenuEntry('instagram', 'https://www.instagram.com/p/C0ffee12345/');
+      expect(copiedText).toBe('https://ddinstagram.com/p/C0ffee12345/');
+    });
+
+    test('disabled platforms copy nothing', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.enabled = false;
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await clickMenuEntry('twitter', 'https://x.com/jack/status/20');
+      expect(copiedText).toBeNull();
+    });
+
+    test('links that are not a single post copy nothing', async () => {
+      await clickMenuEntry('twitter', 'https://x.com/jack');
+
+      expect(copiedText).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('Not copying embed link:', 'This is not a link to a single Twitter/X post.');
+    });
+  });
+
+  describe('Toolbar icon menu', () => {
+    let copiedText;
+
+    beforeEach(() => {
+      browser.browserAction.setBadgeText.mockClear();
+      copiedText = null;
+      Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: jest.fn(async (text) => { copiedText = text; }) }
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+    });
+
+    test('the toolbar icon entry copies the link of the post page in the tab', async () => {
+      onContextMenuClicked({ menuItemId: 'copy-page-embed-link' }, { id: 3, url: 'https://x.com/jack/status/20' });
+      await waitFor(() => browser.browserAction.setBadgeText.mock.calls.length > 0);
+
+      expect(copiedText).toBe('https://fixvx.com/jack/status/20');
+      expect(browser.browserAction.setBadgeText).toHaveBeenCalledWith({ tabId: 3, text: '✓' });
+
+      copiedText = null;
+      browser.browserAction.setBadgeText.mockClear();
+      onContextMenuClicked({ menuItemId: 'copy-page-embed-link' }, { id: 4, url: 'https://www.instagram.com/p/C0ffee12345/' });
+      await waitFor(() => browser.browserAction.setBadgeText.mock.calls.length > 0);
+
+      expect(copiedText).toBe('https://kkinstagram.com/p/C0ffee12345/');
+    });
+
+    test('the toolbar icon entry shows an error badge on pages that are not a single post', async () => {
+      onContextMenuClicked({ menuItemId: 'copy-page-embed-link' }, { id: 5, url: 'https://x.com/home' });
+      await waitFor(() => browser.browserAction.setBadgeText.mock.calls.length > 0);
+
+      expect(copiedText).toBeNull();
+      expect(browser.browserAction.setBadgeText).toHaveBeenCalledWith({ tabId: 5, text: '✗' });
+    });
+  });
+
+  describe('Copy history', () => {
+    beforeEach(() => {
+      Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: jest.fn().mockResolvedValue() }
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+    });
+
+    /**
+     * Report a copy to the background script the way a content script does
+     * @param {number} id - Tweet id
+     * @returns {Promise<Object>} The background script's response
+     */
+    function recordTweetCopy(id) {
+      return sendBackgroundMessage({
+        action: 'recordCopy',
+        copy: {
+          originalUrl: `https://x.com/jack/status/${id}`,
+          transformedUrl: `https://fixvx.com/jack/status/${id}`,
+          platform: 'twitter',
+          timestamp: Date.now()
+        }
+      });
+    }
+
+    test('copies are stored newest first in storage.local, capped and without duplicates', async () => {
+      for (let id = 1; id <= 55; id++) {
+        expect(await recordTweetCopy(id)).toEqual({ success: true, recorded: true });
+      }
+      await recordTweetCopy(30);
+
+      const { copyHistory } = await browser.storage.local.get('copyHistory');
+      expect(copyHistory).toHaveLength(50);
+      expect(copyHistory[0].transformedUrl).toBe('https://fixvx.com/jack/status/30');
+      expect(copyHistory[1].transformedUrl).toBe('https://fixvx.com/jack/status/55');
+      expect(copyHistory.filter(entry => entry.transformedUrl.endsWith('/30'))).toHaveLength(1);
+
+      const invalid = await sendBackgroundMessage({
+        action: 'recordCopy',
+        copy: { originalUrl: 'https://x.com/jack/status/1', transformedUrl: 'not a url', platform: 'twitter' }
+      });
+      expect(invalid).toEqual({ success: true, recorded: false });
+    });
+
+    test('context menu copies are recorded', async () => {
+      onContextMenuClicked({ menuItemId: 'copy-embed-link-twitter', linkUrl: 'https://twitter.com/jack/status/20' }, { id: 1 });
+      await waitFor(() => browser.storage.local.set.mock.calls.length > 0);
+
+      const { copyHistory } = await browser.storage.local.get('copyHistory');
+      expect(copyHistory).toEqual([expect.objectContaining({
+        originalUrl: 'https://twitter.com/jack/status/20',
+        transformedUrl: 'https://fixvx.com/jack/status/20',
+        platform: 'twitter'
+      })]);
+    });
+  });
+
+  test('the keyboard shortcut asks the active post tab to copy its focused post', async () => {
+    browser.tabs.query = jest.fn().mockResolvedValue([{ id: 7, url: 'https://x.com/home' }]);
+    browser.tabs.sendMessage = jest.fn().mockResolvedValue({ success: true });
+
+    onCommand('copy-embed-link');
+    await waitFor(() => browser.tabs.sendMessage.mock.calls.length > 0);
+
+    expect(browser.tabs.query).toHaveBeenCalledWith({ active: true, currentWindow: true });
+    expect(browser.tabs.sendMessage).toHaveBeenCalledWith(7, { action: 'copyFocusedPost' });
+
+    browser.tabs.query = jest.fn().mockResolvedValue([{ id: 8, url: 'https://example.com/' }]);
+    onCommand('copy-embed-link');
+    await waitFor(() => browser.tabs.query.mock.calls.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(browser.tabs.sendMessage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -46,6 +46,7 @@ const filesToCopy = [
   'background',
   'content',
   'popup',
+  'options',
   'config',
   'utils',
   'lib',
@@ -1,27 +1,85 @@
 /**
  * Configuration Management Module
  * Handles default configuration, storage operations, and validation
+ *
+ * This is the only implementation of the configuration logic. Content scripts
+ * load it via the manifest, the popup via popup.html and the background script
+ * via importScripts (Chrome) or background.scripts (Firefox)
  */
 
+// The platform registry is loaded ahead of this file; under Node require it directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('./platforms');
+}
+
+/**
+ * Get the platform registry of the current context
+ * Content scripts and the popup expose it on window, the service worker on self
+ * @returns {Object} The PlatformRegistry module
+ */
+function getPlatformRegistry() {
+  return typeof window !== 'undefined' ? window.PlatformRegistry : self.PlatformRegistry;
+}
+
+// Version of the stored configuration shape
+// Bump it and add a step to CONFIG_MIGRATIONS whenever the shape changes
+const CONFIG_SCHEMA_VERSION = 2;
+
+// Default health check endpoint; {hostname} is replaced by each target hostname
+const DEFAULT_HEALTH_CHECK_ENDPOINT = 'https://{hostname}/';
+
+// Query policy modes understood by UrlTransformer.applyQueryPolicy
+const QUERY_POLICY_MODES = ['keep-all', 'strip-all', 'strip-tracking', 'allowlist'];
+
+// Default query policy: drop tracking parameters such as s, t, igsh and utm_*
+const DEFAULT_QUERY_POLICY = { mode: 'strip-tracking', allowlist: [] };
+
+// Clipboard output formats understood by CopyFormats.renderCopyFormat
+const COPY_FORMATS = ['url', 'markdown', 'html', 'bbcode', 'spoiler'];
+
+/**
+ * Build the default configuration from the platform registry
+ * Every registered platform is enabled and targets its default hostname,
+ * falling back to the platform's alternative hosts in order, injects the
+ * default "Copy embed link" menu item, copies the plain link and has no
+ * rewrite rules, translation or inline post buttons. Copied links are kept in
+ * the popup's history
+ * @returns {Object} Default configuration object
+ */
+function buildDefaultConfig() {
+  const config = {};
+
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    const definition = getPlatformRegistry().getPlatform(platformId);
+    config[platformId] = {
+      enabled: true,
+      targetHostname: definition.defaultTargetHostname,
+      fallbackHostnames: [...(definition.fallbackTargetHostnames || [])],
+      menuItems: getPlatformRegistry().DEFAULT_MENU_ITEMS.map(item => ({ ...item })),
+      queryPolicy: { ...DEFAULT_QUERY_POLICY, allowlist: [] },
+      rewriteRules: [],
+      translateTo: '',
+      inlineButton: false,
+      copyFormat: 'url'
+    };
+  }
+
+  config.healthCheckEndpoint = DEFAULT_HEALTH_CHECK_ENDPOINT;
+  config.debugLogging = false;
+  config.keepCopyHistory = true;
+  config.schemaVersion = CONFIG_SCHEMA_VERSION;
+  return config;
+}
+
 // Default configuration values
-const DEFAULT_CONFIG = {
-  twitter: {
-    enabled: true,
-    targetHostname: "fixvx.com"
-  },
-  instagram: {
-    enabled: true,
-    targetHostname: "kkinstagram.com"
-  },
-  debugLogging: false
-};
+const DEFAULT_CONFIG = buildDefaultConfig();
 
 /**
  * Get the default configuration
  * @returns {Object} Default configuration object
  */
 function getDefaultConfig() {
-  return JSON.parse(JSON.stringify(DEFAULT_CONFIG)); // Deep clone
+  return buildDefaultConfig();
 }
 
 /**
@@ -68,76 +126,556 @@ function validateHostname(hostname) {
 }
 
 /**
- * Validate a complete configuration object
- * @param {Object} config - Configuration object to validate
+ * Validate a health check endpoint template
+ * Must be an http(s) URL containing the {hostname} placeholder
+ * @param {string} endpoint - The endpoint template to validate
  * @returns {boolean} True if valid, false otherwise
  */
-function validateConfig(config) {
-  if (!config || typeof config !== 'object') {
+function validateHealthCheckEndpoint(endpoint) {
+  if (typeof endpoint !== 'string' || !endpoint.includes('{hostname}')) {
     return false;
   }
 
-  // Validate twitter configuration
-  if (config.twitter) {
-    if (typeof config.twitter.enabled !== 'boolean') {
+  try {
+    const url = new URL(endpoint.replace(/\{hostname\}/g, 'example.com'));
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a platform's query policy
+ * @param {Object} queryPolicy - Policy: { mode, allowlist }
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateQueryPolicy(queryPolicy) {
+  if (!queryPolicy || typeof queryPolicy !== 'object' || !QUERY_POLICY_MODES.includes(queryPolicy.mode)) {
+    return false;
+  }
+
+  // Parameter names: letters, digits and _ . - [ ]
+  return queryPolicy.allowlist === undefined ||
+    (Array.isArray(queryPolicy.allowlist) &&
+     queryPolicy.allowlist.every(name => typeof name === 'string' && /^[A-Za-z0-9_.\-\[\]]+$/.test(name)));
+}
+
+/**
+ * Validate a platform's list of rewrite rules
+ * Each rule needs a compilable match pattern; hostname, path and query are
+ * optional templates, and the hostname must stay a valid hostname once expanded
+ * @param {Array<Object>} rewriteRules - Rewrite rules ({ match, hostname, path, query }), in priority order
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateRewriteRules(rewriteRules) {
+  if (!Array.isArray(rewriteRules)) {
+    return false;
+  }
+
+  return rewriteRules.every(rule => {
+    if (!rule || typeof rule !== 'object' || typeof rule.match !== 'string' || rule.match.length === 0) {
       return false;
     }
-    // If targetHostname is present (even if empty), validate it
-    if (config.twitter.targetHostname !== undefined && !validateHostname(config.twitter.targetHostname)) {
+    if (['hostname', 'path', 'query'].some(field => rule[field] !== undefined && typeof rule[field] !== 'string')) {
       return false;
     }
-  }
 
-  // Validate instagram configuration
-  if (config.instagram) {
-    if (typeof config.instagram.enabled !== 'boolean') {
+    try {
+      new RegExp(rule.match);
+    } catch (error) {
       return false;
     }
-    // If targetHostname is present (even if empty), validate it
-    if (config.instagram.targetHostname !== undefined && !validateHostname(config.instagram.targetHostname)) {
-      return false;
+
+    // Check the hostname template with placeholders filled in
+    return rule.hostname === undefined ||
+      validateHostname(rule.hostname.replace(/\{hostname\}/g, 'example.com').replace(/\$(\d{1,2}|<\w+>)/g, 'x'));
+  });
+}
+
+/**
+ * Validate a "translate embeds to" language code
+ * An empty string turns translation off
+ * @param {string} languageCode - Language code such as 'en' or 'pt-br'
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateLanguageCode(languageCode) {
+  return typeof languageCode === 'string' &&
+    (languageCode === '' || /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(languageCode));
+}
+
+// Longest label accepted for an injected menu item
+const MAX_MENU_ITEM_LABEL_LENGTH = 60;
+
+/**
+ * Validate a platform's list of menu items
+ * Each item needs a label and may pick an icon, a copy format and its own target hostname
+ * @param {Array<Object>} menuItems - Menu item configurations, in injection order
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateMenuItems(menuItems) {
+  if (!Array.isArray(menuItems)) {
+    return false;
+  }
+
+  return menuItems.every(item => item !== null && typeof item === 'object' &&
+    typeof item.label === 'string' &&
+    item.label.trim().length > 0 &&
+    item.label.length <= MAX_MENU_ITEM_LABEL_LENGTH &&
+    (item.icon === undefined || Object.prototype.hasOwnProperty.call(getPlatformRegistry().MENU_ITEM_ICONS, item.icon)) &&
+    (item.format === undefined || COPY_FORMATS.includes(item.format)) &&
+    (item.targetHostname === undefined || validateHostname(item.targetHostname)));
+}
+
+/**
+ * Create a validation error entry
+ * @param {string} path - Path of the invalid field (e.g. 'twitter.fallbackHostnames[1]')
+ * @param {string} code - Machine-readable error code (e.g. 'invalid_hostname')
+ * @param {string} message - Human-readable message
+ * @returns {Object} Error entry: { path, code, message }
+ */
+function createConfigError(path, code, message) {
+  return { path, code, message };
+}
+
+/**
+ * Collect the validation errors of one platform's configuration
+ * @param {Object} platformConfig - Platform configuration (e.g. config.twitter)
+ * @param {string} platformId - Registered platform identifier
+ * @returns {Array<Object>} Error entries: { path, code, message }
+ */
+function getPlatformConfigErrors(platformConfig, platformId) {
+  const name = getPlatformRegistry().getPlatform(platformId).displayName;
+  const errors = [];
+
+  if (typeof platformConfig !== 'object') {
+    return [createConfigError(platformId, 'invalid_type', `${name} settings must be an object.`)];
+  }
+  if (typeof platformConfig.enabled !== 'boolean') {
+    errors.push(createConfigError(`${platformId}.enabled`, 'invalid_type', `${name} must be enabled or disabled.`));
+  }
+
+  // If targetHostname is present (even if empty), validate it
+  if (platformConfig.targetHostname !== undefined && !validateHostname(platformConfig.targetHostname)) {
+    errors.push(createConfigError(`${platformId}.targetHostname`, 'invalid_hostname',
+      `Invalid ${name} hostname. Please enter a hostname without protocol or paths.`));
+  }
+
+  if (platformConfig.fallbackHostnames !== undefined) {
+    if (!Array.isArray(platformConfig.fallbackHostnames)) {
+      errors.push(createConfigError(`${platformId}.fallbackHostnames`, 'invalid_type', `${name} fallback hostnames must be a list.`));
+    } else {
+      platformConfig.fallbackHostnames.forEach((hostname, index) => {
+        if (!validateHostname(hostname)) {
+          errors.push(createConfigError(`${platformId}.fallbackHostnames[${index}]`, 'invalid_hostname',
+            `Invalid ${name} fallback hostname "${hostname}". Please enter a hostname without protocol or paths.`));
+        }
+      });
     }
   }
 
-  return true;
+  if (platformConfig.menuItems !== undefined) {
+    if (!Array.isArray(platformConfig.menuItems)) {
+      errors.push(createConfigError(`${platformId}.menuItems`, 'invalid_type', `${name} menu items must be a list.`));
+    } else {
+      platformConfig.menuItems.forEach((item, index) => {
+        if (!validateMenuItems([item])) {
+          errors.push(createConfigError(`${platformId}.menuItems[${index}]`, 'invalid_menu_item',
+            `${name} menu item ${index + 1} needs a label of at most ${MAX_MENU_ITEM_LABEL_LENGTH} characters, a known icon and format and a valid hostname.`));
+        }
+      });
+    }
+  }
+
+  if (platformConfig.queryPolicy !== undefined && !validateQueryPolicy(platformConfig.queryPolicy)) {
+    errors.push(createConfigError(`${platformId}.queryPolicy`, 'invalid_query_policy',
+      `Invalid ${name} query policy. Choose ${QUERY_POLICY_MODES.join(', ')} and list parameter names only.`));
+  }
+
+  if (platformConfig.rewriteRules !== undefined) {
+    if (!Array.isArray(platformConfig.rewriteRules)) {
+      errors.push(createConfigError(`${platformId}.rewriteRules`, 'invalid_type', `${name} rewrite rules must be a list.`));
+    } else {
+      platformConfig.rewriteRules.forEach((rule, index) => {
+        if (!validateRewriteRules([rule])) {
+          errors.push(createConfigError(`${platformId}.rewriteRules[${index}]`, 'invalid_rewrite_rule',
+            `${name} rewrite rule ${index + 1} needs a valid regular expression and a target with a valid hostname.`));
+        }
+      });
+    }
+  }
+
+  if (platformConfig.translateTo !== undefined && !validateLanguageCode(platformConfig.translateTo)) {
+    errors.push(createConfigError(`${platformId}.translateTo`, 'invalid_language_code',
+      `Invalid ${name} language code. Please enter a code such as en or pt-br.`));
+  }
+
+  if (platformConfig.inlineButton !== undefined && typeof platformConfig.inlineButton !== 'boolean') {
+    errors.push(createConfigError(`${platformId}.inlineButton`, 'invalid_type',
+      `The ${name} inline button must be turned on or off.`));
+  }
+
+  if (platformConfig.copyFormat !== undefined && !COPY_FORMATS.includes(platformConfig.copyFormat)) {
+    errors.push(createConfigError(`${platformId}.copyFormat`, 'invalid_copy_format',
+      `Invalid ${name} copy format. Choose ${COPY_FORMATS.join(', ')}.`));
+  }
+
+  return errors;
+}
+
+/**
+ * Collect the validation errors of a complete configuration object
+ * @param {Object} config - Configuration object to validate
+ * @returns {Array<Object>} Error entries: { path, code, message }; empty if the config is valid
+ */
+function getConfigErrors(config) {
+  if (!config || typeof config !== 'object') {
+    return [createConfigError('', 'invalid_type', 'The configuration must be an object.')];
+  }
+
+  // Validate each registered platform's configuration
+  const errors = [];
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    if (config[platformId]) {
+      errors.push(...getPlatformConfigErrors(config[platformId], platformId));
+    }
+  }
+
+  if (config.healthCheckEndpoint !== undefined && !validateHealthCheckEndpoint(config.healthCheckEndpoint)) {
+    errors.push(createConfigError('healthCheckEndpoint', 'invalid_health_check_endpoint',
+      'Invalid health check endpoint. Please enter an http(s) URL containing {hostname}.'));
+  }
+  if (config.debugLogging !== undefined && typeof config.debugLogging !== 'boolean') {
+    errors.push(createConfigError('debugLogging', 'invalid_type', 'Debug logging must be turned on or off.'));
+  }
+  if (config.keepCopyHistory !== undefined && typeof config.keepCopyHistory !== 'boolean') {
+    errors.push(createConfigError('keepCopyHistory', 'invalid_type', 'Copy history must be turned on or off.'));
+  }
+  if (config.schemaVersion !== undefined && (!Number.isInteger(config.schemaVersion) || config.schemaVersion < 1)) {
+    errors.push(createConfigError('schemaVersion', 'invalid_schema_version', 'The schema version must be a positive integer.'));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a complete configuration object
+ * Use getConfigErrors to find out which fields are invalid
+ * @param {Object} config - Configuration object to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateConfig(config) {
+  return getConfigErrors(config).length === 0;
+}
+
+/**
+ * Repair a hostname stored by an earlier version
+ * Strips a protocol, path or port and surrounding whitespace, and lowercases it
+ * @param {*} hostname - Stored hostname
+ * @returns {string|null} The repaired hostname or null if it cannot be used
+ */
+function repairLegacyHostname(hostname) {
+  if (typeof hostname !== 'string') {
+    return null;
+  }
+
+  const repaired = hostname.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[/?#:]/)[0];
+  return validateHostname(repaired) ? repaired : null;
+}
+
+/**
+ * Migrate a version 1 (unversioned) configuration to version 2
+ * Version 1 background scripts stored empty or malformed hostnames that later
+ * validation rejects, which made getConfig drop every setting. Hostnames are
+ * repaired where possible and removed otherwise so the defaults fill them in
+ * @param {Object} config - Version 1 configuration
+ * @returns {Object} Version 2 configuration
+ */
+function migrateToVersion2(config) {
+  const migrated = { ...config };
+
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    if (!config[platformId] || typeof config[platformId] !== 'object') {
+      delete migrated[platformId];
+      continue;
+    }
+
+    const platformConfig = { ...config[platformId] };
+    if (typeof platformConfig.enabled !== 'boolean') {
+      platformConfig.enabled = platformConfig.enabled !== 'false' && platformConfig.enabled !== 0;
+    }
+
+    const targetHostname = repairLegacyHostname(platformConfig.targetHostname);
+    if (targetHostname) {
+      platformConfig.targetHostname = targetHostname;
+    } else {
+      delete platformConfig.targetHostname;
+    }
+
+    if (Array.isArray(platformConfig.fallbackHostnames)) {
+      platformConfig.fallbackHostnames = platformConfig.fallbackHostnames.map(repairLegacyHostname).filter(Boolean);
+    } else {
+      delete platformConfig.fallbackHostnames;
+    }
+
+    migrated[platformId] = platformConfig;
+  }
+
+  if (typeof migrated.debugLogging !== 'boolean') {
+    delete migrated.debugLogging;
+  }
+
+  return migrated;
+}
+
+/**
+ * Configuration migrations, in order
+ * Each step upgrades a configuration from the previous version to its version.
+ * Configurations stored without a schemaVersion are version 1
+ */
+const CONFIG_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Repair or remove hostnames that fail validation',
+    migrate: migrateToVersion2
+  }
+];
+
+/**
+ * Upgrade a stored configuration to the current schema version, step by step
+ * @param {Object} config - Stored configuration object
+ * @returns {Object} { config, fromVersion, toVersion, migrated }
+ */
+function migrateConfig(config) {
+  const fromVersion = Number.isInteger(config.schemaVersion) ? config.schemaVersion : 1;
+
+  if (fromVersion > CONFIG_SCHEMA_VERSION) {
+    console.warn(`[config] Stored config has schema version ${fromVersion}, newer than ${CONFIG_SCHEMA_VERSION}`);
+    return { config, fromVersion, toVersion: fromVersion, migrated: false };
+  }
+
+  let migratedConfig = config;
+  for (const step of CONFIG_MIGRATIONS) {
+    if (step.version > fromVersion) {
+      migratedConfig = { ...step.migrate(migratedConfig), schemaVersion: step.version };
+    }
+  }
+
+  return {
+    config: migratedConfig,
+    fromVersion,
+    toVersion: CONFIG_SCHEMA_VERSION,
+    migrated: fromVersion < CONFIG_SCHEMA_VERSION
+  };
+}
+
+/**
+ * Merge a configuration over a base configuration, platform by platform
+ * Fields missing from the override keep the base value; lists are replaced as a whole
+ * @param {Object} baseConfig - Complete configuration (e.g. the defaults)
+ * @param {Object} overrideConfig - Partial configuration whose fields win
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(baseConfig, overrideConfig) {
+  const mergedConfig = {};
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    mergedConfig[platformId] = {
+      ...baseConfig[platformId],
+      ...overrideConfig[platformId]
+    };
+  }
+  for (const key of ['healthCheckEndpoint', 'debugLogging', 'keepCopyHistory', 'schemaVersion']) {
+    mergedConfig[key] = overrideConfig[key] !== undefined ? overrideConfig[key] : baseConfig[key];
+  }
+  return mergedConfig;
+}
+
+/**
+ * Remove the settings named by validation errors from a partial configuration
+ * Invalid list entries (e.g. twitter.menuItems[2]) are removed from their list
+ * and the rest of the list is kept; any other invalid field is removed whole,
+ * so merging over a base configuration restores its base value
+ * @param {Object} config - Partial configuration object
+ * @param {Array<Object>} errors - Entries from getConfigErrors
+ * @returns {Object} A copy of the configuration without the invalid settings
+ */
+function dropInvalidFields(config, errors) {
+  const repaired = { ...config };
+  const invalidEntries = {};
+
+  for (const { path } of errors) {
+    const [, key, field, index] = path.match(/^([^.[]+)(?:\.([^[]+))?(?:\[(\d+)\])?$/) || [];
+    if (!key || repaired[key] === undefined) {
+      continue;
+    }
+    if (!field || typeof repaired[key] !== 'object') {
+      delete repaired[key];
+    } else if (index !== undefined && Array.isArray(repaired[key][field])) {
+      const listPath = `${key}.${field}`;
+      invalidEntries[listPath] = invalidEntries[listPath] || { key, field, indexes: new Set() };
+      invalidEntries[listPath].indexes.add(Number(index));
+    } else {
+      repaired[key] = { ...repaired[key] };
+      delete repaired[key][field];
+    }
+  }
+
+  for (const { key, field, indexes } of Object.values(invalidEntries)) {
+    if (repaired[key] && Array.isArray(repaired[key][field])) {
+      repaired[key] = { ...repaired[key], [field]: repaired[key][field].filter((entry, index) => !indexes.has(index)) };
+    }
+  }
+
+  return repaired;
+}
+
+/**
+ * Keep only the valid settings of an organization policy
+ * Unknown keys and invalid fields are dropped so one mistake does not unlock every setting
+ * @param {Object} policy - Configuration object from storage.managed
+ * @returns {Object} Partial configuration holding the valid policy settings
+ */
+function sanitizeManagedConfig(policy) {
+  const defaultConfig = getDefaultConfig();
+  const managedConfig = {};
+
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    const platformPolicy = policy[platformId];
+    if (!platformPolicy || typeof platformPolicy !== 'object' || Array.isArray(platformPolicy)) {
+      continue;
+    }
+    managedConfig[platformId] = {};
+    for (const field of Object.keys(defaultConfig[platformId])) {
+      if (platformPolicy[field] !== undefined) {
+        managedConfig[platformId][field] = platformPolicy[field];
+      }
+    }
+  }
+  for (const key of ['healthCheckEndpoint', 'debugLogging', 'keepCopyHistory']) {
+    if (policy[key] !== undefined) {
+      managedConfig[key] = policy[key];
+    }
+  }
+
+  const errors = getConfigErrors(mergeConfig(defaultConfig, managedConfig));
+  for (const error of errors) {
+    console.warn(`[config] Ignoring invalid managed setting ${error.path}: ${error.message}`);
+  }
+
+  return dropInvalidFields(managedConfig, errors);
+}
+
+/**
+ * Get the settings enforced by the organization through managed storage
+ * Chrome reads them from enterprise policy (see config/managed-schema.json),
+ * Firefox from a managed storage manifest
+ * @returns {Promise<Object>} Partial configuration, empty if no policy is set
+ */
+async function getManagedConfig() {
+  try {
+    if (!browser.storage.managed) {
+      return {};
+    }
+
+    const result = await browser.storage.managed.get('config');
+    if (!result.config || typeof result.config !== 'object' || Array.isArray(result.config)) {
+      return {};
+    }
+    return sanitizeManagedConfig(result.config);
+  } catch (error) {
+    // Firefox rejects when no managed storage manifest is installed
+    return {};
+  }
+}
+
+/**
+ * List the settings set by an organization policy
+ * @param {Object} managedConfig - Partial configuration from getManagedConfig
+ * @returns {Array<string>} Setting paths (e.g. 'twitter.targetHostname', 'debugLogging')
+ */
+function getManagedPaths(managedConfig) {
+  const paths = [];
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    for (const field of Object.keys(managedConfig[platformId] || {})) {
+      paths.push(`${platformId}.${field}`);
+    }
+  }
+  for (const key of ['healthCheckEndpoint', 'debugLogging', 'keepCopyHistory']) {
+    if (managedConfig[key] !== undefined) {
+      paths.push(key);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Put the user's own stored values back into the settings an organization policy sets
+ * Pages edit the configuration with the policy merged in; saving it unchanged
+ * would keep the policy's values in storage.sync after the policy is removed
+ * @param {Object} config - Configuration about to be saved
+ * @param {Object} storedConfig - Configuration saved by the user (see getStoredConfig)
+ * @param {Object} managedConfig - Partial configuration from getManagedConfig
+ * @returns {Object} A copy of the configuration holding the stored value of every managed setting
+ */
+function restoreManagedSettings(config, storedConfig, managedConfig) {
+  const restored = { ...config };
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    const managedFields = Object.keys(managedConfig[platformId] || {});
+    if (managedFields.length > 0 && restored[platformId]) {
+      restored[platformId] = { ...restored[platformId] };
+      for (const field of managedFields) {
+        restored[platformId][field] = storedConfig[platformId][field];
+      }
+    }
+  }
+  for (const key of ['healthCheckEndpoint', 'debugLogging', 'keepCopyHistory']) {
+    if (managedConfig[key] !== undefined) {
+      restored[key] = storedConfig[key];
+    }
+  }
+  return restored;
 }
 
 /**
  * Get configuration from browser storage
- * Falls back to default configuration if storage is empty or fails
+ * Settings enforced by an organization policy take priority over the stored ones
  * @returns {Promise<Object>} Configuration object
  */
 async function getConfig() {
+  const storedConfig = await getStoredConfig();
+  return mergeConfig(storedConfig, await getManagedConfig());
+}
+
+/**
+ * Get the configuration saved by the user
+ * Invalid stored settings (e.g. a value written by a newer version) are
+ * reported and replaced by their defaults; every other stored setting is kept.
+ * Falls back to the default configuration if storage is empty or fails
+ * @returns {Promise<Object>} Configuration object
+ */
+async function getStoredConfig() {
   try {
     // Use browser namespace (provided by polyfill in Chrome, native in Firefox)
     const result = await browser.storage.sync.get('config');
     
     // If no config in storage, return default
-    if (!result.config) {
+    if (!result.config || typeof result.config !== 'object' || Array.isArray(result.config)) {
       return getDefaultConfig();
     }
 
-    // Validate retrieved config
-    if (!validateConfig(result.config)) {
-      console.warn('Invalid config in storage, using defaults');
-      return getDefaultConfig();
+    // Upgrade configs stored by earlier versions that were not migrated yet
+    const { config: migratedConfig } = migrateConfig(result.config);
+
+    // Drop only the settings that fail validation
+    const errors = getConfigErrors(migratedConfig);
+    const storedConfig = dropInvalidFields(migratedConfig, errors);
+    for (const error of errors) {
+      console.warn(`[config] Ignoring invalid stored setting ${error.path}: ${error.message}`);
     }
 
     // Merge with defaults to ensure all fields exist
-    const defaultConfig = getDefaultConfig();
-    const mergedConfig = {
-      twitter: {
-        ...defaultConfig.twitter,
-        ...result.config.twitter
-      },
-      instagram: {
-        ...defaultConfig.instagram,
-        ...result.config.instagram
-      },
-      debugLogging: result.config.debugLogging !== undefined ? result.config.debugLogging : defaultConfig.debugLogging
-    };
+    const mergedConfig = mergeConfig(getDefaultConfig(), storedConfig);
     
-    // Validate merged config (in case partial config has invalid values)
+    // Validate merged config (in case repairs left a setting invalid)
     if (!validateConfig(mergedConfig)) {
       console.warn('Merged config is invalid, using defaults');
       return getDefaultConfig();
@@ -152,25 +690,157 @@ async function getConfig() {
 
 /**
  * Save configuration to browser storage
+ * The saved object is stamped with the current schema version
  * @param {Object} config - Configuration object to save
  * @returns {Promise<void>}
- * @throws {Error} If config is invalid or storage operation fails
+ * @throws {Error} If config is invalid (with the entries of getConfigErrors in error.errors)
+ *   or storage operation fails
  */
 async function saveConfig(config) {
-  // Validate config before saving
-  if (!validateConfig(config)) {
-    throw new Error('Invalid configuration: validation failed');
+  // Validate config before saving; the error lists every invalid field
+  const errors = getConfigErrors(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration: validation failed (${errors.map(entry => entry.path).join(', ')})`);
+    error.errors = errors;
+    throw error;
   }
 
   try {
     // Use browser namespace (provided by polyfill in Chrome, native in Firefox)
-    await browser.storage.sync.set({ config });
+    await browser.storage.sync.set({ config: { ...config, schemaVersion: CONFIG_SCHEMA_VERSION } });
   } catch (error) {
     console.error('Error saving config to storage:', error);
     throw new Error(`Failed to save configuration: ${error.message}`);
   }
 }
 
+/**
+ * Migrate the stored configuration to the current schema version
+ * The pre-migration object is kept in storage.local under configBackup. If the
+ * migrated object still fails validation the stored config is left untouched
+ * @returns {Promise<Object|null>} Migration result, or null if nothing is stored
+ */
+async function runConfigMigrations() {
+  const result = await browser.storage.sync.get('config');
+  if (!result.config) {
+    return null;
+  }
+
+  const migration = migrateConfig(result.config);
+  if (!migration.migrated) {
+    return migration;
+  }
+
+  await browser.storage.local.set({
+    configBackup: {
+      schemaVersion: migration.fromVersion,
+      config: result.config,
+      createdAt: Date.now()
+    }
+  });
+
+  if (!validateConfig(migration.config)) {
+    console.warn(`[config] Migrated config from version ${migration.fromVersion} is invalid, keeping the stored config`);
+    return { ...migration, migrated: false };
+  }
+
+  await browser.storage.sync.set({ config: migration.config });
+  console.log(`[config] Migrated config from version ${migration.fromVersion} to ${migration.toVersion}`);
+  return migration;
+}
+
+// Identifies settings files written by exportConfig
+const CONFIG_EXPORT_FORMAT = 'embed-link-helper-config';
+
+/**
+ * Serialize a configuration for a settings file
+ * @param {Object} config - Configuration object
+ * @returns {string} Pretty-printed JSON
+ */
+function exportConfig(config) {
+  return JSON.stringify({
+    format: CONFIG_EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    config: { ...config, schemaVersion: CONFIG_SCHEMA_VERSION }
+  }, null, 2);
+}
+
+/**
+ * Parse and validate the contents of a settings file
+ * Accepts files written by exportConfig as well as a bare, possibly partial,
+ * configuration object. Files from older versions are migrated like stored configs
+ * @param {string} text - File contents
+ * @returns {Object} { config, errors } where config is null if errors is not empty
+ */
+function parseConfigImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { config: null, errors: [createConfigError('', 'invalid_json', 'The file is not valid JSON.')] };
+  }
+
+  const importedConfig = data && data.format === CONFIG_EXPORT_FORMAT ? data.config : data;
+  if (!importedConfig || typeof importedConfig !== 'object' || Array.isArray(importedConfig)) {
+    return { config: null, errors: [createConfigError('', 'invalid_type', 'The file does not contain a configuration.')] };
+  }
+
+  const { config } = migrateConfig(importedConfig);
+  if (config.schemaVersion > CONFIG_SCHEMA_VERSION) {
+    return {
+      config: null,
+      errors: [createConfigError('schemaVersion', 'unsupported_schema_version',
+        'The file was exported by a newer version of the extension.')]
+    };
+  }
+
+  // Files may hold only some settings; check them as they will be applied
+  const errors = getConfigErrors(mergeConfig(getDefaultConfig(), config));
+  return { config: errors.length === 0 ? config : null, errors };
+}
+
+/**
+ * Build the configuration that results from importing a settings file
+ * @param {Object} currentConfig - Configuration currently in use
+ * @param {Object} importedConfig - Validated configuration from parseConfigImport
+ * @param {string} mode - 'merge' keeps current fields the file does not set,
+ *   'replace' resets them to the defaults
+ * @returns {Object} Configuration to save
+ */
+function buildImportedConfig(currentConfig, importedConfig, mode) {
+  const baseConfig = mode === 'replace' ? getDefaultConfig() : currentConfig;
+  return { ...mergeConfig(baseConfig, importedConfig), schemaVersion: CONFIG_SCHEMA_VERSION };
+}
+
+/**
+ * List the settings that differ between two configurations
+ * @param {Object} previousConfig - Configuration before the change
+ * @param {Object} nextConfig - Configuration after the change
+ * @returns {Array<Object>} Changes: { path, before, after }
+ */
+function diffConfig(previousConfig, nextConfig) {
+  const changes = [];
+  const addChange = (path, before, after) => {
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path, before, after });
+    }
+  };
+
+  for (const platformId of getPlatformRegistry().getPlatformIds()) {
+    const before = previousConfig[platformId] || {};
+    const after = nextConfig[platformId] || {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      addChange(`${platformId}.${key}`, before[key], after[key]);
+    }
+  }
+  addChange('healthCheckEndpoint', previousConfig.healthCheckEndpoint, nextConfig.healthCheckEndpoint);
+  addChange('debugLogging', previousConfig.debugLogging, nextConfig.debugLogging);
+  addChange('keepCopyHistory', previousConfig.keepCopyHistory, nextConfig.keepCopyHistory);
+
+  return changes;
+}
+
 /**
  * Clear configuration from storage (resets to defaults)
  * @returns {Promise<void>}
@@ -189,23 +859,109 @@ if (typeof module !== 'undefined' && module.exports) {
   // Node.js/CommonJS environment (for testing)
   module.exports = {
     DEFAULT_CONFIG,
+    CONFIG_SCHEMA_VERSION,
+    CONFIG_MIGRATIONS,
+    CONFIG_EXPORT_FORMAT,
+    DEFAULT_HEALTH_CHECK_ENDPOINT,
+    DEFAULT_QUERY_POLICY,
+    QUERY_POLICY_MODES,
+    COPY_FORMATS,
+    MAX_MENU_ITEM_LABEL_LENGTH,
     getDefaultConfig,
     validateHostname,
+    validateHealthCheckEndpoint,
+    validateMenuItems,
+    validateQueryPolicy,
+    validateRewriteRules,
+    validateLanguageCode,
+    getConfigErrors,
     validateConfig,
+    migrateConfig,
+    mergeConfig,
+    getManagedConfig,
+    getManagedPaths,
+    restoreManagedSettings,
+    exportConfig,
+    parseConfigImport,
+    buildImportedConfig,
+    diffConfig,
     getConfig,
+    getStoredConfig,
     saveConfig,
+    runConfigMigrations,
     clearConfig
   };
-} else if (typeof window !== 'undefined') {
-  // Browser environment - expose to window object
+}
+
+// Expose to window for content scripts and the popup, or to the service worker global scope
+if (typeof window !== 'undefined') {
   window.Config = {
     DEFAULT_CONFIG,
+    CONFIG_SCHEMA_VERSION,
+    CONFIG_MIGRATIONS,
+    CONFIG_EXPORT_FORMAT,
+    DEFAULT_HEALTH_CHECK_ENDPOINT,
+    DEFAULT_QUERY_POLICY,
+    QUERY_POLICY_MODES,
+    COPY_FORMATS,
+    MAX_MENU_ITEM_LABEL_LENGTH,
     getDefaultConfig,
     validateHostname,
+    validateHealthCheckEndpoint,
+    validateMenuItems,
+    validateQueryPolicy,
+    validateRewriteRules,
+    validateLanguageCode,
+    getConfigErrors,
     validateConfig,
+    migrateConfig,
+    mergeConfig,
+    getManagedConfig,
+    getManagedPaths,
+    restoreManagedSettings,
+    exportConfig,
+    parseConfigImport,
+    buildImportedConfig,
+    diffConfig,
     getConfig,
+    getStoredConfig,
     saveConfig,
+    runConfigMigrations,
+    clearConfig
+  };
+} else if (typeof self !== 'undefined') {
+  self.Config = {
+    DEFAULT_CONFIG,
+    CONFIG_SCHEMA_VERSION,
+    CONFIG_MIGRATIONS,
+    CONFIG_EXPORT_FORMAT,
+    DEFAULT_HEALTH_CHECK_ENDPOINT,
+    DEFAULT_QUERY_POLICY,
+    QUERY_POLICY_MODES,
+    COPY_FORMATS,
+    MAX_MENU_ITEM_LABEL_LENGTH,
+    getDefaultConfig,
+    validateHostname,
+    validateHealthCheckEndpoint,
+    validateMenuItems,
+    validateQueryPolicy,
+    validateRewriteRules,
+    validateLanguageCode,
+    getConfigErrors,
+    validateConfig,
+    migrateConfig,
+    mergeConfig,
+    getManagedConfig,
+    getManagedPaths,
+    restoreManagedSettings,
+    exportConfig,
+    parseConfigImport,
+    buildImportedConfig,
+    diffConfig,
+    getConfig,
+    getStoredConfig,
+    saveConfig,
+    runConfigMigrations,
     clearConfig
   };
 }
-
@@ -0,0 +1,413 @@
+/**
+ * Configuration Tests
+ * Checks that the background script, the options page and the content scripts all use
+ * config/config.js and therefore default, accept and reject configurations identically
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Config = require('./config');
+const PlatformRegistry = require('./platforms');
+const { createStorageArea, waitFor, setupExtension } = require('../test/extension-harness');
+
+describe('Shared configuration across contexts', () => {
+  const {
+    contentScript,
+    sendBackgroundMessage,
+    openOptions,
+    openPopup,
+    saveOptions
+  } = setupExtension();
+
+  test('no context keeps its own copy of the defaults or validation', () => {
+    const files = [
+      'background/background.js',
+      'popup/popup.js',
+      'options/options.js',
+      'utils/url-transformer.js',
+      'content/twitter-share-menu.js',
+      'content/instagram-share-menu.js',
+      'content/tiktok-share-menu.js',
+      'content/reddit-share-menu.js',
+      'content/bluesky-share-menu.js'
+    ];
+
+    for (const file of files) {
+      const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf-8');
+      expect(source).not.toMatch(/function validate(Hostname|Config|HealthCheckEndpoint)\(/);
+      expect(source).not.toMatch(/DEFAULT_CONFIG\s*=/);
+    }
+  });
+
+  test('every context returns the same configuration when storage is empty', async () => {
+    const { config: backgroundConfig } = await sendBackgroundMessage({ action: 'getConfig' });
+
+    expect(backgroundConfig).toEqual(Config.getDefaultConfig());
+    expect(await contentScript.getConfig()).toEqual(backgroundConfig);
+    expect(backgroundConfig.debugLogging).toBe(false);
+  });
+
+  test('every context fills in missing fields of a partial stored config identically', async () => {
+    browser.storage.sync = createStorageArea({
+      config: { twitter: { enabled: false, targetHostname: 'vxtwitter.com' } }
+    });
+
+    const { config: backgroundConfig } = await sendBackgroundMessage({ action: 'getConfig' });
+
+    expect(backgroundConfig).toEqual(await Config.getConfig());
+    expect(await contentScript.getConfig()).toEqual(backgroundConfig);
+    expect(backgroundConfig.twitter).toEqual({
+      ...Config.getDefaultConfig().twitter,
+      enabled: false,
+      targetHostname: 'vxtwitter.com'
+    });
+    expect(backgroundConfig.debugLogging).toBe(false);
+  });
+
+  test('an empty target hostname is rejected by config.js, the background and the options page', async () => {
+    const config = Config.getDefaultConfig();
+    config.twitter.targetHostname = '';
+
+    expect(Config.validateConfig(config)).toBe(false);
+    await expect(Config.saveConfig(config)).rejects.toThrow('validation failed');
+
+    const response = await sendBackgroundMessage({ action: 'saveConfig', data: config });
+    expect(response.success).toBe(false);
+
+    await openOptions();
+    document.getElementById('twitter-hostname').value = '';
+    await saveOptions();
+    expect(document.getElementById('twitter-hostname-error').textContent).toContain('Invalid Twitter/X hostname');
+    expect(browser.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  describe('Validation errors', () => {
+    test('getConfigErrors reports the path and code of every invalid field', () => {
+      const config = Config.getDefaultConfig();
+      config.twitter.fallbackHostnames = ['vxtwitter.com', 'https://fxtwitter.com/'];
+      config.instagram.translateTo = 'english';
+      config.reddit.rewriteRules = [{ match: '(' }];
+      config.healthCheckEndpoint = 'ftp://{hostname}';
+
+      expect(Config.getConfigErrors(config).map(({ path, code }) => ({ path, code }))).toEqual([
+        { path: 'twitter.fallbackHostnames[1]', code: 'invalid_hostname' },
+        { path: 'instagram.translateTo', code: 'invalid_language_code' },
+        { path: 'reddit.rewriteRules[0]', code: 'invalid_rewrite_rule' },
+        { path: 'healthCheckEndpoint', code: 'invalid_health_check_endpoint' }
+      ]);
+      expect(Config.getConfigErrors(Config.getDefaultConfig())).toEqual([]);
+    });
+
+    test('saveConfig and the background return the errors alongside the message', async () => {
+      const config = Config.getDefaultConfig();
+      config.tiktok.targetHostname = 'not a hostname';
+
+      const error = await Config.saveConfig(config).catch(saveError => saveError);
+      expect(error.message).toContain('tiktok.targetHostname');
+      expect(error.errors).toEqual([expect.objectContaining({ path: 'tiktok.targetHostname', code: 'invalid_hostname' })]);
+
+      const response = await sendBackgroundMessage({ action: 'saveConfig', data: config });
+      expect(response.errors).toEqual(error.errors);
+    });
+  });
+
+  describe('Settings export and import', () => {
+    test('an exported file imports back to the same configuration', () => {
+      const config = Config.getDefaultConfig();
+      config.twitter.fallbackHostnames = ['vxtwitter.com'];
+      config.reddit.rewriteRules = [{ match: '^/r/([^/]+)$', path: '/r/$1/top/' }];
+
+      const exported = JSON.parse(Config.exportConfig(config));
+      expect(exported.format).toBe(Config.CONFIG_EXPORT_FORMAT);
+      expect(Config.parseConfigImport(JSON.stringify(exported))).toEqual({ config, errors: [] });
+    });
+
+    test('parseConfigImport rejects broken, invalid and newer files', () => {
+      expect(Config.parseConfigImport('{ not json').errors[0].code).toBe('invalid_json');
+      expect(Config.parseConfigImport('[]').errors[0].code).toBe('invalid_type');
+      expect(Config.parseConfigImport(JSON.stringify({ schemaVersion: 99 })).errors[0].code)
+        .toBe('unsupported_schema_version');
+
+      const { config, errors } = Config.parseConfigImport(JSON.stringify({
+        schemaVersion: 2,
+        tiktok: { targetHostname: 'https://vxtiktok.com/' }
+      }));
+      expect(config).toBeNull();
+      expect(errors).toEqual([expect.objectContaining({ path: 'tiktok.targetHostname' })]);
+    });
+
+    test('merge keeps current settings the file does not set, replace resets them', () => {
+      const current = Config.getDefaultConfig();
+      current.twitter.targetHostname = 'vxtwitter.com';
+      current.debugLogging = true;
+      const imported = { schemaVersion: 2, instagram: { targetHostname: 'ddinstagram.com' } };
+
+      const merged = Config.buildImportedConfig(current, imported, 'merge');
+      expect(merged.twitter.targetHostname).toBe('vxtwitter.com');
+      expect(merged.instagram.targetHostname).toBe('ddinstagram.com');
+      expect(Config.diffConfig(current, merged)).toEqual([
+        { path: 'instagram.targetHostname', before: 'kkinstagram.com', after: 'ddinstagram.com' }
+      ]);
+
+      const replaced = Config.buildImportedConfig(current, imported, 'replace');
+      expect(replaced).toEqual({
+        ...Config.getDefaultConfig(),
+        instagram: { ...Config.getDefaultConfig().instagram, targetHostname: 'ddinstagram.com' }
+      });
+      expect(Config.diffConfig(current, replaced).map(change => change.path))
+        .toEqual(['twitter.targetHostname', 'instagram.targetHostname', 'debugLogging']);
+    });
+  });
+
+  describe('Organization policy', () => {
+    const policy = {
+      twitter: { targetHostname: 'vxtwitter.com', fallbackHostnames: [], unknownField: true },
+      reddit: { translateTo: 'not a language' },
+      debugLogging: false
+    };
+
+    beforeEach(() => {
+      browser.storage.managed = createStorageArea({ config: policy });
+    });
+
+    afterEach(() => {
+      delete browser.storage.managed;
+    });
+
+    test('managed settings take priority over the stored ones', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.targetHostname = 'fixupx.com';
+      stored.twitter.translateTo = 'en';
+      stored.debugLogging = true;
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      const config = await Config.getConfig();
+      expect(config.twitter).toEqual({ ...stored.twitter, targetHostname: 'vxtwitter.com', fallbackHostnames: [] });
+      expect(config.reddit).toEqual(stored.reddit);
+      expect(config.debugLogging).toBe(false);
+      expect(await contentScript.getConfig()).toEqual(config);
+    });
+
+    test('invalid and unknown managed settings are ignored', async () => {
+      const managedConfig = await Config.getManagedConfig();
+
+      expect(managedConfig).toEqual({
+        twitter: { targetHostname: 'vxtwitter.com', fallbackHostnames: [] },
+        reddit: {},
+        debugLogging: false
+      });
+      expect(Config.getManagedPaths(managedConfig))
+        .toEqual(['twitter.targetHostname', 'twitter.fallbackHostnames', 'debugLogging']);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('reddit.translateTo'));
+    });
+
+    test('no policy is applied when managed storage is unavailable', async () => {
+      browser.storage.managed.get = jest.fn().mockRejectedValue(new Error('Managed storage manifest not found'));
+
+      expect(await Config.getManagedConfig()).toEqual({});
+      expect(await Config.getConfig()).toEqual(Config.getDefaultConfig());
+    });
+
+    test('the managed schema describes the settings under the names config.js reads', async () => {
+      const schema = JSON.parse(fs.readFileSync(path.join(__dirname, 'managed-schema.json'), 'utf-8'));
+      const schemaFields = schema.properties.config.properties;
+      const { schemaVersion, ...defaults } = Config.getDefaultConfig();
+      expect(schemaVersion).toBe(Config.CONFIG_SCHEMA_VERSION);
+      // A menu item with every optional field set
+      const menuItem = { label: 'Copy for forums', targetHostname: 'fxtwitter.com', icon: 'link', format: 'bbcode' };
+
+      expect(Object.keys(schemaFields).sort()).toEqual(Object.keys(defaults).sort());
+      for (const platformId of PlatformRegistry.getPlatformIds()) {
+        const platformFields = schemaFields[platformId].properties;
+        expect(Object.keys(platformFields).sort()).toEqual(Object.keys(defaults[platformId]).sort());
+        expect(Object.keys(platformFields.queryPolicy.properties).sort())
+          .toEqual(Object.keys(defaults[platformId].queryPolicy).sort());
+        expect(Object.keys(platformFields.menuItems.items.properties).sort()).toEqual(Object.keys(menuItem).sort());
+      }
+
+      browser.storage.managed = createStorageArea({ config: { twitter: { menuItems: [menuItem] } } });
+      expect((await Config.getManagedConfig()).twitter).toEqual({ menuItems: [menuItem] });
+    });
+
+    test('saving keeps the user\'s own values of the settings the policy sets', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.targetHostname = 'fixupx.com';
+      stored.debugLogging = true;
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openOptions();
+      document.getElementById('instagram-hostname').value = 'ddinstagram.com';
+      await saveOptions();
+
+      const { config: saved } = await browser.storage.sync.get('config');
+      expect(saved.instagram.targetHostname).toBe('ddinstagram.com');
+      expect(saved.twitter.targetHostname).toBe('fixupx.com');
+      expect(saved.debugLogging).toBe(true);
+
+      // Once the policy is removed the user's settings apply again
+      delete browser.storage.managed;
+      expect((await Config.getConfig()).twitter.targetHostname).toBe('fixupx.com');
+    });
+
+    test('tabs are sent the saved config with the policy applied', async () => {
+      browser.storage.sync = createStorageArea({ config: Config.getDefaultConfig() });
+      browser.tabs.query = jest.fn().mockResolvedValue([{ id: 7, url: 'https://x.com/home' }]);
+      browser.tabs.sendMessage = jest.fn().mockResolvedValue();
+
+      const submitted = Config.getDefaultConfig();
+      submitted.twitter.targetHostname = 'fixupx.com';
+      submitted.instagram.targetHostname = 'ddinstagram.com';
+      await sendBackgroundMessage({ action: 'saveConfig', data: submitted });
+      await waitFor(() => browser.tabs.sendMessage.mock.calls.length > 0);
+
+      const [tabId, message] = browser.tabs.sendMessage.mock.calls[0];
+      expect(tabId).toBe(7);
+      expect(message).toEqual({ action: 'configUpdated', config: await Config.getConfig() });
+      expect(message.config.twitter.targetHostname).toBe('vxtwitter.com');
+      expect(message.config.instagram.targetHostname).toBe('ddinstagram.com');
+
+      browser.tabs.query = jest.fn().mockResolvedValue([]);
+      delete browser.tabs.sendMessage;
+    });
+
+    test('popup toggles are saved on top of the stored config without the policy', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.targetHostname = 'fixupx.com';
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openPopup();
+      const toggle = document.getElementById('tiktok-enabled');
+      toggle.checked = false;
+      toggle.dispatchEvent(new Event('change'));
+      await waitFor(() => browser.storage.sync.set.mock.calls.length > 0);
+
+      const { config: saved } = await browser.storage.sync.get('config');
+      expect(saved.tiktok.enabled).toBe(false);
+      expect(saved.twitter.targetHostname).toBe('fixupx.com');
+      expect(saved.debugLogging).toBe(false);
+    });
+  });
+
+  describe('Schema migrations', () => {
+    // Shape stored by the first release, with values its background script accepted
+    const legacyConfig = {
+      twitter: { enabled: true, targetHostname: '' },
+      instagram: { enabled: true, targetHostname: 'https://DDInstagram.com/' },
+      debugLogging: true
+    };
+
+    test('default and saved configs carry the current schema version', async () => {
+      expect(Config.getDefaultConfig().schemaVersion).toBe(Config.CONFIG_SCHEMA_VERSION);
+
+      const { schemaVersion, ...unversioned } = Config.getDefaultConfig();
+      await Config.saveConfig(unversioned);
+      expect(browser.storage.sync.set.mock.calls[0][0].config.schemaVersion).toBe(Config.CONFIG_SCHEMA_VERSION);
+    });
+
+    test('migrateConfig upgrades an unversioned config step by step', () => {
+      const migration = Config.migrateConfig(legacyConfig);
+
+      expect(migration).toMatchObject({ fromVersion: 1, toVersion: Config.CONFIG_SCHEMA_VERSION, migrated: true });
+      expect(migration.config).toEqual({
+        twitter: { enabled: true },
+        instagram: { enabled: true, targetHostname: 'ddinstagram.com' },
+        debugLogging: true,
+        schemaVersion: 2
+      });
+      expect(Config.validateConfig(legacyConfig)).toBe(false);
+      expect(Config.validateConfig(migration.config)).toBe(true);
+    });
+
+    test('migrateConfig leaves current and newer configs alone', () => {
+      const current = Config.getDefaultConfig();
+      expect(Config.migrateConfig(current)).toEqual({ config: current, fromVersion: 2, toVersion: 2, migrated: false });
+
+      const newer = { ...current, schemaVersion: 99 };
+      expect(Config.migrateConfig(newer).config).toBe(newer);
+      expect(Config.migrateConfig(newer).migrated).toBe(false);
+    });
+
+    test('getConfig keeps the settings of a legacy config instead of wiping them', async () => {
+      browser.storage.sync = createStorageArea({ config: legacyConfig });
+
+      const config = await Config.getConfig();
+      expect(config.twitter.targetHostname).toBe('fixvx.com');
+      expect(config.instagram.targetHostname).toBe('ddinstagram.com');
+      expect(config.debugLogging).toBe(true);
+    });
+
+    test('getConfig drops only the invalid stored settings and reports them', async () => {
+      const validItem = { label: 'Copy fixvx link', icon: 'link' };
+      browser.storage.sync = createStorageArea({
+        config: {
+          // Written by a newer install that knows more copy formats and query policies
+          schemaVersion: 3,
+          twitter: {
+            enabled: false,
+            targetHostname: 'vxtwitter.com',
+            copyFormat: 'rich-embed',
+            menuItems: [validItem, { label: 'Broken', icon: 'sparkles' }, validItem]
+          },
+          instagram: { enabled: true, targetHostname: 'ddinstagram.com', queryPolicy: { mode: 'strip-ai' } },
+          tiktok: 'not settings',
+          debugLogging: true,
+          keepCopyHistory: 'yes'
+        }
+      });
+
+      const config = await Config.getStoredConfig();
+      const defaults = Config.getDefaultConfig();
+
+      expect(config.twitter).toEqual({
+        ...defaults.twitter,
+        enabled: false,
+        targetHostname: 'vxtwitter.com',
+        menuItems: [validItem, validItem]
+      });
+      expect(config.instagram).toEqual({ ...defaults.instagram, targetHostname: 'ddinstagram.com' });
+      expect(config.tiktok).toEqual(defaults.tiktok);
+      expect(config.debugLogging).toBe(true);
+      expect(config.keepCopyHistory).toBe(true);
+
+      const warnings = console.warn.mock.calls.map(args => args.join(' ')).join('\n');
+      for (const path of ['twitter.copyFormat', 'twitter.menuItems[1]', 'instagram.queryPolicy', 'tiktok', 'keepCopyHistory']) {
+        expect(warnings).toContain(`Ignoring invalid stored setting ${path}:`);
+      }
+    });
+
+    test('an update migrates the stored config and keeps a backup', async () => {
+      browser.storage.sync = createStorageArea({ config: legacyConfig });
+      const onInstalled = browser.runtime.onInstalled.addListener.mock.calls[0][0];
+
+      await onInstalled({ reason: 'update' });
+
+      const { config } = await browser.storage.sync.get('config');
+      expect(config.schemaVersion).toBe(Config.CONFIG_SCHEMA_VERSION);
+      expect(config.instagram.targetHostname).toBe('ddinstagram.com');
+
+      const { configBackup } = await browser.storage.local.get('configBackup');
+      expect(configBackup).toEqual({ schemaVersion: 1, config: legacyConfig, createdAt: expect.any(Number) });
+    });
+
+    test('a fresh install neither migrates nor writes a backup', async () => {
+      const onInstalled = browser.runtime.onInstalled.addListener.mock.calls[0][0];
+
+      await onInstalled({ reason: 'install' });
+
+      const { config } = await browser.storage.sync.get('config');
+      expect(config).toEqual(Config.getDefaultConfig());
+      expect(await browser.storage.local.get('configBackup')).toEqual({});
+    });
+
+    test('runConfigMigrations keeps the stored config when the result is still invalid', async () => {
+      const broken = { twitter: { enabled: true, menuItems: 'not a list' } };
+      browser.storage.sync = createStorageArea({ config: broken });
+
+      const migration = await Config.runConfigMigrations();
+
+      expect(migration.migrated).toBe(false);
+      expect((await browser.storage.sync.get('config')).config).toEqual(broken);
+      expect((await browser.storage.local.get('configBackup')).configBackup.config).toEqual(broken);
+    });
+  });
+});
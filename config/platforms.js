@@ -0,0 +1,635 @@
+/**
+ * Platform Registry Module
+ * Declarative platform definitions consulted by the config, detector,
+ * extractor, injector and feedback modules
+ */
+
+// Link icon shared by every injected menu item
+const LINK_ICON_PATHS = [
+  'M11.96 14.945c-.067 0-.136-.01-.203-.027-1.13-.318-2.097-.986-2.795-1.932-.832-1.125-1.176-2.508-.968-3.893s.942-2.605 2.068-3.438l3.53-2.608c2.322-1.716 5.61-1.224 7.33 1.1.83 1.127 1.175 2.51.967 3.895s-.943 2.605-2.07 3.438l-1.48 1.094c-.333.246-.804.175-1.05-.158-.246-.334-.176-.804.158-1.05l1.48-1.095c.803-.592 1.327-1.463 1.476-2.45.148-.988-.098-1.975-.69-2.778-1.225-1.656-3.572-2.01-5.23-.784l-3.53 2.608c-.802.593-1.326 1.464-1.475 2.45-.15.99.097 1.975.69 2.778.498.675 1.187 1.15 1.992 1.377.4.114.633.528.52.928-.092.33-.39.547-.722.547z',
+  'M7.27 22.054c-1.61 0-3.197-.735-4.225-2.125-.832-1.127-1.176-2.51-.968-3.894s.943-2.605 2.07-3.438l1.478-1.094c.333-.246.805-.175 1.05.158s.177.804-.157 1.05l-1.48 1.095c-.803.593-1.326 1.464-1.475 2.45-.148.99.097 1.975.69 2.778 1.225 1.657 3.57 2.01 5.23.785l3.528-2.608c1.658-1.225 2.01-3.57.785-5.23-.498-.674-1.187-1.15-1.992-1.376-.4-.113-.633-.527-.52-.927.112-.4.528-.63.926-.522 1.13.318 2.096.986 2.794 1.932 1.717 2.324 1.224 5.612-1.1 7.33l-3.53 2.608c-.933.693-2.023 1.026-3.105 1.026z'
+];
+
+// Picture icon for menu items that copy direct media links
+const MEDIA_ICON_PATHS = [
+  'M19.75 2H4.25C3.01 2 2 3.01 2 4.25v15.5C2 20.99 3.01 22 4.25 22h15.5c1.24 0 2.25-1.01 2.25-2.25V4.25C22 3.01 20.99 2 19.75 2zM4.25 3.5h15.5c.413 0 .75.337.75.75v9.676l-3.858-3.858c-.14-.14-.33-.22-.53-.22h-.003c-.2 0-.393.08-.532.224l-4.317 4.384-1.813-1.806c-.14-.14-.33-.22-.53-.22-.193-.03-.395.08-.535.227L3.5 17.642V4.25c0-.413.337-.75.75-.75zm-.744 16.28l5.418-5.534 6.282 6.254H4.25c-.402 0-.727-.322-.744-.72zm16.244.72h-2.42l-5.007-4.987 3.792-3.85 4.385 4.384v3.703c0 .413-.337.75-.75.75z',
+  'M8.868 8.309c1.053 0 1.905-.852 1.905-1.905S9.92 4.5 8.868 4.5s-1.905.852-1.905 1.905.852 1.904 1.905 1.904z'
+];
+
+// Icons selectable for injected menu items, keyed by the name stored in the config
+const MENU_ITEM_ICONS = {
+  link: LINK_ICON_PATHS,
+  media: MEDIA_ICON_PATHS
+};
+
+// Menu items injected when a platform's configuration does not list its own
+const DEFAULT_MENU_ITEMS = [
+  { label: 'Copy embed link', icon: 'link' }
+];
+
+/**
+ * Platform definitions
+ *
+ * Each definition describes everything the pipeline needs to support a platform:
+ * - hosts: page hostnames whose post URLs are accepted
+ * - postPathPattern: pathname pattern of a single post
+ * - canonicalPathPattern (optional): leading part of the pathname kept when
+ *   normalizing a post URL (drops slugs such as Reddit post titles)
+ * - shortLinks (optional): short-link hosts, their path pattern and the
+ *   canonical URL prefix short links are normalized to
+ * - defaultTargetHostname: embed-fixer host used by the default configuration
+ * - samplePostUrl (optional): example post URL offered by the options page's
+ *   link preview
+ * - fallbackTargetHostnames (optional): alternative embed-fixer hosts tried, in
+ *   order, when the default one is down
+ * - translationHostnames (optional): embed-fixer hosts that translate the embed
+ *   when a language code is appended to the path (e.g. /en)
+ * - shareMenu: selectors used to detect share menus and their posts
+ * - posts: selectors and content checks used to detect post containers
+ * - extraction: how to find the post URL inside a post container, and
+ *   (optional) the author handle and text quoted by formatted copies (e.g.
+ *   Markdown): a post URL path pattern capturing the author, selectors whose
+ *   text is the author or the post text and attributes of the post container
+ *   holding them
+ * - injection: which menu item layout and injection point to use, and
+ *   (optional) actionBar: where the inline per-post button goes, as selectors
+ *   within a post container and whether the button is appended to the match
+ *   or inserted after it
+ * - styling: colors and platform class names for injected elements
+ */
+const PLATFORMS = {
+  twitter: {
+    id: 'twitter',
+    displayName: 'Twitter/X',
+    hosts: ['x.com', 'www.x.com', 'mobile.x.com', 'twitter.com', 'www.twitter.com', 'mobile.twitter.com'],
+    postPathPattern: /^\/[^\/]+\/status\/\d+/,
+    defaultTargetHostname: 'fixvx.com',
+    samplePostUrl: 'https://x.com/jack/status/20',
+    fallbackTargetHostnames: ['vxtwitter.com', 'fxtwitter.com'],
+    translationHostnames: ['fixvx.com', 'fxtwitter.com', 'fixupx.com'],
+    shareMenu: {
+      // Share menu container
+      menu: [
+        'div[data-testid="Dropdown"]',
+        'div[role="menu"]',
+        'div[data-testid="sheetDialog"]'
+      ],
+      // Share button that triggers the menu
+      trigger: [
+        'button[data-testid="share"]',
+        'div[data-testid="share"]'
+      ],
+      // Menu items within the share menu
+      menuItems: [
+        'div[role="menuitem"]',
+        'a[role="menuitem"]'
+      ],
+      // Post container selectors
+      postContainer: [
+        'article[data-testid="tweet"]',
+        'div[data-testid="cellInnerDiv"] article',
+        'article[role="article"]'
+      ]
+    },
+    posts: {
+      primary: [
+        'article[data-testid="tweet"]',
+        'div[data-testid="cellInnerDiv"] article'
+      ],
+      fallback: [
+        'article[role="article"]',
+        'div[data-testid="tweet"]'
+      ],
+      containerTags: ['ARTICLE'],
+      // A tweet should contain links or language-tagged text
+      contentSelectors: ['a', '[lang]', '[dir]']
+    },
+    extraction: {
+      // Pattern: /username/status/1234567890
+      linkSelectors: ['a[href*="/status/"]'],
+      excludedPaths: [],
+      // Data attributes may hold relative status paths
+      attributeBaseUrl: 'https://x.com',
+      usePageUrl: false,
+      // x.com/i/status/<id> links name no author
+      authorPattern: /^\/(?!i\/)([^\/]+)\/status\//,
+      authorSelectors: [],
+      textSelectors: ['[data-testid="tweetText"]']
+    },
+    injection: {
+      menuItemLayout: 'list',
+      injectionPoint: 'menu-items',
+      copyLinkSelector: '[role="menuitem"]',
+      // Reply, repost, like, views and bookmark row
+      actionBar: { selectors: ['div[role="group"]'], position: 'append' }
+    },
+    styling: {
+      successColor: '#00ba7c',
+      errorColor: '#f91880',
+      hoverBackground: 'rgba(0, 0, 0, 0.03)',
+      iconClasses: [],
+      labelClasses: []
+    }
+  },
+  instagram: {
+    id: 'instagram',
+    displayName: 'Instagram',
+    hosts: ['www.instagram.com', 'instagram.com'],
+    postPathPattern: /^\/(p|reel|tv)\/[A-Za-z0-9_-]+\/?/,
+    defaultTargetHostname: 'kkinstagram.com',
+    samplePostUrl: 'https://www.instagram.com/p/C0ffee12345/',
+    fallbackTargetHostnames: ['ddinstagram.com'],
+    shareMenu: {
+      menu: [
+        'div[role="dialog"]',
+        'div[class*="Sheet"]'
+      ],
+      trigger: [
+        'svg[aria-label*="Share"]',
+        'button[aria-label*="Share"]',
+        'svg[aria-label*="share"]',
+        'button[aria-label*="share"]'
+      ],
+      menuItems: [
+        'button',
+        'a'
+      ],
+      postContainer: [
+        'article[role="presentation"]',
+        'div[class*="x1iyjqo2"] article',
+        'article'
+      ]
+    },
+    posts: {
+      primary: [
+        'article[role="presentation"]',
+        'div[class*="x1iyjqo2"] article'
+      ],
+      fallback: [
+        'article',
+        'div[role="presentation"]'
+      ],
+      containerTags: ['ARTICLE'],
+      // A post should contain media or links
+      contentSelectors: ['img', 'a']
+    },
+    extraction: {
+      // Header links first, then any /p/, /reel/ or /tv/ link
+      linkSelectors: [
+        'header a[href*="/p/"], header a[href*="/reel/"], header a[href*="/tv/"]',
+        'a[href*="/p/"], a[href*="/reel/"], a[href*="/tv/"]'
+      ],
+      excludedPaths: ['/liked_by/', '/tagged/'],
+      attributeBaseUrl: null,
+      usePageUrl: false,
+      // Post URLs carry no username, the post header links to the profile
+      authorPattern: null,
+      authorSelectors: ['header a[href^="/"]:not([href*="/p/"]):not([href*="/reel/"])'],
+      textSelectors: ['h1']
+    },
+    injection: {
+      menuItemLayout: 'tile',
+      injectionPoint: 'share-buttons',
+      copyLinkSelector: 'button, div[role="button"], a',
+      // Like, comment, share and save row below the media
+      actionBar: { selectors: ['section'], position: 'append' }
+    },
+    styling: {
+      successColor: '#0095f6',
+      errorColor: '#ed4956',
+      hoverBackground: 'rgba(0, 0, 0, 0.05)',
+      iconClasses: ['x1lliihq', 'x1n2onr6', 'x5n08af'],
+      labelClasses: ['x1lliihq', 'x1plvlek', 'xryxfnj', 'x1n2onr6', 'xyejjpt', 'x15dsfln', 'x193iq5w', 'xeuugli', 'x1fj9vlw', 'x13faqbe', 'x1vvkbs', 'x1s928wv', 'xhkezso', 'x1gmr53x', 'x1cpjm7i', 'x1fgarty', 'x1943h6x', 'x1i0vuye', 'x1fhwpqd', 'xo1l8bm', 'x5n08af', 'x2b8uid', 'x1s3etm8', 'x676frb', 'x10wh9bi', 'xpm28yp', 'x8viiok', 'x1o7cslx']
+    }
+  },
+  tiktok: {
+    id: 'tiktok',
+    displayName: 'TikTok',
+    hosts: ['www.tiktok.com', 'tiktok.com', 'm.tiktok.com'],
+    // Pattern: /@username/video/1234567890 (or /photo/ for slideshows) and /t/<code> short paths
+    postPathPattern: /^\/(@[^\/]+\/(video|photo)\/\d+|t\/[A-Za-z0-9]+\/?$)/,
+    // vm.tiktok.com/<code>/ becomes www.tiktok.com/t/<code>/, which fixer hosts understand
+    shortLinks: {
+      hosts: ['vm.tiktok.com', 'vt.tiktok.com'],
+      pathPattern: /^\/[A-Za-z0-9]+\/?$/,
+      canonicalPrefix: 'https://www.tiktok.com/t'
+    },
+    defaultTargetHostname: 'vxtiktok.com',
+    samplePostUrl: 'https://www.tiktok.com/@tiktok/video/7106594312292453675',
+    fallbackTargetHostnames: ['tnktok.com'],
+    shareMenu: {
+      menu: [
+        'div[data-e2e="share-group"]',
+        'div[class*="DivShareWrapper"]',
+        'div[role="dialog"]'
+      ],
+      trigger: [
+        'button[data-e2e="share-icon"]',
+        'span[data-e2e="share-icon"]',
+        'button[aria-label*="Share"]',
+        'button[aria-label*="share"]'
+      ],
+      menuItems: [
+        'a[data-e2e^="video-share"]',
+        'button',
+        'a'
+      ],
+      postContainer: [
+        'article[data-e2e="recommend-list-item-container"]',
+        'div[data-e2e="recommend-list-item-container"]',
+        'div[class*="DivBrowserModeContainer"]',
+        'div[class*="DivVideoDetailContainer"]'
+      ]
+    },
+    posts: {
+      primary: [
+        'article[data-e2e="recommend-list-item-container"]',
+        'div[data-e2e="recommend-list-item-container"]'
+      ],
+      fallback: [
+        'div[class*="DivBrowserModeContainer"]',
+        'div[class*="DivVideoDetailContainer"]'
+      ],
+      containerTags: ['ARTICLE', 'DIV'],
+      // A video post should contain the player or links
+      contentSelectors: ['video', 'a']
+    },
+    extraction: {
+      linkSelectors: ['a[href*="/video/"], a[href*="/photo/"]'],
+      excludedPaths: [],
+      attributeBaseUrl: null,
+      // The video page itself is the post when a player is open full-page
+      usePageUrl: true,
+      authorPattern: /^\/@([^\/]+)\//,
+      authorSelectors: [],
+      textSelectors: ['[data-e2e="browse-video-desc"]', '[data-e2e="video-desc"]']
+    },
+    injection: {
+      menuItemLayout: 'list',
+      injectionPoint: 'copy-link-parent',
+      copyLinkSelector: '[data-e2e="share-copy"], a, button, div[role="button"]',
+      // Like, comment, save and share column beside the video
+      actionBar: {
+        selectors: ['section[class*="SectionActionBarContainer"]', 'div[class*="DivActionItemContainer"]'],
+        position: 'append'
+      }
+    },
+    styling: {
+      successColor: '#0fa39a',
+      errorColor: '#fe2c55',
+      hoverBackground: 'rgba(22, 24, 35, 0.06)',
+      iconClasses: [],
+      labelClasses: []
+    }
+  },
+  reddit: {
+    id: 'reddit',
+    displayName: 'Reddit',
+    hosts: ['www.reddit.com', 'reddit.com', 'old.reddit.com', 'new.reddit.com', 'm.reddit.com'],
+    // Pattern: /r/<sub>/comments/<id>/..., /r/<sub>/s/<code> share links and bare /comments/<id>
+    postPathPattern: /^\/(r\/[A-Za-z0-9_]+\/(comments\/[a-z0-9]+|s\/[A-Za-z0-9]+)|comments\/[a-z0-9]+)(\/|$)/,
+    // /r/<sub>/comments/<id>/<title_slug>/ becomes /r/<sub>/comments/<id>/
+    canonicalPathPattern: /^\/r\/[A-Za-z0-9_]+\/comments\/[a-z0-9]+/,
+    // redd.it/<id> becomes www.reddit.com/comments/<id>
+    shortLinks: {
+      hosts: ['redd.it'],
+      pathPattern: /^\/[a-z0-9]+\/?$/,
+      canonicalPrefix: 'https://www.reddit.com/comments'
+    },
+    defaultTargetHostname: 'rxddit.com',
+    samplePostUrl: 'https://www.reddit.com/r/pics/comments/abc123/example_post/',
+    fallbackTargetHostnames: ['vxreddit.com'],
+    shareMenu: {
+      menu: [
+        'faceplate-menu',
+        'div[role="menu"]',
+        'ul[role="menu"]',
+        // Old Reddit share panel
+        'div.post-sharing'
+      ],
+      trigger: [
+        'shreddit-post-share-button',
+        'button[aria-label*="Share"]',
+        'button[aria-label*="share"]',
+        // Old Reddit share link
+        'a.post-sharing-button'
+      ],
+      menuItems: [
+        'faceplate-menu-item',
+        'li[role="menuitem"]',
+        'div[role="menuitem"]',
+        'a'
+      ],
+      postContainer: [
+        'shreddit-post',
+        'div.thing.link',
+        'article'
+      ]
+    },
+    posts: {
+      primary: [
+        'shreddit-post',
+        'div.thing.link'
+      ],
+      fallback: [
+        'article'
+      ],
+      containerTags: ['SHREDDIT-POST', 'DIV', 'ARTICLE'],
+      // A post should contain links
+      contentSelectors: ['a']
+    },
+    extraction: {
+      linkSelectors: [
+        'a[data-event-action="permalink"]',
+        'a[href*="/comments/"]'
+      ],
+      excludedPaths: [],
+      // shreddit-post[permalink] and Old Reddit's div.thing[data-permalink] hold relative paths
+      attributeBaseUrl: 'https://www.reddit.com',
+      usePageUrl: true,
+      // shreddit-post carries author and post-title attributes, Old Reddit's div.thing data-author
+      authorPattern: null,
+      authorSelectors: [],
+      authorAttributes: ['author', 'data-author'],
+      textSelectors: ['a.title'],
+      textAttributes: ['post-title']
+    },
+    injection: {
+      menuItemLayout: 'list',
+      injectionPoint: 'copy-link-parent',
+      copyLinkSelector: 'faceplate-menu-item, [role="menuitem"], li, a, button',
+      // Old Reddit's comments/share/save links; New Reddit keeps its action
+      // row inside the shreddit-post shadow root
+      actionBar: { selectors: ['ul.flat-list.buttons'], position: 'append' }
+    },
+    styling: {
+      successColor: '#46d160',
+      errorColor: '#ff4500',
+      hoverBackground: 'rgba(0, 0, 0, 0.05)',
+      iconClasses: [],
+      labelClasses: []
+    }
+  },
+  bluesky: {
+    id: 'bluesky',
+    displayName: 'Bluesky',
+    hosts: ['bsky.app', 'www.bsky.app'],
+    // Pattern: /profile/<handle or DID>/post/<rkey> (DIDs may be percent-encoded)
+    postPathPattern: /^\/profile\/([A-Za-z0-9.-]+|did(:|%3A)[a-z]+(:|%3A)[A-Za-z0-9._:%-]+)\/post\/[A-Za-z0-9._:~-]+\/?$/i,
+    defaultTargetHostname: 'bskyx.app',
+    samplePostUrl: 'https://bsky.app/profile/bsky.app/post/3l6oveex3ii2l',
+    fallbackTargetHostnames: ['fxbsky.app'],
+    shareMenu: {
+      menu: [
+        'div[role="menu"]',
+        'div[data-testid="postDropdownMenu"]'
+      ],
+      trigger: [
+        'button[data-testid="postShareBtn"]',
+        'button[data-testid="postDropdownBtn"]',
+        'button[aria-label*="Share"]'
+      ],
+      menuItems: [
+        'div[role="menuitem"]',
+        '[data-testid*="Share"]'
+      ],
+      postContainer: [
+        'div[data-testid^="feedItem-by-"]',
+        'div[data-testid^="postThreadItem-by-"]'
+      ]
+    },
+    posts: {
+      primary: [
+        'div[data-testid^="feedItem-by-"]',
+        'div[data-testid^="postThreadItem-by-"]'
+      ],
+      fallback: [
+        'div[role="link"]'
+      ],
+      containerTags: ['DIV'],
+      // A post should contain links
+      contentSelectors: ['a']
+    },
+    extraction: {
+      linkSelectors: [
+        'a[href*="/post/"]'
+      ],
+      excludedPaths: [],
+      attributeBaseUrl: null,
+      // The focused post on a thread page does not link to itself
+      usePageUrl: true,
+      authorPattern: /^\/profile\/([^\/]+)\/post\//,
+      authorSelectors: [],
+      textSelectors: ['[data-testid="postText"]']
+    },
+    injection: {
+      menuItemLayout: 'list',
+      injectionPoint: 'copy-link-parent',
+      copyLinkSelector: '[role="menuitem"], button, a',
+      // The action row has no marker of its own, so the button follows the share button
+      actionBar: { selectors: ['button[data-testid="postShareBtn"]'], position: 'after' }
+    },
+    styling: {
+      successColor: '#1083fe',
+      errorColor: '#ec4868',
+      hoverBackground: 'rgba(0, 0, 0, 0.05)',
+      iconClasses: [],
+      labelClasses: []
+    }
+  }
+};
+
+// Fields every platform definition must provide
+const REQUIRED_FIELDS = [
+  'id',
+  'displayName',
+  'hosts',
+  'postPathPattern',
+  'defaultTargetHostname',
+  'shareMenu',
+  'posts',
+  'extraction',
+  'injection',
+  'styling'
+];
+
+// Nested fields every platform definition must provide, by section: arrays of
+// selectors, tag names, paths or class names, or strings
+const REQUIRED_NESTED_FIELDS = {
+  shareMenu: { menu: 'array', trigger: 'array', menuItems: 'array', postContainer: 'array' },
+  posts: { primary: 'array', fallback: 'array', containerTags: 'array', contentSelectors: 'array' },
+  extraction: { linkSelectors: 'array', excludedPaths: 'array' },
+  injection: { menuItemLayout: 'string', injectionPoint: 'string', copyLinkSelector: 'string' },
+  styling: {
+    successColor: 'string',
+    errorColor: 'string',
+    hoverBackground: 'string',
+    iconClasses: 'array',
+    labelClasses: 'array'
+  }
+};
+
+/**
+ * Get a platform definition
+ * @param {string} platform - Platform identifier (e.g. 'twitter')
+ * @returns {Object|null} Platform definition or null if unknown
+ */
+function getPlatform(platform) {
+  if (typeof platform !== 'string' || !Object.prototype.hasOwnProperty.call(PLATFORMS, platform)) {
+    return null;
+  }
+  return PLATFORMS[platform];
+}
+
+/**
+ * Get the identifiers of all registered platforms
+ * @returns {Array<string>} Platform identifiers in registration order
+ */
+function getPlatformIds() {
+  return Object.keys(PLATFORMS);
+}
+
+/**
+ * Check if a platform is registered
+ * @param {string} platform - Platform identifier
+ * @returns {boolean} True if the platform is registered
+ */
+function isSupportedPlatform(platform) {
+  return getPlatform(platform) !== null;
+}
+
+/**
+ * Find the platform whose page hosts include a hostname
+ * @param {string} hostname - Hostname to look up
+ * @returns {Object|null} Platform definition or null if no platform matches
+ */
+function findPlatformByHostname(hostname) {
+  if (!hostname || typeof hostname !== 'string') {
+    return null;
+  }
+
+  const normalized = hostname.toLowerCase();
+  for (const id of getPlatformIds()) {
+    if (PLATFORMS[id].hosts.includes(normalized)) {
+      return PLATFORMS[id];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the platform whose short-link hosts include a hostname
+ * @param {string} hostname - Hostname to look up
+ * @returns {Object|null} Platform definition or null if no platform matches
+ */
+function findPlatformByShortLinkHostname(hostname) {
+  if (!hostname || typeof hostname !== 'string') {
+    return null;
+  }
+
+  const normalized = hostname.toLowerCase();
+  for (const id of getPlatformIds()) {
+    const { shortLinks } = PLATFORMS[id];
+    if (shortLinks && shortLinks.hosts.includes(normalized)) {
+      return PLATFORMS[id];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the nested fields of a definition's sections that are missing or of the wrong type
+ * @param {Object} definition - Platform definition with every required top-level field
+ * @returns {Array<string>} Paths of the invalid fields (e.g. 'posts.containerTags')
+ */
+function findInvalidNestedFields(definition) {
+  const invalid = [];
+
+  for (const [section, fields] of Object.entries(REQUIRED_NESTED_FIELDS)) {
+    for (const [field, type] of Object.entries(fields)) {
+      const value = definition[section] && definition[section][field];
+      const valid = type === 'array' ? Array.isArray(value) : typeof value === type;
+      if (!valid) {
+        invalid.push(`${section}.${field}`);
+      }
+    }
+  }
+
+  return invalid;
+}
+
+/**
+ * Register a platform definition
+ * The definition is rejected if a required field, top-level or nested, is missing,
+ * since every module reads them without further checks
+ * @param {Object} definition - Platform definition (see PLATFORMS)
+ * @returns {boolean} True if the definition was registered
+ */
+function registerPlatform(definition) {
+  if (!definition || typeof definition !== 'object') {
+    console.error('[platforms] Invalid platform definition provided');
+    return false;
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+  if (missing.length > 0) {
+    console.error(`[platforms] Platform definition is missing fields: ${missing.join(', ')}`);
+    return false;
+  }
+
+  const invalid = findInvalidNestedFields(definition);
+  if (invalid.length > 0) {
+    console.error(`[platforms] Platform definition has missing or invalid fields: ${invalid.join(', ')}`);
+    return false;
+  }
+
+  PLATFORMS[definition.id] = definition;
+  return true;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PLATFORMS,
+    LINK_ICON_PATHS,
+    MENU_ITEM_ICONS,
+    DEFAULT_MENU_ITEMS,
+    getPlatform,
+    getPlatformIds,
+    isSupportedPlatform,
+    findPlatformByHostname,
+    findPlatformByShortLinkHostname,
+    registerPlatform
+  };
+}
+
+// Expose to window for content scripts and the popup, or to the service worker global scope
+if (typeof window !== 'undefined') {
+  window.PlatformRegistry = {
+    PLATFORMS,
+    LINK_ICON_PATHS,
+    MENU_ITEM_ICONS,
+    DEFAULT_MENU_ITEMS,
+    getPlatform,
+    getPlatformIds,
+    isSupportedPlatform,
+    findPlatformByHostname,
+    findPlatformByShortLinkHostname,
+    registerPlatform
+  };
+} else if (typeof self !== 'undefined') {
+  self.PlatformRegistry = {
+    PLATFORMS,
+    LINK_ICON_PATHS,
+    MENU_ITEM_ICONS,
+    DEFAULT_MENU_ITEMS,
+    getPlatform,
+    getPlatformIds,
+    isSupportedPlatform,
+    findPlatformByHostname,
+    findPlatformByShortLinkHostname,
+    registerPlatform
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * Platform Registry Tests
+ * Unit tests for platform definitions and their use across modules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  PLATFORMS,
+  getPlatform,
+  getPlatformIds,
+  isSupportedPlatform,
+  findPlatformByHostname,
+  registerPlatform
+} = require('./platforms');
+const { getDefaultConfig, validateConfig } = require('./config');
+const { validatePostUrl, extractPostUrl } = require('../utils/post-url-extractor');
+const { isPostContainer } = require('../utils/post-detector');
+const { getSelectorConfig } = require('../utils/share-menu-detector');
+const { createEmbedLinkMenuItem, injectMenuItem } = require('../utils/share-menu-injector');
+
+/**
+ * Create a minimal platform definition for registry tests
+ */
+function createExamplePlatform() {
+  return {
+    id: 'example',
+    displayName: 'Example',
+    hosts: ['example.social'],
+    postPathPattern: /^\/posts\/\d+/,
+    defaultTargetHostname: 'fixexample.social',
+    shareMenu: {
+      menu: ['div[role="menu"]'],
+      trigger: ['button[data-share]'],
+      menuItems: ['div[role="menuitem"]'],
+      postContainer: ['article']
+    },
+    posts: {
+      primary: ['article'],
+      fallback: [],
+      containerTags: ['ARTICLE'],
+      contentSelectors: ['a']
+    },
+    extraction: {
+      linkSelectors: ['a[href*="/posts/"]'],
+      excludedPaths: [],
+      attributeBaseUrl: null,
+      usePageUrl: false
+    },
+    injection: {
+      menuItemLayout: 'list',
+      injectionPoint: 'menu-items',
+      copyLinkSelector: '[role="menuitem"]'
+    },
+    styling: {
+      successColor: '#00aa00',
+      errorColor: '#aa0000',
+      hoverBackground: 'rgba(0, 0, 0, 0.03)',
+      iconClasses: [],
+      labelClasses: []
+    }
+  };
+}
+
+describe('Platform Registry', () => {
+
+  beforeEach(() => {
+    window.Logger = {
+      log: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    delete PLATFORMS.example;
+  });
+
+  // ============================================================================
+  // UNIT TESTS
+  // ============================================================================
+
+  describe('Unit Tests', () => {
+
+    test('registers Twitter and Instagram by default', () => {
+      expect(getPlatformIds()).toEqual(expect.arrayContaining(['twitter', 'instagram']));
+      expect(getPlatform('twitter').defaultTargetHostname).toBe('fixvx.com');
+      expect(getPlatform('instagram').defaultTargetHostname).toBe('kkinstagram.com');
+    });
+
+    test('getPlatform returns null for unknown or non-string platforms', () => {
+      expect(getPlatform('myspace')).toBeNull();
+      expect(getPlatform('constructor')).toBeNull();
+      expect(getPlatform(null)).toBeNull();
+      expect(getPlatform({})).toBeNull();
+      expect(isSupportedPlatform('myspace')).toBe(false);
+    });
+
+    test('findPlatformByHostname matches any page host of a platform', () => {
+      expect(findPlatformByHostname('x.com').id).toBe('twitter');
+      expect(findPlatformByHostname('TWITTER.COM').id).toBe('twitter');
+      expect(findPlatformByHostname('instagram.com').id).toBe('instagram');
+      expect(findPlatformByHostname('example.com')).toBeNull();
+    });
+
+    test('every sample post URL is a valid post URL of its platform', () => {
+      for (const platformId of getPlatformIds()) {
+        const { samplePostUrl } = getPlatform(platformId);
+        expect(validatePostUrl(samplePostUrl, platformId)).toBe(true);
+      }
+    });
+
+    test('every manifest runs the content script and has host access on every page host', () => {
+      for (const manifestFile of ['manifest.json', 'manifest-firefox.json', 'manifest-chrome.json']) {
+        const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', manifestFile), 'utf8'));
+        const hostPermissions = manifest.host_permissions || manifest.permissions;
+
+        for (const platformId of getPlatformIds()) {
+          const contentScript = manifest.content_scripts
+            .find(script => script.js.includes(`content/${platformId}-share-menu.js`));
+
+          for (const host of getPlatform(platformId).hosts) {
+            expect(contentScript.matches).toContain(`*://${host}/*`);
+            expect(hostPermissions).toContain(`*://${host}/*`);
+          }
+        }
+      }
+    });
+
+    test('registerPlatform rejects incomplete definitions', () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      expect(registerPlatform({ id: 'broken' })).toBe(false);
+      expect(registerPlatform(null)).toBe(false);
+      expect(isSupportedPlatform('broken')).toBe(false);
+      console.error.mockRestore();
+    });
+
+    test('registerPlatform rejects definitions with missing or invalid nested fields', () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      const definition = createExamplePlatform();
+      delete definition.posts.containerTags;
+      definition.extraction.linkSelectors = 'a[href*="/posts/"]';
+      delete definition.injection.copyLinkSelector;
+
+      expect(registerPlatform(definition)).toBe(false);
+      expect(isSupportedPlatform('example')).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining(
+        'posts.containerTags, extraction.linkSelectors, injection.copyLinkSelector'
+      ));
+      console.error.mockRestore();
+    });
+
+    test('every built-in platform passes registration', () => {
+      for (const platformId of getPlatformIds()) {
+        expect(registerPlatform(getPlatform(platformId))).toBe(true);
+      }
+    });
+  });
+
+  // ============================================================================
+  // REGISTRY CONSUMERS
+  // ============================================================================
+
+  describe('Registered platforms are picked up by every module', () => {
+
+    test('a single definition enables config, validation, detection and injection', () => {
+      expect(registerPlatform(createExamplePlatform())).toBe(true);
+
+      // Config defaults and validation
+      const config = getDefaultConfig();
+      expect(config.example).toEqual({
+        enabled: true,
+        targetHostname: 'fixexample.social',
+        fallbackHostnames: [],
+        menuItems: [{ label: 'Copy embed link', icon: 'link' }],
+        queryPolicy: { mode: 'strip-tracking', allowlist: [] },
+        rewriteRules: [],
+        translateTo: '',
+        inlineButton: false,
+        copyFormat: 'url'
+      });
+      expect(validateConfig({ ...config, example: { enabled: 'yes' } })).toBe(false);
+
+      // Post URL validation and extraction
+      expect(validatePostUrl('https://example.social/posts/42', 'example')).toBe(true);
+      expect(validatePostUrl('https://example.social/users/42', 'example')).toBe(false);
+
+      const article = document.createElement('article');
+      const link = document.createElement('a');
+      link.href = 'https://example.social/posts/42?ref=feed';
+      article.appendChild(link);
+      expect(extractPostUrl(article, 'example')).toBe('https://example.social/posts/42?ref=feed');
+
+      // Post and share menu detection
+      article.getBoundingClientRect = () => ({ width: 100, height: 100 });
+      link.textContent = 'Post';
+      expect(isPostContainer(article, 'example')).toBe(true);
+      expect(getSelectorConfig('example').trigger).toEqual(['button[data-share]']);
+
+      // Menu item injection
+      const menuItem = createEmbedLinkMenuItem('https://example.social/posts/42', 'fixexample.social', 'example');
+      expect(menuItem).not.toBeNull();
+      expect(menuItem.getAttribute('role')).toBe('menuitem');
+      expect(menuItem.getAttribute('data-platform')).toBe('example');
+    });
+
+    test('TikTok menu item is injected right after the native Copy link entry', () => {
+      const menu = document.createElement('div');
+      menu.setAttribute('data-e2e', 'share-group');
+      const list = document.createElement('div');
+      const copyLink = document.createElement('button');
+      copyLink.textContent = 'Copy link';
+      const embed = document.createElement('a');
+      embed.textContent = 'Embed';
+      list.append(copyLink, embed);
+      menu.appendChild(list);
+
+      const menuItem = createEmbedLinkMenuItem('https://www.tiktok.com/@user/video/1', 'vxtiktok.com', 'tiktok');
+      expect(injectMenuItem(menuItem, menu, 'tiktok')).toBe(true);
+      expect(copyLink.nextSibling).toBe(menuItem);
+    });
+  });
+});
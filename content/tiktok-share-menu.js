@@ -0,0 +1,55 @@
+/**
+ * TikTok Share Menu Integration
+ * Thin wrapper that configures the share menu integration module for TikTok
+ */
+
+// Import utilities (these are loaded via manifest)
+// ShareMenuIntegration, Config
+
+let integration = null;
+
+/**
+ * Initialize TikTok share menu integration
+ */
+async function init() {
+  try {
+    // Initialize using the share menu integration module
+    integration = await window.ShareMenuIntegration.initializeShareMenuIntegration({
+      platform: 'tiktok',
+      platformKey: 'tiktok',
+      getConfig: getConfig
+    });
+    
+    // Store integration for cleanup if needed
+    window.tiktokIntegration = integration;
+  } catch (error) {
+    console.error('[tiktok-share-menu] Initialization error:', error);
+  }
+}
+
+/**
+ * Get configuration from storage
+ * Delegates to the shared Config module (config/config.js, loaded via manifest),
+ * the same implementation used by the background script and the popup
+ * @returns {Promise<Object>} Configuration object
+ */
+async function getConfig() {
+  return await window.Config.getConfig();
+}
+
+// Initialize when DOM is ready (skip in test environment)
+if (typeof process === 'undefined' || process.env.NODE_ENV !== 'test') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+}
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    init,
+    getConfig
+  };
+}
@@ -29,47 +29,12 @@ async function init() {
 
 /**
  * Get configuration from storage
+ * Delegates to the shared Config module (config/config.js, loaded via manifest),
+ * the same implementation used by the background script and the popup
  * @returns {Promise<Object>} Configuration object
  */
 async function getConfig() {
-  // Delegate to Config module if available
-  if (window.Config && window.Config.getConfig) {
-    return await window.Config.getConfig();
-  }
-  
-  // Fallback to direct storage access
-  try {
-    const result = await browser.storage.sync.get('config');
-    
-    if (!result.config) {
-      // Return default config
-      return {
-        twitter: {
-          enabled: true,
-          targetHostname: 'fixvx.com'
-        },
-        instagram: {
-          enabled: true,
-          targetHostname: 'kkinstagram.com'
-        }
-      };
-    }
-    
-    return result.config;
-  } catch (error) {
-    console.error('[twitter-share-menu] Error loading config:', error);
-    // Return default config on error
-    return {
-      twitter: {
-        enabled: true,
-        targetHostname: 'fixvx.com'
-      },
-      instagram: {
-        enabled: true,
-        targetHostname: 'kkinstagram.com'
-      }
-    };
-  }
+  return await window.Config.getConfig();
 }
 
 // Initialize when DOM is ready (skip in test environment)
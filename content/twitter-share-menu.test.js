@@ -102,57 +102,6 @@ describe('Twitter Share Menu', () => {
       });
     });
 
-    test('getConfig() should fall back to direct storage access when Config module unavailable', async () => {
-      // Remove Config module
-      delete window.Config;
-      
-      // Call getConfig
-      const config = await getConfig();
-      
-      // Verify browser.storage was called
-      expect(browser.storage.sync.get).toHaveBeenCalledWith('config');
-      
-      // Verify correct config was returned
-      expect(config).toEqual({
-        twitter: { enabled: true, targetHostname: 'fixvx.com' },
-        instagram: { enabled: true, targetHostname: 'kkinstagram.com' }
-      });
-    });
-
-    test('getConfig() should return default config when storage is empty', async () => {
-      // Remove Config module
-      delete window.Config;
-      
-      // Mock empty storage
-      browser.storage.sync.get.mockResolvedValue({});
-      
-      // Call getConfig
-      const config = await getConfig();
-      
-      // Verify default config was returned
-      expect(config).toEqual({
-        twitter: { enabled: true, targetHostname: 'fixvx.com' },
-        instagram: { enabled: true, targetHostname: 'kkinstagram.com' }
-      });
-    });
-
-    test('getConfig() should return default config on storage error', async () => {
-      // Remove Config module
-      delete window.Config;
-      
-      // Mock storage error
-      browser.storage.sync.get.mockRejectedValue(new Error('Storage error'));
-      
-      // Call getConfig
-      const config = await getConfig();
-      
-      // Verify default config was returned
-      expect(config).toEqual({
-        twitter: { enabled: true, targetHostname: 'fixvx.com' },
-        instagram: { enabled: true, targetHostname: 'kkinstagram.com' }
-      });
-    });
-
     test('init() should pass getConfig function that works correctly', async () => {
       // Call init
       await init();
@@ -0,0 +1,1010 @@
+// Options page script for Embed Link Helper extension
+// Handles the full configuration UI and user interactions
+// Note: browser-polyfill.js, config/platforms.js, config/config.js and the
+// post-url-extractor.js, url-transformer.js and link-converter.js utilities are
+// loaded before this script in options.html; all validation goes through window.Config
+
+// Platforms configurable from the options page, in display order
+const PLATFORM_KEYS = window.PlatformRegistry.getPlatformIds();
+
+// Icons available for share menu items
+const MENU_ITEM_ICON_NAMES = Object.keys(window.PlatformRegistry.MENU_ITEM_ICONS);
+
+// DOM elements
+let healthCheckEndpointInput;
+let menuItemsInput;
+let rewriteRulesInput;
+let debugLoggingCheckbox;
+let keepCopyHistoryCheckbox;
+let saveButton;
+let errorMessage;
+let importFileInput;
+let importPreview;
+let previewUrlInput;
+
+// Settings file being previewed: { currentConfig, importedConfig }
+let pendingImport = null;
+
+// Host permission patterns the health checks need, from the latest diagnostics
+let healthCheckOrigins = [];
+
+/**
+ * Initialize options page when DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  renderPlatformSettings();
+
+  // Get DOM elements
+  healthCheckEndpointInput = document.getElementById('health-check-endpoint');
+  menuItemsInput = document.getElementById('menu-items');
+  rewriteRulesInput = document.getElementById('rewrite-rules');
+  debugLoggingCheckbox = document.getElementById('debug-logging');
+  keepCopyHistoryCheckbox = document.getElementById('keep-copy-history');
+  saveButton = document.getElementById('save-button');
+  errorMessage = document.getElementById('error-message');
+  importFileInput = document.getElementById('import-file');
+  importPreview = document.getElementById('import-preview');
+  previewUrlInput = document.getElementById('preview-url');
+
+  // Offer a sample post URL of every platform in the link preview
+  const previewSamples = document.getElementById('preview-samples');
+  for (const platformKey of PLATFORM_KEYS) {
+    const { samplePostUrl } = window.PlatformRegistry.getPlatform(platformKey);
+    if (samplePostUrl) {
+      const option = document.createElement('option');
+      option.value = samplePostUrl;
+      previewSamples.appendChild(option);
+    }
+  }
+  previewUrlInput.value = previewSamples.options.length > 0 ? previewSamples.options[0].value : '';
+
+  // Load current configuration
+  await loadCurrentConfig();
+  updateLinkPreview();
+  await loadDiagnostics();
+
+  // Set up event listeners
+  saveButton.addEventListener('click', saveConfiguration);
+
+  // Settings export and import
+  document.getElementById('export-button').addEventListener('click', exportConfiguration);
+  document.getElementById('import-button').addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', previewImportFile);
+  document.getElementById('import-apply-button').addEventListener('click', applyImport);
+  document.getElementById('import-cancel-button').addEventListener('click', cancelImport);
+  for (const modeInput of document.querySelectorAll('input[name="import-mode"]')) {
+    modeInput.addEventListener('change', renderImportPreview);
+  }
+
+  // Update the link preview as the URL or any setting is edited
+  previewUrlInput.addEventListener('input', updateLinkPreview);
+  const settings = document.querySelector('.settings');
+  settings.addEventListener('input', updateLinkPreview);
+  settings.addEventListener('change', updateLinkPreview);
+
+  // Diagnostics
+  document.getElementById('probe-hosts-button').addEventListener('click', probeHostsNow);
+
+  // Allow saving with Enter key
+  for (const platformKey of PLATFORM_KEYS) {
+    document.getElementById(`${platformKey}-hostname`).addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        saveConfiguration();
+      }
+    });
+  }
+
+  // Clear error messages when user starts typing
+  for (const field of document.querySelectorAll('.settings input[type="text"], .settings textarea, .settings select')) {
+    field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => {
+      clearFieldError(field.id);
+      displayError('');
+    });
+  }
+
+  // Only show the allowlist field when the allowlist policy is selected
+  for (const platformKey of PLATFORM_KEYS) {
+    document.getElementById(`${platformKey}-query-policy`).addEventListener('change', () => {
+      updateQueryAllowlistVisibility(platformKey);
+    });
+    // Allowlist errors are shown on the policy select
+    document.getElementById(`${platformKey}-query-allowlist`).addEventListener('input', () => {
+      clearFieldError(`${platformKey}-query-policy`);
+    });
+  }
+});
+
+/**
+ * Add the settings group of every registered platform from the page's template
+ * Fields get "<platform>-<field>" ids, e.g. "twitter-hostname"
+ */
+function renderPlatformSettings() {
+  const template = document.getElementById('platform-settings-template');
+  const container = document.getElementById('platform-settings');
+
+  for (const platformKey of PLATFORM_KEYS) {
+    const platform = window.PlatformRegistry.getPlatform(platformKey);
+    const group = template.content.cloneNode(true);
+    const texts = {
+      enable: `Enable ${platform.displayName}`,
+      hostnames: `${platform.displayName} Target Hostnames:`
+    };
+
+    for (const field of group.querySelectorAll('[data-field]')) {
+      field.id = `${platformKey}-${field.dataset.field}`;
+    }
+    for (const label of group.querySelectorAll('[data-for]')) {
+      label.htmlFor = `${platformKey}-${label.dataset.for}`;
+    }
+    for (const element of group.querySelectorAll('[data-text]')) {
+      element.textContent = texts[element.dataset.text];
+    }
+    group.querySelector('[data-field="hostname"]').placeholder =
+      [platform.defaultTargetHostname, ...(platform.fallbackTargetHostnames || [])].join(', ');
+
+    container.appendChild(group);
+  }
+}
+
+/**
+ * Load current configuration from storage and display in UI
+ * Implements requirement 3.4: Display currently configured Target Hostnames
+ */
+async function loadCurrentConfig() {
+  try {
+    // Request config from background script
+    const response = await browser.runtime.sendMessage({ action: 'getConfig' });
+
+    if (response && response.success && response.config) {
+      const config = response.config;
+
+      // Populate input fields with current values
+      for (const platformKey of PLATFORM_KEYS) {
+        if (config[platformKey] && config[platformKey].targetHostname) {
+          document.getElementById(`${platformKey}-hostname`).value = formatHostnameList(config[platformKey]);
+        }
+        document.getElementById(`${platformKey}-enabled`).checked =
+          Boolean(config[platformKey] && config[platformKey].enabled);
+        loadQueryPolicy(platformKey, config[platformKey] && config[platformKey].queryPolicy);
+        document.getElementById(`${platformKey}-translate-to`).value =
+          (config[platformKey] && config[platformKey].translateTo) || '';
+        document.getElementById(`${platformKey}-inline-button`).checked =
+          Boolean(config[platformKey] && config[platformKey].inlineButton);
+        document.getElementById(`${platformKey}-copy-format`).value =
+          (config[platformKey] && config[platformKey].copyFormat) || 'url';
+      }
+
+      menuItemsInput.value = formatMenuItemLines(config);
+      rewriteRulesInput.value = formatRewriteRuleLines(config);
+
+      if (config.healthCheckEndpoint) {
+        healthCheckEndpointInput.value = config.healthCheckEndpoint;
+      }
+
+      // Set debug logging checkbox
+      if (config.debugLogging !== undefined) {
+        debugLoggingCheckbox.checked = config.debugLogging;
+      }
+      keepCopyHistoryCheckbox.checked = config.keepCopyHistory !== false;
+
+      lockManagedFields(response.managedPaths || []);
+    } else {
+      // If no config, leave placeholders visible
+      console.log('No configuration found, using defaults');
+    }
+  } catch (error) {
+    console.error('Error loading configuration:', error);
+    displayError('Failed to load configuration. Please try again.');
+  }
+}
+
+/**
+ * Format a platform's target hostname and fallbacks for an input field
+ * @param {Object} platformConfig - Platform configuration
+ * @returns {string} Comma-separated hostnames, primary first
+ */
+function formatHostnameList(platformConfig) {
+  return [platformConfig.targetHostname, ...(platformConfig.fallbackHostnames || [])].join(', ');
+}
+
+/**
+ * Parse a comma-separated list of hostnames from an input field
+ * @param {string} value - Input field value
+ * @returns {Array<string>} Hostnames in the entered order
+ */
+function parseHostnameList(value) {
+  return value.split(',').map(hostname => hostname.trim()).filter(hostname => hostname.length > 0);
+}
+
+/**
+ * Format the share menu items of every platform, one "platform | label | hostname | icon | format" line per item
+ * The format is left out for items that use the platform's copy format
+ * @param {Object} config - Configuration object
+ * @returns {string} Menu item lines in menu order
+ */
+function formatMenuItemLines(config) {
+  const lines = [];
+  for (const platformKey of PLATFORM_KEYS) {
+    const items = (config[platformKey] && config[platformKey].menuItems) || [];
+    for (const item of items) {
+      const fields = [platformKey, item.label, item.targetHostname || '', item.icon || 'link'];
+      lines.push((item.format ? [...fields, item.format] : fields).join(' | '));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse share menu item lines entered on the options page
+ * Platforms without lines get an empty list, which injects the default item
+ * @param {string} value - Textarea value
+ * @returns {Object} { menuItems: per-platform item lists, error: message or null }
+ */
+function parseMenuItemLines(value) {
+  const menuItems = {};
+  for (const platformKey of PLATFORM_KEYS) {
+    menuItems[platformKey] = [];
+  }
+
+  const lines = value.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  for (const [index, line] of lines.entries()) {
+    const [platformKey, label, hostname, icon, format] = line.split('|').map(part => part.trim());
+    const lineError = `Invalid share menu item on line ${index + 1}.`;
+
+    if (!PLATFORM_KEYS.includes(platformKey)) {
+      return { menuItems, error: `${lineError} Unknown platform "${platformKey}".` };
+    }
+    if (!label || label.length > window.Config.MAX_MENU_ITEM_LABEL_LENGTH) {
+      return { menuItems, error: `${lineError} Please enter a label of at most ${window.Config.MAX_MENU_ITEM_LABEL_LENGTH} characters.` };
+    }
+    if (hostname && !window.Config.validateHostname(hostname)) {
+      return { menuItems, error: `${lineError} Please enter a valid hostname without protocol or paths.` };
+    }
+    if (icon && !MENU_ITEM_ICON_NAMES.includes(icon)) {
+      return { menuItems, error: `${lineError} Icon must be one of: ${MENU_ITEM_ICON_NAMES.join(', ')}.` };
+    }
+    if (format && !window.Config.COPY_FORMATS.includes(format)) {
+      return { menuItems, error: `${lineError} Format must be one of: ${window.Config.COPY_FORMATS.join(', ')}.` };
+    }
+
+    const item = { label, icon: icon || 'link' };
+    if (hostname) {
+      item.targetHostname = hostname;
+    }
+    if (format) {
+      item.format = format;
+    }
+    menuItems[platformKey].push(item);
+  }
+
+  return { menuItems, error: null };
+}
+
+/**
+ * Format the rewrite rules of every platform, one "platform | pattern => target" line per rule
+ * @param {Object} config - Configuration object
+ * @returns {string} Rewrite rule lines in priority order
+ */
+function formatRewriteRuleLines(config) {
+  const lines = [];
+  for (const platformKey of PLATFORM_KEYS) {
+    const rules = (config[platformKey] && config[platformKey].rewriteRules) || [];
+    for (const rule of rules) {
+      const target = (rule.hostname || '') + (rule.path || '') + (rule.query !== undefined ? `?${rule.query}` : '');
+      lines.push(`${platformKey} | ${rule.match} => ${target}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse a rewrite rule target of the form [hostname]/path[?query]
+ * A target starting with "/" or "?" keeps the selected hostname
+ * @param {string} target - Target template
+ * @returns {Object} Rule fields: { hostname, path, query }, unset parts omitted
+ */
+function parseRewriteTarget(target) {
+  const rule = {};
+  const queryIndex = target.indexOf('?');
+  const location = queryIndex === -1 ? target : target.slice(0, queryIndex);
+  const pathIndex = location.indexOf('/');
+
+  if (pathIndex !== 0 && location.length > 0) {
+    rule.hostname = pathIndex === -1 ? location : location.slice(0, pathIndex);
+  }
+  if (pathIndex !== -1) {
+    rule.path = location.slice(pathIndex);
+  }
+  if (queryIndex !== -1) {
+    rule.query = target.slice(queryIndex + 1);
+  }
+  return rule;
+}
+
+/**
+ * Parse rewrite rule lines entered on the options page
+ * @param {string} value - Textarea value
+ * @returns {Object} { rewriteRules: per-platform rule lists, error: message or null }
+ */
+function parseRewriteRuleLines(value) {
+  const rewriteRules = {};
+  for (const platformKey of PLATFORM_KEYS) {
+    rewriteRules[platformKey] = [];
+  }
+
+  const lines = value.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  for (const [index, line] of lines.entries()) {
+    const lineError = `Invalid rewrite rule on line ${index + 1}.`;
+    const separatorIndex = line.indexOf('|');
+    const arrowIndex = line.lastIndexOf('=>');
+    if (separatorIndex === -1 || arrowIndex < separatorIndex) {
+      return { rewriteRules, error: `${lineError} Please use: platform | pattern => target.` };
+    }
+
+    const platformKey = line.slice(0, separatorIndex).trim();
+    const match = line.slice(separatorIndex + 1, arrowIndex).trim();
+    const target = line.slice(arrowIndex + 2).trim();
+
+    if (!PLATFORM_KEYS.includes(platformKey)) {
+      return { rewriteRules, error: `${lineError} Unknown platform "${platformKey}".` };
+    }
+    if (!match || !target) {
+      return { rewriteRules, error: `${lineError} Please enter a path pattern and a target.` };
+    }
+
+    const rule = { match, ...parseRewriteTarget(target) };
+    if (!window.Config.validateRewriteRules([rule])) {
+      return { rewriteRules, error: `${lineError} Please enter a valid regular expression and a target with a valid hostname.` };
+    }
+    rewriteRules[platformKey].push(rule);
+  }
+
+  return { rewriteRules, error: null };
+}
+
+/**
+ * Populate a platform's query policy fields
+ * @param {string} platformKey - Platform identifier
+ * @param {Object} queryPolicy - Stored policy: { mode, allowlist }
+ */
+function loadQueryPolicy(platformKey, queryPolicy) {
+  const policy = queryPolicy || window.Config.DEFAULT_QUERY_POLICY;
+  document.getElementById(`${platformKey}-query-policy`).value = policy.mode;
+  document.getElementById(`${platformKey}-query-allowlist`).value = (policy.allowlist || []).join(', ');
+  updateQueryAllowlistVisibility(platformKey);
+}
+
+/**
+ * Show a platform's allowlist field only when the allowlist policy is selected
+ * @param {string} platformKey - Platform identifier
+ */
+function updateQueryAllowlistVisibility(platformKey) {
+  const mode = document.getElementById(`${platformKey}-query-policy`).value;
+  document.getElementById(`${platformKey}-query-allowlist`).hidden = mode !== 'allowlist';
+}
+
+/**
+ * Read a platform's query policy from the options page fields
+ * @param {string} platformKey - Platform identifier
+ * @returns {Object} { queryPolicy } or { error } when a parameter name is invalid
+ */
+function readQueryPolicy(platformKey) {
+  const mode = document.getElementById(`${platformKey}-query-policy`).value;
+  const allowlist = document.getElementById(`${platformKey}-query-allowlist`).value
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+
+  const queryPolicy = { mode, allowlist };
+  if (!window.Config.validateQueryPolicy(queryPolicy)) {
+    return { error: `Invalid query parameter name for ${platformKey}. Please enter parameter names separated by commas.` };
+  }
+
+  return { queryPolicy };
+}
+
+/**
+ * Read a platform's "translate embeds to" language code from the options page
+ * Translation needs at least one of the platform's hosts to support it
+ * @param {string} platformKey - Platform identifier
+ * @param {Array<string>} hostnames - The platform's target hostnames
+ * @returns {Object} { translateTo } or { error } when the setting cannot be used
+ */
+function readTranslateTo(platformKey, hostnames) {
+  const translateTo = document.getElementById(`${platformKey}-translate-to`).value.trim().toLowerCase();
+
+  const translationHostnames = window.PlatformRegistry.getPlatform(platformKey).translationHostnames || [];
+
+  if (!window.Config.validateLanguageCode(translateTo)) {
+    return { error: `Invalid language code for ${platformKey}. Please enter a code such as en or pt-br.` };
+  }
+  if (translateTo && !hostnames.some(hostname => translationHostnames.includes(hostname.toLowerCase()))) {
+    const supported = translationHostnames.length > 0 ? ` Use one of: ${translationHostnames.join(', ')}.` : '';
+    return { error: `None of the ${platformKey} hosts support translation.${supported}` };
+  }
+
+  return { translateTo };
+}
+
+/**
+ * Save configuration with validation
+ * Implements requirements 3.3: Persist new hostname values
+ * Implements requirement 7.3: Validate before saving
+ * Errors are shown next to the fields they belong to
+ */
+async function saveConfiguration() {
+  try {
+    clearFieldErrors();
+    const errors = [];
+
+    // Get input values and trim whitespace; every platform needs at least one
+    // hostname, config validation checks the rest
+    const hostnameLists = {};
+    for (const platformKey of PLATFORM_KEYS) {
+      hostnameLists[platformKey] = parseHostnameList(document.getElementById(`${platformKey}-hostname`).value);
+      if (hostnameLists[platformKey].length === 0) {
+        const name = window.PlatformRegistry.getPlatform(platformKey).displayName;
+        errors.push({
+          path: `${platformKey}.targetHostname`,
+          code: 'required',
+          message: `Invalid ${name} hostname. Please enter valid hostnames without protocol or paths, separated by commas.`
+        });
+      }
+    }
+
+    // Empty health check endpoint means the default endpoint
+    const healthCheckEndpoint = healthCheckEndpointInput.value.trim() || window.Config.DEFAULT_HEALTH_CHECK_ENDPOINT;
+
+    // Parse share menu items and rewrite rules
+    const { menuItems, error: menuItemsError } = parseMenuItemLines(menuItemsInput.value);
+    if (menuItemsError) {
+      errors.push({ path: 'menuItems', code: 'invalid_line', message: menuItemsError });
+    }
+
+    const { rewriteRules, error: rewriteRulesError } = parseRewriteRuleLines(rewriteRulesInput.value);
+    if (rewriteRulesError) {
+      errors.push({ path: 'rewriteRules', code: 'invalid_line', message: rewriteRulesError });
+    }
+
+    // Read translation languages and query policies
+    const translateToValues = {};
+    const queryPolicies = {};
+    for (const platformKey of PLATFORM_KEYS) {
+      const { translateTo, error: translateToError } = readTranslateTo(platformKey, hostnameLists[platformKey]);
+      if (translateToError) {
+        errors.push({ path: `${platformKey}.translateTo`, code: 'unsupported', message: translateToError });
+      }
+      translateToValues[platformKey] = translateTo;
+
+      const { queryPolicy, error: queryPolicyError } = readQueryPolicy(platformKey);
+      if (queryPolicyError) {
+        errors.push({ path: `${platformKey}.queryPolicy`, code: 'invalid_query_policy', message: queryPolicyError });
+      }
+      queryPolicies[platformKey] = queryPolicy;
+    }
+
+    if (errors.length > 0) {
+      displayConfigErrors(errors);
+      return;
+    }
+
+    // Create configuration object
+    const config = {};
+    for (const platformKey of PLATFORM_KEYS) {
+      const hostnames = hostnameLists[platformKey];
+      config[platformKey] = {
+        enabled: document.getElementById(`${platformKey}-enabled`).checked,
+        targetHostname: hostnames[0],
+        fallbackHostnames: hostnames.slice(1),
+        menuItems: menuItems[platformKey],
+        queryPolicy: queryPolicies[platformKey],
+        rewriteRules: rewriteRules[platformKey],
+        translateTo: translateToValues[platformKey],
+        inlineButton: document.getElementById(`${platformKey}-inline-button`).checked,
+        copyFormat: document.getElementById(`${platformKey}-copy-format`).value
+      };
+    }
+    config.healthCheckEndpoint = healthCheckEndpoint;
+    config.debugLogging = debugLoggingCheckbox.checked;
+    config.keepCopyHistory = keepCopyHistoryCheckbox.checked;
+
+    // Check the whole object with the same validation the background script applies
+    const configErrors = window.Config.getConfigErrors(config);
+    if (configErrors.length > 0) {
+      displayConfigErrors(configErrors);
+      return;
+    }
+
+    // Send save request to background script; fields locked by an organization
+    // policy show the policy's values, the background keeps the user's own instead
+    const response = await browser.runtime.sendMessage({
+      action: 'saveConfig',
+      data: config
+    });
+
+    if (response && response.success) {
+      // Show success feedback
+      displayError(''); // Clear any errors
+      saveButton.textContent = 'Saved!';
+      saveButton.style.backgroundColor = '#4CAF50';
+
+      // Reset button after 2 seconds
+      setTimeout(() => {
+        saveButton.textContent = 'Save Configuration';
+        saveButton.style.backgroundColor = '';
+      }, 2000);
+    } else if (response && response.errors && response.errors.length > 0) {
+      displayConfigErrors(response.errors);
+    } else {
+      displayError(response?.error || 'Failed to save configuration. Please try again.');
+    }
+  } catch (error) {
+    console.error('Error saving configuration:', error);
+    displayError('Failed to save configuration. Please try again.');
+  }
+}
+
+/**
+ * Display error message in the UI
+ * Implements requirement: Add error message display functionality
+ * @param {string} message - Error message to display
+ */
+function displayError(message) {
+  if (errorMessage) {
+    errorMessage.textContent = message;
+  }
+}
+
+/**
+ * Get the options page field that edits a configuration path
+ * @param {string} path - Path of a validation error (e.g. 'twitter.fallbackHostnames[1]')
+ * @returns {string|null} Field element id, or null if no field edits the path
+ */
+function getFieldIdForPath(path) {
+  const [key, field] = path.split(/[.[]/);
+
+  if (key === 'healthCheckEndpoint') {
+    return 'health-check-endpoint';
+  }
+  if (key === 'debugLogging') {
+    return 'debug-logging';
+  }
+  if (key === 'keepCopyHistory') {
+    return 'keep-copy-history';
+  }
+  if (key === 'menuItems' || field === 'menuItems') {
+    return 'menu-items';
+  }
+  if (key === 'rewriteRules' || field === 'rewriteRules') {
+    return 'rewrite-rules';
+  }
+  if (!PLATFORM_KEYS.includes(key)) {
+    return null;
+  }
+
+  const fieldIds = {
+    enabled: `${key}-enabled`,
+    targetHostname: `${key}-hostname`,
+    fallbackHostnames: `${key}-hostname`,
+    queryPolicy: `${key}-query-policy`,
+    translateTo: `${key}-translate-to`,
+    inlineButton: `${key}-inline-button`,
+    copyFormat: `${key}-copy-format`
+  };
+  return fieldIds[field] || null;
+}
+
+/**
+ * Show an error message next to a field
+ * @param {string} fieldId - Field element id
+ * @param {string} message - Error message to display
+ */
+function displayFieldError(fieldId, message) {
+  const field = document.getElementById(fieldId);
+  if (!field) {
+    return;
+  }
+
+  field.classList.add('invalid');
+  field.setAttribute('aria-invalid', 'true');
+
+  let fieldError = document.getElementById(`${fieldId}-error`);
+  if (!fieldError) {
+    fieldError = document.createElement('p');
+    fieldError.id = `${fieldId}-error`;
+    fieldError.className = 'field-error';
+    field.setAttribute('aria-describedby', fieldError.id);
+    field.closest('.setting-group').appendChild(fieldError);
+  }
+  fieldError.textContent = fieldError.textContent ? `${fieldError.textContent} ${message}` : message;
+}
+
+/**
+ * Remove the error shown next to a field
+ * @param {string} fieldId - Field element id
+ */
+function clearFieldError(fieldId) {
+  const field = document.getElementById(fieldId);
+  const fieldError = document.getElementById(`${fieldId}-error`);
+
+  if (field) {
+    field.classList.remove('invalid');
+    field.removeAttribute('aria-invalid');
+    field.removeAttribute('aria-describedby');
+  }
+  if (fieldError) {
+    fieldError.remove();
+  }
+}
+
+/**
+ * Remove the errors shown next to every field
+ */
+function clearFieldErrors() {
+  for (const fieldError of document.querySelectorAll('.field-error')) {
+    clearFieldError(fieldError.id.replace(/-error$/, ''));
+  }
+}
+
+/**
+ * Show validation errors next to the fields they belong to
+ * Errors without a matching field are shown in the general error area
+ * @param {Array<Object>} errors - Error entries: { path, code, message }
+ */
+function displayConfigErrors(errors) {
+  clearFieldErrors();
+  const generalMessages = [];
+
+  for (const error of errors) {
+    const fieldId = getFieldIdForPath(error.path);
+    if (fieldId) {
+      displayFieldError(fieldId, error.message);
+    } else {
+      generalMessages.push(error.message);
+    }
+  }
+
+  displayError(generalMessages.length > 0 ? generalMessages.join(' ') : 'Please fix the highlighted settings.');
+}
+
+/**
+ * Request the current configuration from the background script
+ * @returns {Promise<Object>} Configuration object
+ * @throws {Error} If the background script cannot provide it
+ */
+async function requestCurrentConfig() {
+  const response = await browser.runtime.sendMessage({ action: 'getConfig' });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to load configuration');
+  }
+  return response.config;
+}
+
+/**
+ * Download the current configuration as a JSON settings file
+ */
+async function exportConfiguration() {
+  try {
+    const config = await requestCurrentConfig();
+    const blob = new Blob([window.Config.exportConfig(config)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'embed-link-helper-settings.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting configuration:', error);
+    displayError('Failed to export settings. Please try again.');
+  }
+}
+
+/**
+ * Read a file selected by the user as text
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} File contents
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Validate the selected settings file and show what importing it would change
+ */
+async function previewImportFile() {
+  const file = importFileInput.files[0];
+  if (!file) {
+    return;
+  }
+
+  try {
+    const text = await readFileAsText(file);
+    importFileInput.value = '';
+
+    const { config: importedConfig, errors } = window.Config.parseConfigImport(text);
+    if (errors.length > 0) {
+      cancelImport();
+      displayError(`Cannot import ${file.name}: ${errors.map(error => error.message).join(' ')}`);
+      return;
+    }
+
+    pendingImport = { currentConfig: await requestCurrentConfig(), importedConfig };
+    displayError('');
+    renderImportPreview();
+  } catch (error) {
+    console.error('Error reading settings file:', error);
+    displayError('Failed to read the settings file. Please try again.');
+  }
+}
+
+/**
+ * Get the import mode selected in the preview
+ * @returns {string} 'merge' or 'replace'
+ */
+function getImportMode() {
+  return document.querySelector('input[name="import-mode"]:checked').value;
+}
+
+/**
+ * Format a setting value for the import preview
+ * @param {*} value - Setting value
+ * @returns {string} Short text representation
+ */
+function formatSettingValue(value) {
+  return value === undefined ? '(not set)' : JSON.stringify(value);
+}
+
+/**
+ * Show the changes the pending import would make with the selected mode
+ */
+function renderImportPreview() {
+  if (!pendingImport) {
+    return;
+  }
+
+  const { currentConfig, importedConfig } = pendingImport;
+  const nextConfig = window.Config.buildImportedConfig(currentConfig, importedConfig, getImportMode());
+  const changes = window.Config.diffConfig(currentConfig, nextConfig);
+
+  const summary = document.getElementById('import-summary');
+  const changeList = document.getElementById('import-changes');
+  summary.textContent = changes.length === 0
+    ? 'The imported settings match your current settings.'
+    : `${changes.length} setting${changes.length === 1 ? '' : 's'} will change:`;
+
+  changeList.textContent = '';
+  for (const change of changes) {
+    const item = document.createElement('li');
+    item.textContent = `${change.path}: ${formatSettingValue(change.before)} → ${formatSettingValue(change.after)}`;
+    changeList.appendChild(item);
+  }
+
+  importPreview.hidden = false;
+}
+
+/**
+ * Save the pending import through the background script and reload the form
+ */
+async function applyImport() {
+  if (!pendingImport) {
+    return;
+  }
+
+  try {
+    const { currentConfig, importedConfig } = pendingImport;
+    const config = window.Config.buildImportedConfig(currentConfig, importedConfig, getImportMode());
+
+    const response = await browser.runtime.sendMessage({
+      action: 'saveConfig',
+      data: config
+    });
+
+    if (response && response.success) {
+      cancelImport();
+      clearFieldErrors();
+      await loadCurrentConfig();
+      displayError('');
+    } else {
+      const messages = (response?.errors || []).map(error => error.message);
+      displayError(messages.length > 0 ? messages.join(' ') : response?.error || 'Failed to import settings. Please try again.');
+    }
+  } catch (error) {
+    console.error('Error importing configuration:', error);
+    displayError('Failed to import settings. Please try again.');
+  }
+}
+
+/**
+ * Discard the pending import and hide its preview
+ */
+function cancelImport() {
+  pendingImport = null;
+  importPreview.hidden = true;
+}
+
+/**
+ * Lock the fields of settings set by an organization policy
+ * Managed values take priority over saved ones, so editing them would have no effect
+ * @param {Array<string>} managedPaths - Setting paths reported by the background script
+ */
+function lockManagedFields(managedPaths) {
+  const fieldIds = new Set();
+  for (const path of managedPaths) {
+    const fieldId = getFieldIdForPath(path);
+    if (fieldId) {
+      fieldIds.add(fieldId);
+    }
+    // The allowlist is part of the query policy
+    if (fieldId && fieldId.endsWith('-query-policy')) {
+      fieldIds.add(fieldId.replace(/-policy$/, '-allowlist'));
+    }
+  }
+
+  for (const fieldId of fieldIds) {
+    const field = document.getElementById(fieldId);
+    field.disabled = true;
+    field.title = 'Managed by your organization';
+
+    const group = field.closest('.setting-group');
+    if (!group.querySelector('.managed-indicator')) {
+      const indicator = document.createElement('p');
+      indicator.className = 'managed-indicator';
+      indicator.textContent = 'Managed by your organization';
+      group.appendChild(indicator);
+    }
+  }
+
+  document.getElementById('managed-notice').hidden = fieldIds.size === 0;
+}
+
+/**
+ * Load diagnostics from the background script and display them
+ */
+async function loadDiagnostics() {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getDiagnostics' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load diagnostics');
+    }
+
+    const { diagnostics } = response;
+    document.getElementById('diagnostics-version').textContent = diagnostics.version;
+    document.getElementById('diagnostics-schema-version').textContent = String(diagnostics.schemaVersion);
+    document.getElementById('diagnostics-managed').textContent = diagnostics.managedPaths.length > 0
+      ? diagnostics.managedPaths.join(', ')
+      : 'None';
+    healthCheckOrigins = diagnostics.healthCheckOrigins || [];
+    renderHostHealth(diagnostics.hostHealth);
+  } catch (error) {
+    console.error('Error loading diagnostics:', error);
+  }
+}
+
+/**
+ * Display the latest health probe result of every target host
+ * @param {Object} hostHealth - Map of hostname to health entry
+ */
+function renderHostHealth(hostHealth) {
+  const rows = document.getElementById('host-health-rows');
+  rows.textContent = '';
+
+  const hostnames = Object.keys(hostHealth);
+  if (hostnames.length === 0) {
+    const row = rows.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 3;
+    cell.textContent = 'No hosts checked yet';
+    return;
+  }
+
+  for (const hostname of hostnames) {
+    const entry = hostHealth[hostname];
+    const row = rows.insertRow();
+    row.insertCell().textContent = hostname;
+    if (entry.healthy === null) {
+      row.insertCell().textContent = 'Not checked (no access)';
+      row.className = 'host-unchecked';
+    } else {
+      const status = entry.status ? ` (${entry.status})` : '';
+      row.insertCell().textContent = `${entry.healthy ? 'Up' : 'Down'}${status}`;
+      row.className = entry.healthy ? 'host-up' : 'host-down';
+    }
+    row.insertCell().textContent = new Date(entry.checkedAt).toLocaleString();
+  }
+}
+
+/**
+ * Probe every target host now and refresh the diagnostics
+ * Access to the target hosts is requested first, since a health check can only
+ * read the status of hosts the extension has permission for
+ */
+async function probeHostsNow() {
+  const probeButton = document.getElementById('probe-hosts-button');
+  probeButton.disabled = true;
+  probeButton.textContent = 'Checking...';
+
+  try {
+    // Requested before any other await, while the click still counts as a user gesture
+    if (healthCheckOrigins.length > 0 && browser.permissions) {
+      await browser.permissions.request({ origins: healthCheckOrigins });
+    }
+    const response = await browser.runtime.sendMessage({ action: 'probeHosts' });
+    if (!response || !response.success) {
+      displayError(response?.error || 'Failed to check hosts. Please try again.');
+    }
+    await loadDiagnostics();
+  } catch (error) {
+    console.error('Error checking hosts:', error);
+    displayError('Failed to check hosts. Please try again.');
+  } finally {
+    probeButton.disabled = false;
+    probeButton.textContent = 'Check Hosts Now';
+  }
+}
+
+/**
+ * Build the link that would be copied for a post URL with the settings currently entered
+ * Unlike the popup's preview, which uses the saved settings, this one follows edits
+ * before they are saved. The URL is recognized and transformed like every copied
+ * link (see LinkConverter.transformPostUrl), with the primary target hostname
+ * @param {string} postUrl - Post URL entered in the preview field
+ * @returns {Object} { url } with the transformed link, or { error } with the reason the URL is rejected
+ */
+function previewTransformedLink(postUrl) {
+  const { platformId: platformKey, postUrl: normalizedUrl, error } = window.LinkConverter.findPostPlatform(postUrl);
+  if (error) {
+    return { error };
+  }
+
+  const definition = window.PlatformRegistry.getPlatform(platformKey);
+  if (!document.getElementById(`${platformKey}-enabled`).checked) {
+    return { error: `${definition.displayName} is disabled, so no link would be copied.` };
+  }
+
+  const hostnames = parseHostnameList(document.getElementById(`${platformKey}-hostname`).value);
+  if (hostnames.length === 0 || !hostnames.every(window.Config.validateHostname)) {
+    return { error: `Enter valid ${definition.displayName} target hostnames to see the link.` };
+  }
+
+  const { rewriteRules, error: rewriteRulesError } = parseRewriteRuleLines(rewriteRulesInput.value);
+  const { queryPolicy, error: queryPolicyError } = readQueryPolicy(platformKey);
+  const { translateTo, error: translateToError } = readTranslateTo(platformKey, hostnames);
+  const settingsError = rewriteRulesError || queryPolicyError || translateToError;
+  if (settingsError) {
+    return { error: settingsError };
+  }
+
+  const url = window.LinkConverter.transformPostUrl(
+    normalizedUrl,
+    platformKey,
+    { queryPolicy, rewriteRules: rewriteRules[platformKey], translateTo },
+    hostnames[0]
+  );
+  return url ? { url } : { error: 'The link could not be transformed with the current rewrite rules.' };
+}
+
+/**
+ * Show the link preview for the URL in the preview field
+ */
+function updateLinkPreview() {
+  const previewResult = document.getElementById('preview-result');
+  const postUrl = previewUrlInput.value.trim();
+
+  if (!postUrl) {
+    previewResult.textContent = '';
+    previewResult.classList.remove('preview-error');
+    return;
+  }
+
+  const { url, error } = previewTransformedLink(postUrl);
+  previewResult.textContent = url || error;
+  previewResult.classList.toggle('preview-error', Boolean(error));
+}
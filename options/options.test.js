@@ -0,0 +1,403 @@
+/**
+ * Options Page Tests
+ * Drives the options page against the background script loaded alongside it
+ */
+
+const Config = require('../config/config');
+const PlatformRegistry = require('../config/platforms');
+const { createStorageArea, waitFor, setupExtension } = require('../test/extension-harness');
+
+describe('Options Page', () => {
+  const { sendBackgroundMessage, openOptions, saveOptions } = setupExtension();
+
+  test('the options page keeps the copy history setting', async () => {
+    const stored = Config.getDefaultConfig();
+    stored.keepCopyHistory = false;
+    browser.storage.sync = createStorageArea({ config: stored });
+
+    await openOptions();
+    expect(document.getElementById('keep-copy-history').checked).toBe(false);
+
+    await saveOptions();
+    expect((await Config.getConfig()).keepCopyHistory).toBe(false);
+
+    await openOptions();
+    document.getElementById('keep-copy-history').checked = true;
+    await saveOptions();
+    expect((await Config.getConfig()).keepCopyHistory).toBe(true);
+  });
+
+  describe('Platform settings', () => {
+    test('every registered platform gets its fields on the options page', async () => {
+      browser.storage.sync = createStorageArea({ config: Config.getDefaultConfig() });
+
+      await openOptions();
+      for (const platformKey of PlatformRegistry.getPlatformIds()) {
+        const platform = PlatformRegistry.getPlatform(platformKey);
+        const hostnameInput = document.getElementById(`${platformKey}-hostname`);
+        expect(hostnameInput.value.split(', ')[0]).toBe(platform.defaultTargetHostname);
+        expect(hostnameInput.placeholder.split(', ')[0]).toBe(platform.defaultTargetHostname);
+        expect(document.querySelector(`label[for="${platformKey}-hostname"]`).textContent)
+          .toBe(`${platform.displayName} Target Hostnames:`);
+        expect(document.querySelector(`label[for="${platformKey}-enabled"]`).textContent.trim())
+          .toBe(`Enable ${platform.displayName}`);
+        for (const field of ['enabled', 'query-policy', 'query-allowlist', 'translate-to', 'inline-button', 'copy-format']) {
+          expect(document.getElementById(`${platformKey}-${field}`)).not.toBeNull();
+        }
+      }
+    });
+
+    test('pressing Enter in a hostname field saves the options', async () => {
+      browser.storage.sync = createStorageArea({ config: Config.getDefaultConfig() });
+
+      await openOptions();
+      const blueskyInput = document.getElementById('bluesky-hostname');
+      blueskyInput.value = 'fxbsky.app';
+      blueskyInput.dispatchEvent(new KeyboardEvent('keypress', { key: 'Enter' }));
+      await waitFor(() => document.getElementById('save-button').textContent === 'Saved!');
+
+      expect((await Config.getConfig()).bluesky.targetHostname).toBe('fxbsky.app');
+    });
+
+    test('the options page shows and saves each platform\'s enabled state', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.reddit.enabled = false;
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openOptions();
+      expect(document.getElementById('reddit-enabled').checked).toBe(false);
+      expect(document.getElementById('twitter-enabled').checked).toBe(true);
+
+      document.getElementById('twitter-enabled').checked = false;
+      await saveOptions();
+
+      const config = await Config.getConfig();
+      expect(config.twitter.enabled).toBe(false);
+      expect(config.reddit.enabled).toBe(false);
+      expect(config.instagram.enabled).toBe(true);
+    });
+
+    test('the options page shows and saves the inline post button mode', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.bluesky.inlineButton = true;
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openOptions();
+      expect(document.getElementById('bluesky-inline-button').checked).toBe(true);
+      expect(document.getElementById('twitter-inline-button').checked).toBe(false);
+
+      document.getElementById('twitter-inline-button').checked = true;
+      await saveOptions();
+
+      const config = await Config.getConfig();
+      expect(config.twitter.inlineButton).toBe(true);
+      expect(config.bluesky.inlineButton).toBe(true);
+      expect(config.reddit.inlineButton).toBe(false);
+    });
+
+    test('the options page shows and saves copy formats per platform and per menu item', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.reddit.copyFormat = 'markdown';
+      stored.twitter.menuItems = [
+        { label: 'Copy embed link', icon: 'link' },
+        { label: 'Copy for forums', icon: 'link', format: 'bbcode' }
+      ];
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openOptions();
+      expect(document.getElementById('reddit-copy-format').value).toBe('markdown');
+      expect(document.getElementById('twitter-copy-format').value).toBe('url');
+      expect(document.getElementById('menu-items').value).toContain('twitter | Copy for forums |  | link | bbcode');
+
+      document.getElementById('bluesky-copy-format').value = 'html';
+      document.getElementById('menu-items').value = 'twitter | Copy spoiler |  | link | spoiler';
+      await saveOptions();
+
+      const config = await Config.getConfig();
+      expect(config.bluesky.copyFormat).toBe('html');
+      expect(config.reddit.copyFormat).toBe('markdown');
+      expect(config.twitter.menuItems).toEqual([{ label: 'Copy spoiler', icon: 'link', format: 'spoiler' }]);
+
+      await openOptions();
+      document.getElementById('menu-items').value = 'twitter | Copy |  | link | rtf';
+      await saveOptions();
+      expect(document.getElementById('menu-items-error').textContent)
+        .toBe('Invalid share menu item on line 1. Format must be one of: url, markdown, html, bbcode, spoiler.');
+    });
+  });
+
+  describe('Diagnostics', () => {
+    test('the options page shows diagnostics and checks hosts on demand', async () => {
+      browser.storage.local = createStorageArea({
+        hostHealth: { 'fixvx.com': { healthy: false, checkedAt: 1 } }
+      });
+
+      await openOptions();
+      await waitFor(() => document.getElementById('diagnostics-version').textContent !== '');
+      expect(document.getElementById('diagnostics-version').textContent).toBe('1.1.0');
+      expect(document.getElementById('diagnostics-schema-version').textContent).toBe(String(Config.CONFIG_SCHEMA_VERSION));
+      expect(document.getElementById('diagnostics-managed').textContent).toBe('None');
+      expect(document.getElementById('host-health-rows').textContent).toContain('fixvx.comDown');
+
+      window.HostHealth.probeHosts.mockResolvedValue({ 'fixvx.com': { healthy: true, status: 200, checkedAt: 2 } });
+      document.getElementById('probe-hosts-button').click();
+      await waitFor(() => document.getElementById('host-health-rows').textContent.includes('Up'));
+
+      expect(browser.permissions.request).toHaveBeenCalledWith({
+        origins: expect.arrayContaining(['https://fixvx.com/*', 'https://kkinstagram.com/*'])
+      });
+      expect(document.getElementById('host-health-rows').textContent).toContain('fixvx.comUp (200)');
+      expect(document.getElementById('probe-hosts-button').disabled).toBe(false);
+    });
+
+    test('hosts the extension has no access to are listed but not probed', async () => {
+      browser.permissions.contains = jest.fn(({ origins }) => Promise.resolve(origins[0] === 'https://fixvx.com/*'));
+      window.HostHealth.probeHosts.mockResolvedValue({ 'fixvx.com': { healthy: false, status: 503, checkedAt: 2 } });
+
+      const { hostHealth } = await sendBackgroundMessage({ action: 'probeHosts' });
+
+      expect(window.HostHealth.probeHosts).toHaveBeenCalledWith(['fixvx.com'], expect.any(String));
+      expect(hostHealth['fixvx.com'].healthy).toBe(false);
+      expect(hostHealth['kkinstagram.com']).toEqual({ healthy: null, status: null, checkedAt: expect.any(Number) });
+
+      await openOptions();
+      await waitFor(() => document.getElementById('host-health-rows').textContent !== '');
+      const rowsText = document.getElementById('host-health-rows').textContent;
+      expect(rowsText).toContain('fixvx.comDown (503)');
+      expect(rowsText).toContain('kkinstagram.comNot checked (no access)');
+    });
+  });
+
+  describe('Link preview', () => {
+    test('the link preview shows the sample link with the stored settings', async () => {
+      await openOptions();
+
+      expect(document.getElementById('preview-url').value).toBe('https://x.com/jack/status/20');
+      expect(document.getElementById('preview-result').textContent).toBe('https://fixvx.com/jack/status/20');
+      expect(document.querySelectorAll('#preview-samples option')).toHaveLength(5);
+    });
+
+    test('the link preview follows unsaved edits to hostnames, rules and query policy', async () => {
+      await openOptions();
+      const previewUrl = document.getElementById('preview-url');
+      const previewResult = document.getElementById('preview-result');
+
+      previewUrl.value = 'https://www.reddit.com/r/pics/comments/abc123/example_post/?utm_source=share&context=3';
+      previewUrl.dispatchEvent(new Event('input', { bubbles: true }));
+      expect(previewResult.textContent).toBe('https://rxddit.com/r/pics/comments/abc123/?context=3');
+
+      const redditHostname = document.getElementById('reddit-hostname');
+      redditHostname.value = 'vxreddit.com';
+      redditHostname.dispatchEvent(new Event('input', { bubbles: true }));
+      expect(previewResult.textContent).toBe('https://vxreddit.com/r/pics/comments/abc123/?context=3');
+
+      const queryPolicy = document.getElementById('reddit-query-policy');
+      queryPolicy.value = 'strip-all';
+      queryPolicy.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(previewResult.textContent).toBe('https://vxreddit.com/r/pics/comments/abc123/');
+
+      const rewriteRules = document.getElementById('rewrite-rules');
+      rewriteRules.value = 'reddit | ^/r/[^/]+/comments/([a-z0-9]+) => /comments/$1/';
+      rewriteRules.dispatchEvent(new Event('input', { bubbles: true }));
+      expect(previewResult.textContent).toBe('https://vxreddit.com/comments/abc123/');
+      expect(previewResult.classList.contains('preview-error')).toBe(false);
+    });
+
+    test('the link preview explains why a URL would be rejected', async () => {
+      await openOptions();
+      const previewUrl = document.getElementById('preview-url');
+      const previewResult = document.getElementById('preview-result');
+
+      /**
+       * Enter a URL in the preview field and return the preview text
+       * @param {string} url - URL to preview
+       */
+      const preview = (url) => {
+        previewUrl.value = url;
+        previewUrl.dispatchEvent(new Event('input', { bubbles: true }));
+        return previewResult.textContent;
+      };
+
+      expect(preview('not a url')).toBe('Enter a post URL, such as https://x.com/user/status/123.');
+      expect(preview('http://x.com/jack/status/20')).toBe('https://fixvx.com/jack/status/20');
+      expect(preview('https://example.com/jack/status/20')).toBe('example.com is not a supported site.');
+      expect(preview('https://x.com/jack')).toBe('This is not a link to a single Twitter/X post.');
+      expect(previewResult.classList.contains('preview-error')).toBe(true);
+
+      document.getElementById('twitter-hostname').value = 'https://fixvx.com/';
+      expect(preview('https://x.com/jack/status/20')).toBe('Enter valid Twitter/X target hostnames to see the link.');
+
+      document.getElementById('twitter-enabled').checked = false;
+      expect(preview('https://x.com/jack/status/20')).toBe('Twitter/X is disabled, so no link would be copied.');
+
+      expect(preview('')).toBe('');
+      expect(previewResult.classList.contains('preview-error')).toBe(false);
+    });
+  });
+
+  describe('Validation errors', () => {
+    test('the options page shows each error next to its field and clears it on input', async () => {
+      await openOptions();
+      const fallbackInput = document.getElementById('bluesky-hostname');
+      fallbackInput.value = 'fxbsky.app, bad host';
+      document.getElementById('health-check-endpoint').value = 'not a url';
+      await saveOptions();
+
+      expect(document.getElementById('bluesky-hostname-error').textContent).toContain('"bad host"');
+      expect(document.getElementById('health-check-endpoint-error')).not.toBeNull();
+      expect(fallbackInput.classList.contains('invalid')).toBe(true);
+      expect(document.querySelectorAll('.field-error')).toHaveLength(2);
+      expect(browser.storage.sync.set).not.toHaveBeenCalled();
+
+      fallbackInput.dispatchEvent(new Event('input'));
+      expect(document.getElementById('bluesky-hostname-error')).toBeNull();
+      expect(fallbackInput.classList.contains('invalid')).toBe(false);
+    });
+
+    test('the options page places errors returned by the background', async () => {
+      await openOptions();
+      browser.runtime.sendMessage = jest.fn(async message => (message.action === 'saveConfig'
+        ? { success: false, error: 'Configuration validation failed', errors: [
+          { path: 'reddit.translateTo', code: 'invalid_language_code', message: 'Unsupported language.' }
+        ] }
+        : sendBackgroundMessage(message)));
+
+      await saveOptions();
+
+      expect(document.getElementById('reddit-translate-to-error').textContent).toBe('Unsupported language.');
+    });
+  });
+
+  test('the options page saves through the background what it loaded, unchanged', async () => {
+    const stored = Config.getDefaultConfig();
+    stored.twitter.targetHostname = 'fixupx.com';
+    stored.twitter.translateTo = 'en';
+    stored.instagram.queryPolicy = { mode: 'allowlist', allowlist: ['img_index'] };
+    stored.debugLogging = true;
+    browser.storage.sync = createStorageArea({ config: stored });
+
+    await openOptions();
+    expect(document.getElementById('twitter-hostname').value).toBe('fixupx.com, vxtwitter.com, fxtwitter.com');
+
+    await saveOptions();
+    expect(document.getElementById('error-message').textContent).toBe('');
+    expect(browser.storage.sync.set).toHaveBeenCalled();
+    expect(await Config.getConfig()).toEqual(stored);
+  });
+
+  describe('Settings export and import', () => {
+    /**
+     * Select a settings file in the options page's import field and wait for the preview
+     * @param {string} contents - File contents
+     */
+    async function selectImportFile(contents) {
+      const fileInput = document.getElementById('import-file');
+      Object.defineProperty(fileInput, 'files', {
+        configurable: true,
+        value: [new File([contents], 'settings.json', { type: 'application/json' })]
+      });
+      fileInput.dispatchEvent(new Event('change'));
+      const preview = document.getElementById('import-preview');
+      await waitFor(() => !preview.hidden || document.getElementById('error-message').textContent !== '');
+    }
+
+    test('the options page previews an import and saves it through the background', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.targetHostname = 'vxtwitter.com';
+      browser.storage.sync = createStorageArea({ config: stored });
+      await openOptions();
+
+      await selectImportFile(JSON.stringify({ schemaVersion: 2, bluesky: { targetHostname: 'fxbsky.app' } }));
+      expect(document.getElementById('import-summary').textContent).toBe('1 setting will change:');
+      expect(document.getElementById('import-changes').textContent).toContain('bluesky.targetHostname');
+
+      document.querySelector('input[name="import-mode"][value="replace"]').click();
+      expect(document.getElementById('import-summary').textContent).toBe('2 settings will change:');
+      document.querySelector('input[name="import-mode"][value="merge"]').click();
+
+      document.getElementById('import-apply-button').click();
+      await waitFor(() => document.getElementById('import-preview').hidden);
+
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ action: 'saveConfig' }));
+      const saved = await Config.getConfig();
+      expect(saved.twitter.targetHostname).toBe('vxtwitter.com');
+      expect(saved.bluesky.targetHostname).toBe('fxbsky.app');
+      await waitFor(() => document.getElementById('bluesky-hostname').value.startsWith('fxbsky.app'));
+      expect(document.getElementById('bluesky-hostname').value).toMatch(/^fxbsky\.app/);
+    });
+
+    test('the options page refuses an invalid file without saving', async () => {
+      await openOptions();
+
+      await selectImportFile('{ "schemaVersion": 2, "twitter": { "enabled": "yes" } }');
+
+      expect(document.getElementById('error-message').textContent).toContain('Cannot import settings.json');
+      expect(document.getElementById('import-preview').hidden).toBe(true);
+      expect(browser.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    test('the options page exports the stored configuration as a JSON download', async () => {
+      await openOptions();
+      URL.createObjectURL = jest.fn(() => 'blob:settings');
+      URL.revokeObjectURL = jest.fn();
+      const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        expect(this.download).toBe('embed-link-helper-settings.json');
+      });
+
+      document.getElementById('export-button').click();
+      await waitFor(() => URL.revokeObjectURL.mock.calls.length > 0);
+
+      expect(click).toHaveBeenCalled();
+      const blob = URL.createObjectURL.mock.calls[0][0];
+      const text = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+      });
+      expect(Config.parseConfigImport(text).config).toEqual(Config.getDefaultConfig());
+    });
+  });
+
+  describe('Organization policy', () => {
+    const policy = {
+      twitter: { targetHostname: 'vxtwitter.com', fallbackHostnames: [], unknownField: true },
+      reddit: { translateTo: 'not a language' },
+      debugLogging: false
+    };
+
+    beforeEach(() => {
+      browser.storage.managed = createStorageArea({ config: policy });
+    });
+
+    afterEach(() => {
+      delete browser.storage.managed;
+    });
+
+    test('the options page locks managed fields and shows that they are managed', async () => {
+      const response = await sendBackgroundMessage({ action: 'getConfig' });
+      expect(response.managedPaths).toEqual(['twitter.targetHostname', 'twitter.fallbackHostnames', 'debugLogging']);
+
+      await openOptions();
+
+      const twitterInput = document.getElementById('twitter-hostname');
+      expect(twitterInput.value).toBe('vxtwitter.com');
+      expect(twitterInput.disabled).toBe(true);
+      expect(document.getElementById('debug-logging').disabled).toBe(true);
+      expect(document.getElementById('twitter-translate-to').disabled).toBe(false);
+      expect(document.getElementById('instagram-hostname').disabled).toBe(false);
+      expect(twitterInput.closest('.setting-group').querySelector('.managed-indicator').textContent)
+        .toBe('Managed by your organization');
+      expect(document.getElementById('managed-notice').hidden).toBe(false);
+    });
+
+    test('the options page shows no managed indicator without a policy', async () => {
+      delete browser.storage.managed;
+
+      await openOptions();
+
+      expect(document.getElementById('twitter-hostname').disabled).toBe(false);
+      expect(document.querySelector('.managed-indicator')).toBeNull();
+      expect(document.getElementById('managed-notice').hidden).toBe(true);
+    });
+  });
+});
@@ -1,82 +1,147 @@
 // Popup script for Embed Link Helper extension
-// Handles configuration UI and user interactions
-// Note: browser-polyfill.js is loaded before this script in popup.html
+// Quick per-platform toggles, a preview of the link copied for a post, a box to
+// convert a copied post link and the list of recently copied links; every other
+// setting lives on the options page
+// Note: browser-polyfill.js, config/platforms.js, config/config.js and the
+// post-url-extractor.js, url-transformer.js, host-health.js, clipboard-manager.js,
+// link-converter.js, copy-history.js and copy-formats.js utilities are loaded before
+// this script in popup.html
+
+// Platforms with a toggle in the popup, in display order
+const PLATFORM_KEYS = window.PlatformRegistry.getPlatformIds();
+
+// Configuration from the background script, with the organization policy applied
+let currentConfig = null;
+
+// Copied links from the background script, newest first
+let copyHistory = [];
 
 // DOM elements
-let twitterInput;
-let instagramInput;
-let debugLoggingCheckbox;
-let saveButton;
 let errorMessage;
 
 /**
  * Initialize popup when DOM is loaded
  */
 document.addEventListener('DOMContentLoaded', async () => {
-  // Get DOM elements
-  twitterInput = document.getElementById('twitter-hostname');
-  instagramInput = document.getElementById('instagram-hostname');
-  debugLoggingCheckbox = document.getElementById('debug-logging');
-  saveButton = document.getElementById('save-button');
   errorMessage = document.getElementById('error-message');
 
-  // Load current configuration
-  await loadCurrentConfig();
+  renderPlatformToggles();
+  renderPreviewSamples();
+  await loadToggles();
+  updateLinkPreview();
+  await loadCopyHistory();
 
-  // Set up event listeners
-  saveButton.addEventListener('click', saveConfiguration);
+  for (const platformKey of PLATFORM_KEYS) {
+    const toggle = document.getElementById(`${platformKey}-enabled`);
+    toggle.addEventListener('change', () => setPlatformEnabled(platformKey, toggle.checked));
+  }
 
-  // Allow saving with Enter key
-  twitterInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      saveConfiguration();
-    }
-  });
+  document.getElementById('preview-url').addEventListener('input', updateLinkPreview);
 
-  instagramInput.addEventListener('keypress', (e) => {
+  const historyToggle = document.getElementById('keep-copy-history');
+  historyToggle.addEventListener('change', () => setKeepCopyHistory(historyToggle.checked));
+  document.getElementById('history-search').addEventListener('input', renderCopyHistory);
+
+  document.getElementById('convert-button').addEventListener('click', convertLink);
+  document.getElementById('convert-url').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') {
-      saveConfiguration();
+      e.preventDefault();
+      convertLink();
     }
   });
 
-  // Clear error message when user starts typing
-  twitterInput.addEventListener('input', () => {
-    displayError('');
-  });
-
-  instagramInput.addEventListener('input', () => {
-    displayError('');
+  document.getElementById('open-settings').addEventListener('click', async (e) => {
+    e.preventDefault();
+    await browser.runtime.openOptionsPage();
+    window.close();
   });
 });
 
 /**
- * Load current configuration from storage and display in UI
- * Implements requirement 3.4: Display currently configured Target Hostnames
+ * Add a toggle for every registered platform, with a "<platform>-enabled" id
  */
-async function loadCurrentConfig() {
-  try {
-    // Request config from background script
-    const response = await browser.runtime.sendMessage({ action: 'getConfig' });
+function renderPlatformToggles() {
+  const container = document.getElementById('platform-toggles');
 
-    if (response && response.success && response.config) {
-      const config = response.config;
+  for (const platformKey of PLATFORM_KEYS) {
+    const label = document.createElement('label');
+    label.htmlFor = `${platformKey}-enabled`;
 
-      // Populate input fields with current values
-      if (config.twitter && config.twitter.targetHostname) {
-        twitterInput.value = config.twitter.targetHostname;
-      }
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.id = `${platformKey}-enabled`;
 
-      if (config.instagram && config.instagram.targetHostname) {
-        instagramInput.value = config.instagram.targetHostname;
-      }
+    label.append(toggle, ` ${window.PlatformRegistry.getPlatform(platformKey).displayName}`);
+    container.appendChild(label);
+  }
+}
+
+/**
+ * Offer a sample post URL of every platform in the link preview and preview the first one
+ */
+function renderPreviewSamples() {
+  const previewSamples = document.getElementById('preview-samples');
+
+  for (const platformKey of PLATFORM_KEYS) {
+    const { samplePostUrl } = window.PlatformRegistry.getPlatform(platformKey);
+    if (samplePostUrl) {
+      const option = document.createElement('option');
+      option.value = samplePostUrl;
+      previewSamples.appendChild(option);
+    }
+  }
+  document.getElementById('preview-url').value = previewSamples.options.length > 0 ? previewSamples.options[0].value : '';
+}
+
+/**
+ * Request the current configuration from the background script
+ * @returns {Promise<Object>} { config, managedPaths }
+ * @throws {Error} If the background script cannot provide it
+ */
+async function requestCurrentConfig() {
+  const response = await browser.runtime.sendMessage({ action: 'getConfig' });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to load configuration');
+  }
+  return { config: response.config, managedPaths: response.managedPaths || [] };
+}
+
+/**
+ * Request the configuration saved by the user, without the organization policy
+ * Toggles are saved on top of it so that policy values never end up in storage.sync
+ * @returns {Promise<Object>} { config, managedPaths }
+ * @throws {Error} If the background script cannot provide it
+ */
+async function requestStoredConfig() {
+  const response = await browser.runtime.sendMessage({ action: 'getStoredConfig' });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to load configuration');
+  }
+  return { config: response.config, managedPaths: response.managedPaths || [] };
+}
+
+/**
+ * Show each platform's enabled state and whether copies are kept in the history,
+ * locking toggles set by an organization policy
+ */
+async function loadToggles() {
+  try {
+    const { config, managedPaths } = await requestCurrentConfig();
+    currentConfig = config;
+
+    for (const platformKey of PLATFORM_KEYS) {
+      const toggle = document.getElementById(`${platformKey}-enabled`);
+      toggle.checked = Boolean(config[platformKey] && config[platformKey].enabled);
 
-      // Set debug logging checkbox
-      if (config.debugLogging !== undefined) {
-        debugLoggingCheckbox.checked = config.debugLogging;
+      if (managedPaths.includes(`${platformKey}.enabled`)) {
+        lockManagedToggle(toggle);
       }
-    } else {
-      // If no config, leave placeholders visible
-      console.log('No configuration found, using defaults');
+    }
+
+    const historyToggle = document.getElementById('keep-copy-history');
+    historyToggle.checked = config.keepCopyHistory !== false;
+    if (managedPaths.includes('keepCopyHistory')) {
+      lockManagedToggle(historyToggle);
     }
   } catch (error) {
     console.error('Error loading configuration:', error);
@@ -85,118 +150,311 @@ async function loadCurrentConfig() {
 }
 
 /**
- * Validate a hostname string
- * Ensures hostname doesn't contain protocol, paths, or invalid characters
- * Implements requirement 7.3: Validate hostname input
- * @param {string} hostname - The hostname to validate
- * @returns {boolean} True if valid, false otherwise
+ * Disable a toggle set by an organization policy
+ * @param {HTMLInputElement} toggle - The toggle's checkbox
+ */
+function lockManagedToggle(toggle) {
+  toggle.disabled = true;
+  toggle.parentElement.classList.add('managed');
+  toggle.parentElement.title = 'Managed by your organization';
+}
+
+/**
+ * Save a toggle's new state, keeping every other setting as stored
+ * The toggle is switched back if the configuration cannot be saved
+ * @param {HTMLInputElement} toggle - The toggle's checkbox
+ * @param {Function} applyChange - Receives the stored configuration and changes it in place
+ * @returns {Promise<boolean>} True if the configuration was saved
+ */
+async function saveToggle(toggle, applyChange) {
+  try {
+    const { config } = await requestStoredConfig();
+    applyChange(config);
+
+    const response = await browser.runtime.sendMessage({
+      action: 'saveConfig',
+      data: config
+    });
+
+    if (response && response.success) {
+      displayError('');
+      return true;
+    }
+    toggle.checked = !toggle.checked;
+    displayError(response?.error || 'Failed to save configuration. Please try again.');
+  } catch (error) {
+    console.error('Error saving configuration:', error);
+    toggle.checked = !toggle.checked;
+    displayError('Failed to save configuration. Please try again.');
+  }
+  return false;
+}
+
+/**
+ * Turn a platform on or off
+ * @param {string} platformKey - Platform identifier
+ * @param {boolean} enabled - New enabled state
  */
-function validateHostname(hostname) {
-  if (!hostname || typeof hostname !== 'string') {
-    return false;
+async function setPlatformEnabled(platformKey, enabled) {
+  const saved = await saveToggle(document.getElementById(`${platformKey}-enabled`), config => {
+    config[platformKey] = { ...config[platformKey], enabled };
+  });
+
+  if (saved && currentConfig) {
+    currentConfig[platformKey] = { ...currentConfig[platformKey], enabled };
+    updateLinkPreview();
   }
+}
 
-  // Trim whitespace
-  hostname = hostname.trim();
+/**
+ * Turn the copy history on or off
+ * The background script forgets every copied link when it is turned off
+ * @param {boolean} enabled - Whether copies are kept
+ */
+async function setKeepCopyHistory(enabled) {
+  const saved = await saveToggle(document.getElementById('keep-copy-history'), config => {
+    config.keepCopyHistory = enabled;
+  });
 
-  // Check if empty after trimming
-  if (hostname.length === 0) {
-    return false;
+  if (saved && !enabled) {
+    copyHistory = [];
   }
+  renderCopyHistory();
+}
 
-  // Check for protocol (http://, https://, etc.)
-  if (hostname.includes('://')) {
-    return false;
+/**
+ * Build the link that would be copied for a post URL with the saved settings
+ * The URL is recognized and transformed like every copied link (see
+ * LinkConverter.convertPostUrl), with the primary target hostname
+ * @param {string} postUrl - Post URL entered in the preview field
+ * @returns {Object} { url } with the transformed link, or { error } with the reason the URL is rejected
+ */
+function previewTransformedLink(postUrl) {
+  if (!currentConfig) {
+    return { error: 'Failed to load configuration. Please try again.' };
   }
 
-  // Check for path separators
-  if (hostname.includes('/')) {
-    return false;
+  const { platformId, error } = window.LinkConverter.findPostPlatform(postUrl);
+  if (error) {
+    return { error };
   }
 
-  // Check for invalid characters (spaces, special chars except dots and hyphens)
-  const validHostnameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/;
-  if (!validHostnameRegex.test(hostname)) {
-    return false;
+  if (!currentConfig[platformId].enabled) {
+    const { displayName } = window.PlatformRegistry.getPlatform(platformId);
+    return { error: `${displayName} is disabled, so no link would be copied.` };
   }
 
-  // Check for consecutive dots
-  if (hostname.includes('..')) {
-    return false;
+  const { url, error: convertError } = window.LinkConverter.convertPostUrl(postUrl, currentConfig);
+  return url ? { url } : { error: convertError };
+}
+
+/**
+ * Show the link preview for the URL in the preview field
+ */
+function updateLinkPreview() {
+  const previewResult = document.getElementById('preview-result');
+  const postUrl = document.getElementById('preview-url').value.trim();
+
+  if (!postUrl) {
+    previewResult.textContent = '';
+    previewResult.classList.remove('preview-error');
+    return;
   }
 
-  return true;
+  const { url, error } = previewTransformedLink(postUrl);
+  previewResult.textContent = url || error;
+  previewResult.classList.toggle('preview-error', Boolean(error));
 }
 
 /**
- * Save configuration with validation
- * Implements requirements 3.3: Persist new hostname values
- * Implements requirement 7.3: Validate before saving
+ * Convert the post URL in the convert box and copy the embed link
+ * Uses the same hostname health check and copy format as the share menu so the
+ * copied link points at a fixer service that is up
  */
-async function saveConfiguration() {
-  try {
-    // Get input values and trim whitespace
-    const twitterHostname = twitterInput.value.trim();
-    const instagramHostname = instagramInput.value.trim();
+async function convertLink() {
+  const postUrl = document.getElementById('convert-url').value;
 
-    // Validate Twitter hostname
-    if (!validateHostname(twitterHostname)) {
-      displayError('Invalid Twitter/X hostname. Please enter a valid hostname without protocol or paths.');
+  const { platformId, postUrl: originalUrl, error } = window.LinkConverter.findPostPlatform(postUrl);
+  if (error) {
+    showConvertResult(error, true);
+    return;
+  }
+
+  try {
+    const { config } = await requestCurrentConfig();
+    const hostname = await window.HostHealth.resolveTargetHostname(
+      window.HostHealth.getTargetHostnames(config[platformId])
+    );
+    const { url, error: convertError } = window.LinkConverter.convertPostUrl(postUrl, config, hostname);
+    if (convertError) {
+      showConvertResult(convertError, true);
       return;
     }
 
-    // Validate Instagram hostname
-    if (!validateHostname(instagramHostname)) {
-      displayError('Invalid Instagram hostname. Please enter a valid hostname without protocol or paths.');
-      return;
+    const details = window.PostUrlExtractor.extractPostDetails(null, originalUrl, platformId);
+    const { text, html } = window.CopyFormats.renderCopyFormat(config[platformId].copyFormat, { url, ...details });
+    if (await window.ClipboardManager.copyToClipboard(text, html)) {
+      showConvertResult(`Copied: ${text}`, false);
+      await recordConvertedCopy(platformId, originalUrl, url);
+    } else {
+      showConvertResult('Could not copy to the clipboard. Please try again.', true);
     }
+  } catch (error) {
+    console.error('Error converting link:', error);
+    showConvertResult('Failed to load configuration. Please try again.', true);
+  }
+}
 
-    // Create configuration object
-    const config = {
-      twitter: {
-        enabled: true,
-        targetHostname: twitterHostname
-      },
-      instagram: {
-        enabled: true,
-        targetHostname: instagramHostname
-      },
-      debugLogging: debugLoggingCheckbox.checked
-    };
-
-    // Send save request to background script
-    const response = await browser.runtime.sendMessage({
-      action: 'saveConfig',
-      data: config
+/**
+ * Add a link copied from the convert box to the history and show it in the list
+ * @param {string} platformId - Platform of the post
+ * @param {string} originalUrl - The post URL, normalized
+ * @param {string} url - The copied embed link
+ */
+async function recordConvertedCopy(platformId, originalUrl, url) {
+  try {
+    await browser.runtime.sendMessage({
+      action: 'recordCopy',
+      copy: { originalUrl, transformedUrl: url, platform: platformId, timestamp: Date.now() }
     });
+    await loadCopyHistory();
+  } catch (error) {
+    console.error('Error recording copy:', error);
+  }
+}
 
-    if (response && response.success) {
-      // Show success feedback
-      displayError(''); // Clear any errors
-      saveButton.textContent = 'Saved!';
-      saveButton.style.backgroundColor = '#4CAF50';
-
-      // Reset button after 2 seconds
-      setTimeout(() => {
-        saveButton.textContent = 'Save Configuration';
-        saveButton.style.backgroundColor = '';
-      }, 2000);
-    } else {
-      displayError(response?.error || 'Failed to save configuration. Please try again.');
+/**
+ * Load the recently copied links from the background script and list them
+ */
+async function loadCopyHistory() {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getCopyHistory' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to load copy history');
     }
+    copyHistory = response.history;
   } catch (error) {
-    console.error('Error saving configuration:', error);
-    displayError('Failed to save configuration. Please try again.');
+    console.error('Error loading copy history:', error);
+    copyHistory = [];
+  }
+  renderCopyHistory();
+}
+
+/**
+ * List the copied links matching the search box
+ */
+function renderCopyHistory() {
+  const enabled = document.getElementById('keep-copy-history').checked;
+  const searchInput = document.getElementById('history-search');
+  const historyList = document.getElementById('history-list');
+  const historyEmpty = document.getElementById('history-empty');
+
+  const entries = enabled ? window.CopyHistory.filterHistory(copyHistory, searchInput.value) : [];
+  historyList.replaceChildren(...entries.map(createHistoryItem));
+  searchInput.disabled = !enabled;
+
+  if (!enabled) {
+    historyEmpty.textContent = 'Copy history is off.';
+  } else if (copyHistory.length === 0) {
+    historyEmpty.textContent = 'Links you copy will be listed here.';
+  } else if (entries.length === 0) {
+    historyEmpty.textContent = 'No copied links match your search.';
+  } else {
+    historyEmpty.textContent = '';
+  }
+}
+
+/**
+ * Create the list item of a copied link with its copy, open and delete actions
+ * @param {Object} entry - History entry (see utils/copy-history.js)
+ * @returns {HTMLLIElement} The list item
+ */
+function createHistoryItem(entry) {
+  const item = document.createElement('li');
+  item.className = 'history-item';
+
+  const link = document.createElement('div');
+  link.className = 'history-link';
+  link.textContent = entry.transformedUrl;
+  link.title = entry.originalUrl;
+
+  const definition = window.PlatformRegistry.getPlatform(entry.platform);
+  const details = document.createElement('div');
+  details.className = 'history-details';
+  details.textContent = `${definition ? definition.displayName : entry.platform} · ${new Date(entry.timestamp).toLocaleString()}`;
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.append(
+    createHistoryAction('Copy', button => copyHistoryEntry(entry, button)),
+    createHistoryAction('Open', () => browser.tabs.create({ url: entry.transformedUrl })),
+    createHistoryAction('Delete', () => deleteHistoryEntry(entry))
+  );
+
+  item.append(link, details, actions);
+  return item;
+}
+
+/**
+ * Create an action button of a copied link
+ * @param {string} label - Button text
+ * @param {Function} onClick - Called with the button when it is clicked
+ * @returns {HTMLButtonElement} The button
+ */
+function createHistoryAction(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', () => onClick(button));
+  return button;
+}
+
+/**
+ * Copy a link from the history again
+ * @param {Object} entry - History entry
+ * @param {HTMLButtonElement} button - The entry's copy button, which shows the outcome
+ */
+async function copyHistoryEntry(entry, button) {
+  const success = await window.ClipboardManager.copyToClipboard(entry.transformedUrl);
+  button.textContent = success ? 'Copied!' : 'Failed';
+  setTimeout(() => {
+    button.textContent = 'Copy';
+  }, 2000);
+}
+
+/**
+ * Remove a link from the history
+ * @param {Object} entry - History entry
+ */
+async function deleteHistoryEntry(entry) {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'deleteCopyHistoryEntry', id: entry.id });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Failed to delete the link');
+    }
+    copyHistory = response.history;
+    renderCopyHistory();
+  } catch (error) {
+    console.error('Error deleting copied link:', error);
+    displayError('Failed to delete the link. Please try again.');
   }
 }
 
 /**
- * Display error message in the UI
- * Implements requirement: Add error message display functionality
+ * Show the outcome of a link conversion
+ * @param {string} message - Message to display
+ * @param {boolean} isError - Whether the message is an error
+ */
+function showConvertResult(message, isError) {
+  const convertResult = document.getElementById('convert-result');
+  convertResult.textContent = message;
+  convertResult.classList.toggle('convert-error', isError);
+}
+
+/**
+ * Display error message to user
  * @param {string} message - Error message to display
  */
 function displayError(message) {
-  if (errorMessage) {
-    errorMessage.textContent = message;
-  }
+  errorMessage.textContent = message;
 }
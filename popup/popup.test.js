@@ -0,0 +1,469 @@
+/**
+ * Popup Tests
+ * Drives the popup against the background script and the content scripts loaded alongside it
+ */
+
+const Config = require('../config/config');
+const PlatformRegistry = require('../config/platforms');
+const {
+  createStorageArea,
+  createStorageChangeEvent,
+  waitFor,
+  setupExtension
+} = require('../test/extension-harness');
+
+describe('Popup', () => {
+  const {
+    contentScript,
+    sendBackgroundMessage,
+    openOptions,
+    openPopup,
+    saveOptions,
+    onBackgroundStorageChanged
+  } = setupExtension();
+
+  describe('Platform toggles', () => {
+    test('every registered platform gets a popup toggle', async () => {
+      browser.storage.sync = createStorageArea({ config: Config.getDefaultConfig() });
+
+      await openPopup();
+      for (const platformKey of PlatformRegistry.getPlatformIds()) {
+        const toggle = document.getElementById(`${platformKey}-enabled`);
+        expect(toggle.checked).toBe(true);
+        expect(toggle.parentElement.textContent.trim()).toBe(PlatformRegistry.getPlatform(platformKey).displayName);
+      }
+    });
+
+    test('a popup toggle saves only the enabled state through the background', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.tiktok.targetHostname = 'tnktok.com';
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openPopup();
+      const toggle = document.getElementById('tiktok-enabled');
+      expect(toggle.checked).toBe(true);
+
+      toggle.checked = false;
+      toggle.dispatchEvent(new Event('change'));
+      await waitFor(() => browser.storage.sync.set.mock.calls.length > 0);
+
+      expect(await Config.getConfig()).toEqual({ ...stored, tiktok: { ...stored.tiktok, enabled: false } });
+      expect(document.getElementById('error-message').textContent).toBe('');
+    });
+
+    test('the popup keeps the toggle in sync when saving fails', async () => {
+      await openPopup();
+      browser.runtime.sendMessage = jest.fn(async message => (message.action === 'saveConfig'
+        ? { success: false, error: 'Failed to save configuration: quota exceeded' }
+        : sendBackgroundMessage(message)));
+
+      const toggle = document.getElementById('instagram-enabled');
+      toggle.checked = false;
+      toggle.dispatchEvent(new Event('change'));
+      await waitFor(() => document.getElementById('error-message').textContent !== '');
+
+      expect(toggle.checked).toBe(true);
+      expect(document.getElementById('error-message').textContent).toContain('quota exceeded');
+    });
+
+    test('the popup links to the options page', async () => {
+      window.close = jest.fn();
+      await openPopup();
+
+      document.getElementById('open-settings').click();
+      await waitFor(() => window.close.mock.calls.length > 0);
+
+      expect(browser.runtime.openOptionsPage).toHaveBeenCalled();
+      expect(window.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('Link preview', () => {
+    /**
+     * Enter a URL in the popup's preview field and return the preview text
+     * @param {string} url - URL to preview
+     */
+    function preview(url) {
+      const previewUrl = document.getElementById('preview-url');
+      previewUrl.value = url;
+      previewUrl.dispatchEvent(new Event('input'));
+      return document.getElementById('preview-result').textContent;
+    }
+
+    test('shows the link copied for the sample post with the saved settings', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.targetHostname = 'vxtwitter.com';
+      stored.twitter.queryPolicy = { mode: 'strip-all' };
+      browser.storage.sync = createStorageArea({ config: stored });
+
+      await openPopup();
+
+      expect(document.getElementById('preview-url').value).toBe('https://x.com/jack/status/20');
+      expect(document.getElementById('preview-result').textContent).toBe('https://vxtwitter.com/jack/status/20');
+      expect(document.querySelectorAll('#preview-samples option')).toHaveLength(PlatformRegistry.getPlatformIds().length);
+      expect(preview('https://x.com/jack/status/20?s=20')).toBe('https://vxtwitter.com/jack/status/20');
+      expect(preview('https://redd.it/abc123')).toBe('https://rxddit.com/comments/abc123');
+    });
+
+    test('explains why a URL would be rejected', async () => {
+      await openPopup();
+      const previewResult = document.getElementById('preview-result');
+
+      expect(preview('not a url')).toBe('Enter a post URL, such as https://x.com/user/status/123.');
+      expect(preview('https://example.com/jack/status/20')).toBe('example.com is not a supported site.');
+      expect(preview('https://x.com/jack')).toBe('This is not a link to a single Twitter/X post.');
+      expect(previewResult.classList.contains('preview-error')).toBe(true);
+
+      expect(preview('')).toBe('');
+      expect(previewResult.classList.contains('preview-error')).toBe(false);
+    });
+
+    test('follows the platform toggles', async () => {
+      await openPopup();
+      expect(preview('https://x.com/jack/status/20')).toBe('https://fixvx.com/jack/status/20');
+
+      const toggle = document.getElementById('twitter-enabled');
+      toggle.checked = false;
+      toggle.dispatchEvent(new Event('change'));
+      const previewResult = document.getElementById('preview-result');
+      await waitFor(() => previewResult.classList.contains('preview-error'));
+
+      expect(previewResult.textContent).toBe('Twitter/X is disabled, so no link would be copied.');
+    });
+  });
+
+  describe('Convert box', () => {
+    let copiedText;
+
+    beforeEach(() => {
+      copiedText = null;
+      Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: jest.fn(async (text) => { copiedText = text; }) }
+      });
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+    });
+
+    /**
+     * Enter a URL in the popup's convert box, press Enter and wait for the outcome
+     * @param {string} url - URL to convert
+     * @returns {Promise<string>} The convert result text
+     */
+    async function convert(url) {
+      const convertResult = document.getElementById('convert-result');
+      convertResult.textContent = '';
+      document.getElementById('convert-url').value = url;
+      document.getElementById('convert-url').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+      await waitFor(() => convertResult.textContent !== '');
+      return convertResult.textContent;
+    }
+
+    test('copies the embed link of page, mobile and short post URLs', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.twitter.queryPolicy = { mode: 'strip-all' };
+      browser.storage.sync = createStorageArea({ config: stored });
+      await openPopup();
+
+      expect(await convert('https://x.com/jack/status/20?s=20')).toBe('Copied: https://fixvx.com/jack/status/20');
+      expect(copiedText).toBe('https://fixvx.com/jack/status/20');
+
+      expect(await convert(' mobile.twitter.com/jack/status/20 ')).toBe('Copied: https://fixvx.com/jack/status/20');
+      expect(await convert('https://www.instagram.com/reel/C0ffee12345/?igsh=abc'))
+        .toBe('Copied: https://kkinstagram.com/reel/C0ffee12345/');
+      expect(await convert('https://vm.tiktok.com/ZMabc123/')).toBe('Copied: https://vxtiktok.com/t/ZMabc123/');
+      expect(await convert('https://redd.it/abc123')).toBe('Copied: https://rxddit.com/comments/abc123');
+      expect(document.getElementById('convert-result').classList.contains('convert-error')).toBe(false);
+    });
+
+    test('copies in the platform\'s copy format', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.bluesky.copyFormat = 'bbcode';
+      browser.storage.sync = createStorageArea({ config: stored });
+      await openPopup();
+
+      expect(await convert('https://bsky.app/profile/jay.bsky.team/post/3k44deefqdk2g'))
+        .toBe('Copied: [url=https://bskyx.app/profile/jay.bsky.team/post/3k44deefqdk2g]@jay.bsky.team[/url]');
+      expect(copiedText).toBe('[url=https://bskyx.app/profile/jay.bsky.team/post/3k44deefqdk2g]@jay.bsky.team[/url]');
+    });
+
+    test('uses the healthy hostname chosen by the background', async () => {
+      await openPopup();
+      browser.runtime.sendMessage = jest.fn(async message => (message.action === 'getHealthyHostname'
+        ? { success: true, hostname: message.hostnames[1] }
+        : sendBackgroundMessage(message)));
+
+      expect(await convert('https://www.instagram.com/p/C0ffee12345/')).toBe('Copied: https://ddinstagram.com/p/C0ffee12345/');
+    });
+
+    test('explains why a URL cannot be converted and copies nothing', async () => {
+      await openPopup();
+
+      expect(await convert('https://example.com/jack/status/20')).toBe('example.com is not a supported site.');
+      expect(await convert('https://x.com/jack')).toBe('This is not a link to a single Twitter/X post.');
+      expect(document.getElementById('convert-result').classList.contains('convert-error')).toBe(true);
+      expect(copiedText).toBeNull();
+
+      navigator.clipboard.writeText.mockRejectedValue(new Error('Document is not focused'));
+      expect(await convert('https://x.com/jack/status/20')).toBe('Could not copy to the clipboard. Please try again.');
+    });
+  });
+
+  describe('Live platform toggles', () => {
+    const { initializeShareMenuIntegration } = require('../utils/share-menu-integration');
+    let openTabs;
+
+    /**
+     * Start the share menu integration of a tab, as its content script does
+     * @param {string} platform - Platform of the tab
+     */
+    async function openTab(platform) {
+      const observer = { disconnect: jest.fn() };
+      window.ShareMenuDetector.observeShareMenus.mockReturnValueOnce(observer);
+      const integration = await initializeShareMenuIntegration({
+        platform,
+        platformKey: platform,
+        getConfig: contentScript.getConfig
+      });
+      openTabs.push(integration);
+      return { integration, observer };
+    }
+
+    /**
+     * Flip a platform's toggle in a fresh popup and wait for the save
+     * @param {string} platformKey - Platform identifier
+     * @param {boolean} enabled - New enabled state
+     */
+    async function togglePlatformInPopup(platformKey, enabled) {
+      await openPopup();
+      const toggle = document.getElementById(`${platformKey}-enabled`);
+      toggle.checked = enabled;
+      toggle.dispatchEvent(new Event('change'));
+      await waitFor(() => browser.storage.sync.set.mock.calls.length > 0);
+    }
+
+    beforeEach(() => {
+      openTabs = [];
+      browser.storage.onChanged = createStorageChangeEvent();
+      browser.storage.sync = createStorageArea({}, changes => browser.storage.onChanged.dispatch(changes, 'sync'));
+      window.ShareMenuDetector = { observeShareMenus: jest.fn(() => ({ disconnect: jest.fn() })) };
+      window.Logger = { initLogger: jest.fn(), log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    afterEach(() => {
+      openTabs.forEach(integration => integration.cleanup());
+      browser.storage.onChanged = { addListener: jest.fn() };
+      delete window.ShareMenuDetector;
+      delete window.Logger;
+    });
+
+    test('disabling a platform in the popup disconnects its observer in every open tab', async () => {
+      const firstTab = await openTab('twitter');
+      const secondTab = await openTab('twitter');
+      const instagramTab = await openTab('instagram');
+      expect(openTabs.every(integration => integration.isActive())).toBe(true);
+
+      await togglePlatformInPopup('twitter', false);
+
+      expect(firstTab.observer.disconnect).toHaveBeenCalled();
+      expect(secondTab.observer.disconnect).toHaveBeenCalled();
+      expect(firstTab.integration.isActive()).toBe(false);
+      expect(secondTab.integration.isActive()).toBe(false);
+      expect(instagramTab.integration.isActive()).toBe(true);
+      expect(instagramTab.observer.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('enabling a platform in the popup starts observing in tabs opened while it was off', async () => {
+      const stored = Config.getDefaultConfig();
+      stored.reddit.enabled = false;
+      await browser.storage.sync.set({ config: stored });
+
+      const { integration } = await openTab('reddit');
+      expect(integration.isActive()).toBe(false);
+
+      browser.storage.sync.set.mockClear();
+      await togglePlatformInPopup('reddit', true);
+
+      expect(integration.isActive()).toBe(true);
+      expect(window.ShareMenuDetector.observeShareMenus).toHaveBeenLastCalledWith('reddit', expect.any(Function));
+    });
+
+    test('the enabled state round-trips between the popup and the options page', async () => {
+      await togglePlatformInPopup('bluesky', false);
+
+      await openOptions();
+      expect(document.getElementById('bluesky-enabled').checked).toBe(false);
+      await saveOptions();
+
+      await openPopup();
+      expect(document.getElementById('bluesky-enabled').checked).toBe(false);
+      expect((await Config.getConfig()).bluesky.enabled).toBe(false);
+    });
+  });
+
+  describe('Copy history', () => {
+    let copiedText;
+
+    beforeEach(() => {
+      copiedText = null;
+      Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: jest.fn(async (text) => { copiedText = text; }) }
+      });
+      browser.tabs.create = jest.fn().mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      delete navigator.clipboard;
+      delete browser.tabs.create;
+    });
+
+    /**
+     * Report a copy to the background script the way a content script does
+     * @param {number} id - Tweet id
+     * @returns {Promise<Object>} The background script's response
+     */
+    function recordTweetCopy(id) {
+      return sendBackgroundMessage({
+        action: 'recordCopy',
+        copy: {
+          originalUrl: `https://x.com/jack/status/${id}`,
+          transformedUrl: `https://fixvx.com/jack/status/${id}`,
+          platform: 'twitter',
+          timestamp: Date.now()
+        }
+      });
+    }
+
+    /**
+     * Get the text of the links listed in the popup
+     * @returns {Array<string>} Listed embed links, top first
+     */
+    function listedLinks() {
+      return [...document.querySelectorAll('#history-list .history-link')].map(link => link.textContent);
+    }
+
+    /**
+     * Click an action button of a listed link
+     * @param {number} index - Position of the link in the list
+     * @param {string} label - Button text
+     */
+    function clickHistoryAction(index, label) {
+      const item = document.querySelectorAll('#history-list .history-item')[index];
+      [...item.querySelectorAll('button')].find(button => button.textContent === label).click();
+    }
+
+    test('the popup lists and searches the copied links', async () => {
+      await openPopup();
+      expect(document.getElementById('history-empty').textContent).toBe('Links you copy will be listed here.');
+
+      await recordTweetCopy(20);
+      await sendBackgroundMessage({
+        action: 'recordCopy',
+        copy: {
+          originalUrl: 'https://www.instagram.com/reel/C0ffee12345/',
+          transformedUrl: 'https://kkinstagram.com/reel/C0ffee12345/',
+          platform: 'instagram'
+        }
+      });
+      await openPopup();
+
+      expect(listedLinks()).toEqual(['https://kkinstagram.com/reel/C0ffee12345/', 'https://fixvx.com/jack/status/20']);
+      expect(document.querySelector('#history-list .history-details').textContent).toMatch(/^Instagram · /);
+
+      const search = document.getElementById('history-search');
+      search.value = 'twitter';
+      search.dispatchEvent(new Event('input'));
+      expect(listedLinks()).toEqual(['https://fixvx.com/jack/status/20']);
+
+      search.value = 'tiktok';
+      search.dispatchEvent(new Event('input'));
+      expect(listedLinks()).toEqual([]);
+      expect(document.getElementById('history-empty').textContent).toBe('No copied links match your search.');
+    });
+
+    test('links converted in the popup are added to the list', async () => {
+      await openPopup();
+
+      document.getElementById('convert-url').value = 'https://x.com/jack/status/20?s=20';
+      document.getElementById('convert-button').click();
+      await waitFor(() => listedLinks().length > 0);
+
+      expect(listedLinks()).toEqual(['https://fixvx.com/jack/status/20']);
+    });
+
+    test('a listed link can be copied again, opened and deleted', async () => {
+      await recordTweetCopy(20);
+      await recordTweetCopy(21);
+      await openPopup();
+
+      clickHistoryAction(1, 'Copy');
+      await waitFor(() => copiedText !== null);
+      expect(copiedText).toBe('https://fixvx.com/jack/status/20');
+
+      clickHistoryAction(0, 'Open');
+      expect(browser.tabs.create).toHaveBeenCalledWith({ url: 'https://fixvx.com/jack/status/21' });
+
+      clickHistoryAction(0, 'Delete');
+      await waitFor(() => listedLinks().length === 1);
+      expect(listedLinks()).toEqual(['https://fixvx.com/jack/status/20']);
+      const { copyHistory } = await browser.storage.local.get('copyHistory');
+      expect(copyHistory.map(entry => entry.transformedUrl)).toEqual(['https://fixvx.com/jack/status/20']);
+    });
+
+    test('turning history off in the popup clears it and stops recording', async () => {
+      browser.storage.sync = createStorageArea({}, changes => onBackgroundStorageChanged(changes, 'sync'));
+      await recordTweetCopy(20);
+      await openPopup();
+      expect(listedLinks()).toHaveLength(1);
+
+      const toggle = document.getElementById('keep-copy-history');
+      expect(toggle.checked).toBe(true);
+      toggle.checked = false;
+      toggle.dispatchEvent(new Event('change'));
+      await waitFor(() => document.getElementById('history-empty').textContent === 'Copy history is off.');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect((await Config.getConfig()).keepCopyHistory).toBe(false);
+      expect(listedLinks()).toEqual([]);
+      expect(await browser.storage.local.get('copyHistory')).toEqual({ copyHistory: [] });
+      expect(await recordTweetCopy(21)).toEqual({ success: true, recorded: false });
+
+      await openPopup();
+      expect(document.getElementById('keep-copy-history').checked).toBe(false);
+      expect(document.getElementById('history-search').disabled).toBe(true);
+    });
+
+    test('an organization policy can turn history off and lock the toggle', async () => {
+      browser.storage.managed = {
+        get: jest.fn().mockResolvedValue({ config: { keepCopyHistory: false } })
+      };
+      await openPopup();
+      delete browser.storage.managed;
+
+      expect(document.getElementById('keep-copy-history').checked).toBe(false);
+      expect(document.getElementById('keep-copy-history').disabled).toBe(true);
+      expect(document.querySelector('.history-toggle').classList.contains('managed')).toBe(true);
+    });
+  });
+
+  describe('Organization policy', () => {
+    afterEach(() => {
+      delete browser.storage.managed;
+    });
+
+    test('the popup locks toggles set by the policy', async () => {
+      browser.storage.managed = createStorageArea({ config: { instagram: { enabled: false } } });
+
+      await openPopup();
+
+      const toggle = document.getElementById('instagram-enabled');
+      expect(toggle.checked).toBe(false);
+      expect(toggle.disabled).toBe(true);
+      expect(toggle.parentElement.title).toBe('Managed by your organization');
+      expect(document.getElementById('twitter-enabled').disabled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Extension Test Harness
+ * Loads the background script, the options page, the popup and a content script
+ * into one jsdom environment with an in-memory browser API, so tests can drive
+ * a page and check what the background script and the open tabs see
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+
+/**
+ * Create an in-memory storage area with the browser.storage API
+ * @param {Object} initial - Initial stored items
+ * @param {Function} [onChange] - Called with the storage changes object after each set
+ */
+function createStorageArea(initial = {}, onChange = () => {}) {
+  let items = { ...initial };
+  return {
+    get: jest.fn(async (key) => (key in items ? { [key]: items[key] } : {})),
+    set: jest.fn(async (newItems) => {
+      const changes = {};
+      for (const key of Object.keys(newItems)) {
+        changes[key] = { oldValue: items[key], newValue: newItems[key] };
+      }
+      items = { ...items, ...newItems };
+      onChange(changes);
+    }),
+    remove: jest.fn(async (key) => {
+      delete items[key];
+    })
+  };
+}
+
+/**
+ * Create a browser.storage.onChanged event that can be dispatched from a storage area
+ */
+function createStorageChangeEvent() {
+  const listeners = new Set();
+  return {
+    addListener: jest.fn(listener => listeners.add(listener)),
+    removeListener: jest.fn(listener => listeners.delete(listener)),
+    dispatch: (changes, areaName) => listeners.forEach(listener => listener(changes, areaName))
+  };
+}
+
+/**
+ * Wait until a condition holds, letting pending promises and timers run
+ * Gives up after a second so a failing condition fails the test's assertions
+ * instead of its timeout
+ * @param {Function} condition - Condition to wait for
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 1000;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * Load an extension page script and capture its DOMContentLoaded handler
+ * The shared modules the page's HTML loads ahead of the script are required first
+ * @param {string} page - Page path without extension (e.g. 'options/options')
+ * @returns {Object} { body, initialize }
+ */
+function loadExtensionPage(page) {
+  const html = fs.readFileSync(path.join(ROOT_DIRECTORY, `${page}.html`), 'utf-8');
+  for (const [, src] of html.matchAll(/<script src="\.\.\/([^"]+)"><\/script>/g)) {
+    if (!src.includes('browser-polyfill')) {
+      require(path.join(ROOT_DIRECTORY, src));
+    }
+  }
+
+  const addEventListener = jest.spyOn(document, 'addEventListener');
+  require(path.join(ROOT_DIRECTORY, page));
+  const initialize = addEventListener.mock.calls.find(([type]) => type === 'DOMContentLoaded')[1];
+  addEventListener.mockRestore();
+  return { body: html.match(/<body>([\s\S]*)<\/body>/)[1], initialize };
+}
+
+/**
+ * Set up the extension for the tests of the calling describe block
+ * The background script and the pages are loaded once; storage, permissions and
+ * console output are reset before each test
+ * @returns {Object} Helpers to drive the background script, the pages and the content script
+ */
+function setupExtension() {
+  const listeners = {};
+  let optionsPage;
+  let popupPage;
+
+  /**
+   * Send a runtime message to the background script
+   * @param {Object} message - The message
+   * @returns {Promise<Object>} The background script's response
+   */
+  function sendBackgroundMessage(message) {
+    return new Promise(resolve => {
+      listeners.onMessage(message, {}, resolve);
+    });
+  }
+
+  /**
+   * Open a fresh options page and let it load the configuration from the background
+   */
+  async function openOptions() {
+    document.body.innerHTML = optionsPage.body;
+    await optionsPage.initialize();
+  }
+
+  /**
+   * Open a fresh popup and let it load the configuration from the background
+   */
+  async function openPopup() {
+    document.body.innerHTML = popupPage.body;
+    await popupPage.initialize();
+  }
+
+  /**
+   * Click the options page's save button and wait for the outcome
+   */
+  async function saveOptions() {
+    const saveButton = document.getElementById('save-button');
+    const errorMessage = document.getElementById('error-message');
+    saveButton.click();
+    await waitFor(() => saveButton.textContent === 'Saved!' || errorMessage.textContent !== '');
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+
+    global.browser = {
+      runtime: {
+        onInstalled: { addListener: jest.fn() },
+        onStartup: { addListener: jest.fn() },
+        onMessage: { addListener: jest.fn(), removeListener: jest.fn() },
+        sendMessage: jest.fn(),
+        getManifest: () => ({ version: '1.1.0' }),
+        openOptionsPage: jest.fn()
+      },
+      commands: {
+        onCommand: { addListener: jest.fn() }
+      },
+      browserAction: {
+        setBadgeText: jest.fn().mockResolvedValue(),
+        setBadgeBackgroundColor: jest.fn().mockResolvedValue()
+      },
+      contextMenus: {
+        create: jest.fn(),
+        removeAll: jest.fn().mockResolvedValue(),
+        onClicked: { addListener: jest.fn() }
+      },
+      storage: {
+        sync: createStorageArea(),
+        local: createStorageArea(),
+        onChanged: { addListener: jest.fn() }
+      },
+      tabs: {
+        query: jest.fn().mockResolvedValue([])
+      }
+    };
+
+    // Background: the service worker pulls in the shared modules with importScripts
+    global.importScripts = (...scripts) => {
+      scripts
+        .filter(script => !script.includes('browser-polyfill'))
+        .forEach(script => require(path.join(ROOT_DIRECTORY, 'background', script)));
+    };
+    require(path.join(ROOT_DIRECTORY, 'background/background'));
+    listeners.onMessage = browser.runtime.onMessage.addListener.mock.calls[0][0];
+    listeners.onStorageChanged = browser.storage.onChanged.addListener.mock.calls[0][0];
+    listeners.onContextMenuClicked = browser.contextMenus.onClicked.addListener.mock.calls[0][0];
+    listeners.onCommand = browser.commands.onCommand.addListener.mock.calls[0][0];
+    delete global.importScripts;
+
+    // Extension pages
+    optionsPage = loadExtensionPage('options/options');
+    popupPage = loadExtensionPage('popup/popup');
+  });
+
+  afterAll(() => {
+    delete global.browser;
+  });
+
+  beforeEach(() => {
+    browser.storage.sync = createStorageArea();
+    browser.storage.local = createStorageArea();
+    browser.runtime.sendMessage = jest.fn(message => sendBackgroundMessage(message));
+    browser.permissions = {
+      contains: jest.fn().mockResolvedValue(true),
+      request: jest.fn().mockResolvedValue(true)
+    };
+    jest.spyOn(window.HostHealth, 'probeHosts').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  return {
+    // Content script of Twitter/X; it only defines functions until init() is called
+    contentScript: require(path.join(ROOT_DIRECTORY, 'content/twitter-share-menu')),
+    sendBackgroundMessage,
+    openOptions,
+    openPopup,
+    saveOptions,
+    // The background script's event listeners
+    onBackgroundStorageChanged: (changes, areaName) => listeners.onStorageChanged(changes, areaName),
+    onContextMenuClicked: (info, tab) => listeners.onContextMenuClicked(info, tab),
+    onCommand: command => listeners.onCommand(command)
+  };
+}
+
+module.exports = {
+  createStorageArea,
+  createStorageChangeEvent,
+  waitFor,
+  setupExtension
+};
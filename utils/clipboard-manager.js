@@ -6,10 +6,14 @@
 /**
  * Copy text to clipboard with automatic fallback
  * Tries modern navigator.clipboard API first, then falls back to legacy execCommand
+ * With an HTML version the text is written as a ClipboardItem holding text/html
+ * and text/plain flavors, so rich text editors paste a link; where ClipboardItem
+ * is not supported only the plain text is copied
  * @param {string} text - Text to copy to clipboard
+ * @param {string} [html] - HTML version of the text
  * @returns {Promise<boolean>} True if successful, false otherwise
  */
-async function copyToClipboard(text) {
+async function copyToClipboard(text, html) {
   // Validate input
   if (typeof text !== 'string') {
     if (window.Logger) {
@@ -27,7 +31,16 @@ async function copyToClipboard(text) {
   }
 
   try {
-    await navigator.clipboard.writeText(text);
+    if (typeof html === 'string' && navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          'text/plain': new Blob([text], { type: 'text/plain' }),
+          'text/html': new Blob([html], { type: 'text/html' })
+        })
+      ]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
     if (window.Logger) {
       window.Logger.log('[clipboard-manager] Text copied successfully');
     }
@@ -107,6 +107,55 @@ describe('Clipboard Manager', () => {
           expect.any(Error)
         );
       });
+
+      test('writes text/html and text/plain flavors when an HTML version is given', async () => {
+        const mockWrite = jest.fn().mockResolvedValue(undefined);
+        const mockWriteText = jest.fn().mockResolvedValue(undefined);
+        Object.defineProperty(global, 'navigator', {
+          value: {
+            clipboard: {
+              write: mockWrite,
+              writeText: mockWriteText
+            }
+          },
+          writable: true,
+          configurable: true
+        });
+        global.ClipboardItem = jest.fn(function (items) {
+          this.items = items;
+        });
+
+        const anchor = '<a href="https://fixvx.com/jack/status/20">@jack</a>';
+        const result = await copyToClipboard(anchor, anchor);
+        delete global.ClipboardItem;
+
+        expect(result).toBe(true);
+        expect(mockWriteText).not.toHaveBeenCalled();
+        const [[[item]]] = mockWrite.mock.calls;
+        expect(Object.keys(item.items)).toEqual(['text/plain', 'text/html']);
+        expect(item.items['text/html'].type).toBe('text/html');
+        expect(item.items['text/plain'].size).toBe(anchor.length);
+      });
+
+      test('copies only the plain text where ClipboardItem is not supported', async () => {
+        const mockWriteText = jest.fn().mockResolvedValue(undefined);
+        Object.defineProperty(global, 'navigator', {
+          value: {
+            clipboard: {
+              write: jest.fn(),
+              writeText: mockWriteText
+            }
+          },
+          writable: true,
+          configurable: true
+        });
+
+        const result = await copyToClipboard('[@jack](https://fixvx.com/jack/status/20)', '<a>@jack</a>');
+
+        expect(result).toBe(true);
+        expect(mockWriteText).toHaveBeenCalledWith('[@jack](https://fixvx.com/jack/status/20)');
+        expect(navigator.clipboard.write).not.toHaveBeenCalled();
+      });
     });
   });
 
@@ -48,7 +48,8 @@ describe('Code Elimination Safety', () => {
         'utils/share-menu-detector.js',
         'utils/share-menu-injector.js',
         'utils/feedback-manager.js',
-        'popup/popup.js'
+        'popup/popup.js',
+        'options/options.js'
       ];
       
       await fc.assert(
@@ -147,7 +148,8 @@ describe('Code Elimination Safety', () => {
         'content/instagram-share-menu.js',
         'utils/share-menu-integration.js',
         'background/background.js',
-        'popup/popup.js'
+        'popup/popup.js',
+        'options/options.js'
       ];
       
       const removedFunctions = [
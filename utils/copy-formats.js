@@ -0,0 +1,122 @@
+/**
+ * Copy Formats Module
+ * Renders a copied embed link in the clipboard output format picked for a
+ * platform or menu item: the plain link, Markdown, an HTML anchor, BBCode or a
+ * Discord spoiler
+ */
+
+// Longest post text quoted in a link label; longer text is cut at a word
+const MAX_LABEL_TEXT_LENGTH = 100;
+
+/**
+ * Shorten post text for a link label
+ * Line breaks and runs of whitespace collapse to single spaces
+ * @param {string} text - The post text
+ * @returns {string} The text, cut to MAX_LABEL_TEXT_LENGTH characters with an ellipsis
+ */
+function summarizePostText(text) {
+  const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+  if (collapsed.length <= MAX_LABEL_TEXT_LENGTH) {
+    return collapsed;
+  }
+
+  const cut = collapsed.slice(0, MAX_LABEL_TEXT_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Build the label of a formatted link from the post's author and text
+ * @param {Object} link - { author, text }
+ * @returns {string} "@author: text", "@author" or the text; empty when neither is known
+ */
+function getLinkLabel(link) {
+  const author = link.author ? `@${link.author}` : '';
+  const text = summarizePostText(link.text);
+
+  if (author && text) {
+    return `${author}: ${text}`;
+  }
+  return author || text;
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a copied link in a clipboard output format
+ * Unknown formats copy the plain link. Only the html format supplies an HTML
+ * flavor, which rich text editors paste as a link; every other format,
+ * Markdown and BBCode included, is copied as plain text only
+ * @param {string} format - Format identifier (see Config.COPY_FORMATS)
+ * @param {Object} link - The copied link
+ * @param {string} link.url - The embed link
+ * @param {string} [link.author] - Author handle without the leading @
+ * @param {string} [link.text] - Post text
+ * @returns {Object} { text } for every format, plus html for the html format
+ */
+function renderCopyFormat(format, link) {
+  const { url } = link;
+  const label = getLinkLabel(link);
+
+  switch (format) {
+    case 'markdown': {
+      // Parentheses would end the link target early
+      const target = url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+      return { text: label ? `[${label.replace(/([\\[\]])/g, '\\$1')}](${target})` : `<${url}>` };
+    }
+    case 'html': {
+      const anchor = `<a href="${escapeHtml(url)}">${escapeHtml(label || url)}</a>`;
+      return { text: anchor, html: anchor };
+    }
+    case 'bbcode': {
+      // BBCode has no escapes: brackets in the link would end the tag early and
+      // are percent-encoded, brackets in the label would close it and are replaced
+      const target = url.replace(/\[/g, '%5B').replace(/\]/g, '%5D');
+      return { text: label ? `[url=${target}]${label.replace(/\[/g, '(').replace(/\]/g, ')')}[/url]` : `[url]${target}[/url]` };
+    }
+    case 'spoiler':
+      return { text: `||${url}||` };
+    default:
+      return { text: url };
+  }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js/CommonJS environment (for testing)
+  module.exports = {
+    MAX_LABEL_TEXT_LENGTH,
+    summarizePostText,
+    getLinkLabel,
+    renderCopyFormat
+  };
+}
+
+// Expose to window for content scripts and the popup, or to the service worker global scope
+if (typeof window !== 'undefined') {
+  window.CopyFormats = {
+    MAX_LABEL_TEXT_LENGTH,
+    summarizePostText,
+    getLinkLabel,
+    renderCopyFormat
+  };
+} else if (typeof self !== 'undefined') {
+  self.CopyFormats = {
+    MAX_LABEL_TEXT_LENGTH,
+    summarizePostText,
+    getLinkLabel,
+    renderCopyFormat
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Copy Formats Tests
+ * Unit and property-based tests for rendering copied embed links as Markdown,
+ * HTML, BBCode and Discord spoilers
+ */
+
+const fc = require('fast-check');
+const { MAX_LABEL_TEXT_LENGTH, summarizePostText, getLinkLabel, renderCopyFormat } = require('./copy-formats');
+const { COPY_FORMATS } = require('../config/config');
+
+describe('Copy Formats', () => {
+  const link = {
+    url: 'https://fixvx.com/jack/status/20',
+    author: 'jack',
+    text: 'just setting up my twttr'
+  };
+
+  // ============================================================================
+  // UNIT TESTS
+  // ============================================================================
+
+  describe('Unit Tests', () => {
+
+    test('every format renders the link with the post author and text', () => {
+      expect(renderCopyFormat('url', link)).toEqual({ text: 'https://fixvx.com/jack/status/20' });
+      expect(renderCopyFormat('markdown', link)).toEqual({
+        text: '[@jack: just setting up my twttr](https://fixvx.com/jack/status/20)'
+      });
+      expect(renderCopyFormat('html', link)).toEqual({
+        text: '<a href="https://fixvx.com/jack/status/20">@jack: just setting up my twttr</a>',
+        html: '<a href="https://fixvx.com/jack/status/20">@jack: just setting up my twttr</a>'
+      });
+      expect(renderCopyFormat('bbcode', link)).toEqual({
+        text: '[url=https://fixvx.com/jack/status/20]@jack: just setting up my twttr[/url]'
+      });
+      expect(renderCopyFormat('spoiler', link)).toEqual({ text: '||https://fixvx.com/jack/status/20||' });
+    });
+
+    test('unknown formats copy the plain link', () => {
+      expect(renderCopyFormat('rtf', link)).toEqual({ text: link.url });
+      expect(renderCopyFormat(undefined, link)).toEqual({ text: link.url });
+    });
+
+    test('labels fall back to the author, the text or the link itself', () => {
+      const url = 'https://kkinstagram.com/p/C0ffee12345/';
+
+      expect(getLinkLabel({ url, author: 'instagram' })).toBe('@instagram');
+      expect(getLinkLabel({ url, text: 'Coffee' })).toBe('Coffee');
+      expect(renderCopyFormat('markdown', { url, author: '', text: '' }).text).toBe(`<${url}>`);
+      expect(renderCopyFormat('html', { url }).text).toBe(`<a href="${url}">${url}</a>`);
+      expect(renderCopyFormat('bbcode', { url }).text).toBe(`[url]${url}[/url]`);
+    });
+
+    test('post text is collapsed onto one line and shortened at a word', () => {
+      expect(summarizePostText('  first line\n\nsecond   line ')).toBe('first line second line');
+
+      const longText = 'word '.repeat(40);
+      const summary = summarizePostText(longText);
+      expect(summary.endsWith('word…')).toBe(true);
+      expect(summary.length).toBeLessThanOrEqual(MAX_LABEL_TEXT_LENGTH + 1);
+      expect(summarizePostText(undefined)).toBe('');
+    });
+
+    test('labels cannot break out of the Markdown, HTML or BBCode markup', () => {
+      const tricky = {
+        url: 'https://rxddit.com/r/test/comments/abc123/',
+        author: 'user',
+        text: '[link](https://evil.example) <script>alert("x")</script> [/url]'
+      };
+
+      expect(renderCopyFormat('markdown', tricky).text).toBe(
+        '[@user: \\[link\\](https://evil.example) <script>alert("x")</script> \\[/url\\]](https://rxddit.com/r/test/comments/abc123/)'
+      );
+      expect(renderCopyFormat('html', tricky).html).toBe(
+        '<a href="https://rxddit.com/r/test/comments/abc123/">@user: [link](https://evil.example) ' +
+        '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; [/url]</a>'
+      );
+      expect(renderCopyFormat('bbcode', tricky).text).toBe(
+        '[url=https://rxddit.com/r/test/comments/abc123/]@user: (link)(https://evil.example) <script>alert("x")</script> (/url)[/url]'
+      );
+    });
+
+    test('parentheses in Markdown link targets are encoded', () => {
+      expect(renderCopyFormat('markdown', { url: 'https://example.com/a_(b)', author: 'x' }).text)
+        .toBe('[@x](https://example.com/a_%28b%29)');
+    });
+
+    test('brackets in BBCode link targets are encoded', () => {
+      const url = 'https://fixvx.com/jack/status/20?tags[]=a]b';
+
+      expect(renderCopyFormat('bbcode', { url, author: 'jack' }).text)
+        .toBe('[url=https://fixvx.com/jack/status/20?tags%5B%5D=a%5Db]@jack[/url]');
+      expect(renderCopyFormat('bbcode', { url }).text)
+        .toBe('[url]https://fixvx.com/jack/status/20?tags%5B%5D=a%5Db[/url]');
+    });
+  });
+
+  // ============================================================================
+  // PROPERTY-BASED TESTS
+  // ============================================================================
+
+  describe('Property-Based Tests', () => {
+
+    test('every format keeps the link and only the HTML format has an HTML flavor', () => {
+      const linkGen = fc.record({
+        url: fc.webUrl({ validSchemes: ['https'] }).filter(url => !/[()[\]]/.test(url)),
+        author: fc.oneof(fc.constant(''), fc.stringMatching(/^[A-Za-z0-9_]{1,15}$/)),
+        text: fc.string({ maxLength: 300 })
+      });
+
+      fc.assert(
+        fc.property(fc.constantFrom(...COPY_FORMATS), linkGen, (format, generatedLink) => {
+          const { text, html } = renderCopyFormat(format, generatedLink);
+
+          if (format === 'html') {
+            expect(html).toBe(text);
+            expect(text).toContain(`href="${generatedLink.url.replace(/&/g, '&amp;').replace(/'/g, '&#39;')}"`);
+          } else {
+            expect(html).toBeUndefined();
+            expect(text).toContain(generatedLink.url);
+          }
+          expect(text).not.toMatch(/[\r\n]/);
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Copy History Module
+ * Keeps a short list of the embed links copied recently so a post can be shared
+ * again from the popup. The background script stores the list in storage.local
+ */
+
+// The platform registry is loaded ahead of this file; under Node require it directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+}
+
+// Storage.local key of the history list
+const COPY_HISTORY_STORAGE_KEY = 'copyHistory';
+
+// Number of copies kept, oldest ones are dropped first
+const MAX_COPY_HISTORY_ENTRIES = 50;
+
+/**
+ * Check if a value is an http(s) URL
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is an http(s) URL string
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create a history entry for a copied embed link
+ * Copies are reported by content scripts, so anything that is not a copy of a
+ * registered platform's post is refused
+ * @param {Object} copy - The copy: { originalUrl, transformedUrl, platform, timestamp }
+ * @param {string} copy.originalUrl - The post URL
+ * @param {string} copy.transformedUrl - The embed link that was copied
+ * @param {string} copy.platform - Registered platform identifier
+ * @param {number} [copy.timestamp] - Time of the copy in milliseconds; defaults to now
+ * @returns {Object|null} The entry with a unique id, or null if the copy is invalid
+ */
+function createHistoryEntry(copy) {
+  if (!copy || !isHttpUrl(copy.originalUrl) || !isHttpUrl(copy.transformedUrl) ||
+      !PlatformRegistry.getPlatform(copy.platform)) {
+    return null;
+  }
+
+  const timestamp = Number.isFinite(copy.timestamp) ? copy.timestamp : Date.now();
+  return {
+    id: `${timestamp}-${Math.random().toString(36).substring(2, 11)}`,
+    originalUrl: copy.originalUrl,
+    transformedUrl: copy.transformedUrl,
+    platform: copy.platform,
+    timestamp
+  };
+}
+
+/**
+ * Add an entry at the top of the history
+ * Copying the same embed link again moves it to the top instead of listing it twice
+ * @param {Array<Object>} history - History entries, newest first
+ * @param {Object} entry - Entry from createHistoryEntry
+ * @param {number} [maxEntries] - Number of entries to keep
+ * @returns {Array<Object>} The new history, newest first
+ */
+function addHistoryEntry(history, entry, maxEntries = MAX_COPY_HISTORY_ENTRIES) {
+  const others = (history || []).filter(existing => existing.transformedUrl !== entry.transformedUrl);
+  return [entry, ...others].slice(0, maxEntries);
+}
+
+/**
+ * Remove an entry from the history
+ * @param {Array<Object>} history - History entries
+ * @param {string} id - Id of the entry to remove
+ * @returns {Array<Object>} The history without the entry
+ */
+function removeHistoryEntry(history, id) {
+  return (history || []).filter(entry => entry.id !== id);
+}
+
+/**
+ * Find the entries matching a search query
+ * The query is matched case-insensitively against both URLs and the platform name
+ * @param {Array<Object>} history - History entries
+ * @param {string} query - Search text; an empty query matches every entry
+ * @returns {Array<Object>} The matching entries, in history order
+ */
+function filterHistory(history, query) {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return history || [];
+  }
+
+  return (history || []).filter(entry => {
+    const definition = PlatformRegistry.getPlatform(entry.platform);
+    const text = [entry.originalUrl, entry.transformedUrl, definition ? definition.displayName : entry.platform]
+      .join(' ')
+      .toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js/CommonJS environment (for testing)
+  module.exports = {
+    COPY_HISTORY_STORAGE_KEY,
+    MAX_COPY_HISTORY_ENTRIES,
+    createHistoryEntry,
+    addHistoryEntry,
+    removeHistoryEntry,
+    filterHistory
+  };
+}
+
+// Expose to window for the popup, or to the service worker global scope
+if (typeof window !== 'undefined') {
+  window.CopyHistory = {
+    COPY_HISTORY_STORAGE_KEY,
+    MAX_COPY_HISTORY_ENTRIES,
+    createHistoryEntry,
+    addHistoryEntry,
+    removeHistoryEntry,
+    filterHistory
+  };
+} else if (typeof self !== 'undefined') {
+  self.CopyHistory = {
+    COPY_HISTORY_STORAGE_KEY,
+    MAX_COPY_HISTORY_ENTRIES,
+    createHistoryEntry,
+    addHistoryEntry,
+    removeHistoryEntry,
+    filterHistory
+  };
+}
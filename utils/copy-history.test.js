@@ -0,0 +1,135 @@
+/**
+ * Copy History Tests
+ * Unit and property-based tests for recording, capping and searching the
+ * recently copied embed links
+ */
+
+const fc = require('fast-check');
+const {
+  MAX_COPY_HISTORY_ENTRIES,
+  createHistoryEntry,
+  addHistoryEntry,
+  removeHistoryEntry,
+  filterHistory
+} = require('./copy-history');
+
+describe('Copy History', () => {
+
+  /**
+   * Create a valid history entry for a tweet
+   * @param {number} id - Tweet id
+   * @returns {Object} The entry
+   */
+  function tweetEntry(id) {
+    return createHistoryEntry({
+      originalUrl: `https://x.com/jack/status/${id}`,
+      transformedUrl: `https://fixvx.com/jack/status/${id}`,
+      platform: 'twitter',
+      timestamp: 1700000000000 + id
+    });
+  }
+
+  // ============================================================================
+  // UNIT TESTS
+  // ============================================================================
+
+  describe('Unit Tests', () => {
+
+    test('createHistoryEntry keeps the copy and adds a unique id', () => {
+      const first = tweetEntry(20);
+      const second = tweetEntry(20);
+
+      expect(first).toEqual({
+        id: expect.any(String),
+        originalUrl: 'https://x.com/jack/status/20',
+        transformedUrl: 'https://fixvx.com/jack/status/20',
+        platform: 'twitter',
+        timestamp: 1700000000020
+      });
+      expect(first.id).not.toBe(second.id);
+    });
+
+    test('createHistoryEntry defaults the timestamp to now', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1234);
+      const entry = createHistoryEntry({
+        originalUrl: 'https://bsky.app/profile/jay.bsky.team/post/3k44deefqdk2g',
+        transformedUrl: 'https://bskx.app/profile/jay.bsky.team/post/3k44deefqdk2g',
+        platform: 'bluesky'
+      });
+      Date.now.mockRestore();
+
+      expect(entry.timestamp).toBe(1234);
+    });
+
+    test('createHistoryEntry refuses copies that are not embed links of a registered platform', () => {
+      const copy = {
+        originalUrl: 'https://x.com/jack/status/20',
+        transformedUrl: 'https://fixvx.com/jack/status/20',
+        platform: 'twitter'
+      };
+
+      expect(createHistoryEntry({ ...copy, platform: 'myspace' })).toBeNull();
+      expect(createHistoryEntry({ ...copy, transformedUrl: 'javascript:alert(1)' })).toBeNull();
+      expect(createHistoryEntry({ ...copy, originalUrl: 42 })).toBeNull();
+      expect(createHistoryEntry(undefined)).toBeNull();
+    });
+
+    test('addHistoryEntry moves a link copied again to the top', () => {
+      const history = [tweetEntry(2), tweetEntry(1)];
+      const again = tweetEntry(1);
+
+      expect(addHistoryEntry(history, again)).toEqual([again, history[0]]);
+      expect(addHistoryEntry(undefined, again)).toEqual([again]);
+    });
+
+    test('removeHistoryEntry removes only the given entry', () => {
+      const history = [tweetEntry(2), tweetEntry(1)];
+
+      expect(removeHistoryEntry(history, history[1].id)).toEqual([history[0]]);
+      expect(removeHistoryEntry(history, 'missing')).toEqual(history);
+    });
+
+    test('filterHistory matches URLs and platform names, ignoring case', () => {
+      const tweet = tweetEntry(20);
+      const reel = createHistoryEntry({
+        originalUrl: 'https://www.instagram.com/reel/C0ffee12345/',
+        transformedUrl: 'https://kkinstagram.com/reel/C0ffee12345/',
+        platform: 'instagram'
+      });
+      const history = [reel, tweet];
+
+      expect(filterHistory(history, '')).toEqual(history);
+      expect(filterHistory(history, '  ')).toEqual(history);
+      expect(filterHistory(history, 'INSTAGRAM')).toEqual([reel]);
+      expect(filterHistory(history, 'twitter/x')).toEqual([tweet]);
+      expect(filterHistory(history, 'jack fixvx')).toEqual([tweet]);
+      expect(filterHistory(history, 'jack reel')).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // PROPERTY-BASED TESTS
+  // ============================================================================
+
+  describe('Property-Based Tests', () => {
+
+    test('the history is capped, newest first and lists each embed link once', () => {
+      fc.assert(
+        fc.property(fc.array(fc.integer({ min: 1, max: 80 }), { maxLength: 200 }), (ids) => {
+          let history = [];
+          for (const id of ids) {
+            history = addHistoryEntry(history, tweetEntry(id));
+          }
+
+          const links = history.map(entry => entry.transformedUrl);
+          expect(history.length).toBeLessThanOrEqual(MAX_COPY_HISTORY_ENTRIES);
+          expect(new Set(links).size).toBe(links.length);
+          expect(history.length).toBe(Math.min(new Set(ids).size, MAX_COPY_HISTORY_ENTRIES));
+          if (ids.length > 0) {
+            expect(links[0]).toBe(`https://fixvx.com/jack/status/${ids[ids.length - 1]}`);
+          }
+        })
+      );
+    });
+  });
+});
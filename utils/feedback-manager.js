@@ -1,12 +1,30 @@
 /**
  * Feedback Manager Module
- * Manages visual feedback for user actions in share menus
+ * Manages visual feedback for user actions in share menus, on inline buttons and
+ * over posts copied with the keyboard shortcut
  */
 
+// The platform registry is loaded ahead of this file by the manifest; under Node require it directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+}
+
+/**
+ * Get a feedback color from the platform's styling
+ * @param {string} platform - Registered platform identifier
+ * @param {string} key - Styling key ('successColor' or 'errorColor')
+ * @param {string} fallback - Color used for unknown platforms
+ * @returns {string} CSS color
+ */
+function getFeedbackColor(platform, key, fallback) {
+  const definition = window.PlatformRegistry.getPlatform(platform);
+  return definition ? definition.styling[key] : fallback;
+}
+
 /**
  * Show success feedback
  * @param {HTMLElement} menuItem - The menu item that was clicked
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  */
 function showSuccessFeedback(menuItem, platform) {
   if (!menuItem) return;
@@ -32,11 +50,7 @@ function showSuccessFeedback(menuItem, platform) {
   `;
 
   // Platform-specific adjustments
-  if (platform === 'twitter') {
-    feedbackElement.style.color = '#00ba7c';
-  } else if (platform === 'instagram') {
-    feedbackElement.style.color = '#0095f6';
-  }
+  feedbackElement.style.color = getFeedbackColor(platform, 'successColor', '#00ba7c');
 
   // Add fade-in animation if not already present
   if (!document.getElementById('embed-link-feedback-styles')) {
@@ -60,7 +74,7 @@ function showSuccessFeedback(menuItem, platform) {
  * Show error feedback
  * @param {HTMLElement} menuItem - The menu item that was clicked
  * @param {string} message - Error message to display
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  */
 function showErrorFeedback(menuItem, message, platform) {
   if (!menuItem) return;
@@ -86,11 +100,7 @@ function showErrorFeedback(menuItem, message, platform) {
   `;
 
   // Platform-specific adjustments
-  if (platform === 'twitter') {
-    feedbackElement.style.color = '#f91880';
-  } else if (platform === 'instagram') {
-    feedbackElement.style.color = '#ed4956';
-  }
+  feedbackElement.style.color = getFeedbackColor(platform, 'errorColor', '#f91880');
 
   // Add fade-in animation if not already present
   if (!document.getElementById('embed-link-feedback-styles')) {
@@ -110,6 +120,36 @@ function showErrorFeedback(menuItem, message, platform) {
   }
 }
 
+/**
+ * Create a feedback overlay over a post's top right corner
+ * Copies made without a menu item or button (the keyboard shortcut) show their
+ * feedback in it, so nothing is added to the site's post layout. The overlay is
+ * removed together with its feedback (see hideFeedbackAfterDelay)
+ * @param {HTMLElement} postElement - The post
+ * @returns {HTMLElement|null} The overlay, attached to the document body
+ */
+function createFeedbackOverlay(postElement) {
+  if (!postElement) return null;
+
+  const rect = postElement.getBoundingClientRect();
+  const overlay = document.createElement('div');
+  overlay.className = 'embed-link-feedback-overlay';
+  overlay.setAttribute('role', 'status');
+  overlay.style.cssText = `
+    position: fixed;
+    top: ${Math.max(rect.top, 0) + 8}px;
+    right: ${Math.max(window.innerWidth - rect.right, 0) + 8}px;
+    z-index: 2147483647;
+    padding: 4px 8px 4px 0;
+    border-radius: 4px;
+    background-color: rgba(255, 255, 255, 0.95);
+    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+    pointer-events: none;
+  `;
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
 /**
  * Hide feedback after delay
  * @param {HTMLElement} menuItem - The menu item element
@@ -130,6 +170,9 @@ function hideFeedbackAfterDelay(menuItem, delay = 2000) {
         if (feedbackElement.parentNode) {
           feedbackElement.remove();
         }
+        if (menuItem.classList.contains('embed-link-feedback-overlay')) {
+          menuItem.remove();
+        }
       }, 200);
     }
   }, delay);
@@ -142,6 +185,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     showSuccessFeedback,
     showErrorFeedback,
+    createFeedbackOverlay,
     hideFeedbackAfterDelay
   };
 }
@@ -151,6 +195,7 @@ if (typeof window !== 'undefined') {
   window.FeedbackManager = {
     showSuccessFeedback,
     showErrorFeedback,
+    createFeedbackOverlay,
     hideFeedbackAfterDelay
   };
 }
@@ -0,0 +1,170 @@
+/**
+ * Host Health Module
+ * Orders a platform's target hostnames and probes them for availability so
+ * that a copied link always points at a fixer service that is up
+ */
+
+// Time to wait for a health check response before marking a host as down
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Get the ordered list of target hostnames of a platform configuration
+ * The primary targetHostname comes first, followed by its fallbacks
+ * @param {Object} platformConfig - Platform configuration (e.g. config.twitter)
+ * @returns {Array<string>} Ordered, de-duplicated list of hostnames
+ */
+function getTargetHostnames(platformConfig) {
+  if (!platformConfig) {
+    return [];
+  }
+
+  const hostnames = [platformConfig.targetHostname, ...(platformConfig.fallbackHostnames || [])];
+  return hostnames.filter((hostname, index) => hostname && hostnames.indexOf(hostname) === index);
+}
+
+/**
+ * Build the health check URL for a hostname
+ * @param {string} endpoint - Health check endpoint template containing {hostname}
+ * @param {string} hostname - The hostname to check
+ * @returns {string} The URL to probe
+ */
+function buildHealthCheckUrl(endpoint, hostname) {
+  return endpoint.replace(/\{hostname\}/g, encodeURIComponent(hostname));
+}
+
+/**
+ * Get the host permission pattern needed to read a hostname's health check response
+ * Without it every cross-origin response is opaque and its status unknown
+ * @param {string} endpoint - Health check endpoint template containing {hostname}
+ * @param {string} hostname - The hostname to check
+ * @returns {string|null} Origin pattern such as "https://fixvx.com/*", or null if the URL is invalid
+ */
+function getHealthCheckOrigin(endpoint, hostname) {
+  try {
+    const url = new URL(buildHealthCheckUrl(endpoint, hostname));
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Probe a single hostname
+ * Only a 2xx response (after redirects) marks the host as healthy; error
+ * statuses, network errors and timeouts mark it as down. The caller needs host
+ * permission for the endpoint (see getHealthCheckOrigin) to read the status
+ * @param {string} hostname - The hostname to check
+ * @param {string} endpoint - Health check endpoint template containing {hostname}
+ * @param {number} [timeoutMs] - Time to wait before giving up
+ * @returns {Promise<Object>} Health entry: { healthy, status, checkedAt }, status is null without a response
+ */
+async function probeHost(hostname, endpoint, timeoutMs = HEALTH_CHECK_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(buildHealthCheckUrl(endpoint, hostname), {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    return { healthy: response.ok, status: response.status, checkedAt: Date.now() };
+  } catch (error) {
+    console.warn(`[host-health] Health check failed for ${hostname}:`, error.message);
+    return { healthy: false, status: null, checkedAt: Date.now() };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Probe several hostnames in parallel
+ * @param {Array<string>} hostnames - Hostnames to check
+ * @param {string} endpoint - Health check endpoint template containing {hostname}
+ * @param {number} [timeoutMs] - Time to wait for each host
+ * @returns {Promise<Object>} Map of hostname to health entry
+ */
+async function probeHosts(hostnames, endpoint, timeoutMs = HEALTH_CHECK_TIMEOUT_MS) {
+  const entries = await Promise.all(
+    hostnames.map(async hostname => [hostname, await probeHost(hostname, endpoint, timeoutMs)])
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Select the first healthy hostname of an ordered list
+ * Hosts that were never probed, or could not be probed for lack of host
+ * permission (healthy: null), count as healthy; when every host is down the
+ * primary one is returned so the user still gets a link
+ * @param {Array<string>} hostnames - Ordered list of hostnames
+ * @param {Object} hostHealth - Map of hostname to health entry
+ * @returns {string|null} The selected hostname or null if the list is empty
+ */
+function selectHealthyHostname(hostnames, hostHealth) {
+  if (!Array.isArray(hostnames) || hostnames.length === 0) {
+    return null;
+  }
+
+  const health = hostHealth || {};
+  const healthyHostname = hostnames.find(hostname => !health[hostname] || health[hostname].healthy !== false);
+  return healthyHostname || hostnames[0];
+}
+
+/**
+ * Ask the background script which hostname to use for a copied link
+ * Falls back to the primary hostname if the background cannot be reached
+ * @param {Array<string>} hostnames - Ordered list of hostnames
+ * @returns {Promise<string|null>} The hostname to use
+ */
+async function resolveTargetHostname(hostnames) {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getHealthyHostname', hostnames });
+    if (response && response.success && response.hostname) {
+      return response.hostname;
+    }
+  } catch (error) {
+    console.warn('[host-health] Could not resolve healthy hostname:', error.message);
+  }
+
+  return hostnames.length > 0 ? hostnames[0] : null;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js/CommonJS environment (for testing)
+  module.exports = {
+    HEALTH_CHECK_TIMEOUT_MS,
+    getTargetHostnames,
+    buildHealthCheckUrl,
+    getHealthCheckOrigin,
+    probeHost,
+    probeHosts,
+    selectHealthyHostname,
+    resolveTargetHostname
+  };
+}
+
+// Expose to window for content scripts, or to the service worker global scope
+if (typeof window !== 'undefined') {
+  window.HostHealth = {
+    HEALTH_CHECK_TIMEOUT_MS,
+    getTargetHostnames,
+    buildHealthCheckUrl,
+    getHealthCheckOrigin,
+    probeHost,
+    probeHosts,
+    selectHealthyHostname,
+    resolveTargetHostname
+  };
+} else if (typeof self !== 'undefined') {
+  self.HostHealth = {
+    HEALTH_CHECK_TIMEOUT_MS,
+    getTargetHostnames,
+    buildHealthCheckUrl,
+    getHealthCheckOrigin,
+    probeHost,
+    probeHosts,
+    selectHealthyHostname,
+    resolveTargetHostname
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Host Health Tests
+ * Unit tests for target hostname ordering, health probes against a local
+ * stub endpoint and failover selection
+ */
+
+const http = require('http');
+const {
+  getTargetHostnames,
+  buildHealthCheckUrl,
+  getHealthCheckOrigin,
+  probeHost,
+  probeHosts,
+  selectHealthyHostname,
+  resolveTargetHostname
+} = require('./host-health');
+
+describe('Host Health', () => {
+
+  // ============================================================================
+  // UNIT TESTS
+  // ============================================================================
+
+  describe('Unit Tests', () => {
+
+    test('getTargetHostnames puts the primary host first and removes duplicates', () => {
+      expect(getTargetHostnames({
+        enabled: true,
+        targetHostname: 'fixvx.com',
+        fallbackHostnames: ['vxtwitter.com', 'fixvx.com', 'fxtwitter.com']
+      })).toEqual(['fixvx.com', 'vxtwitter.com', 'fxtwitter.com']);
+    });
+
+    test('getTargetHostnames handles configs without fallbacks', () => {
+      expect(getTargetHostnames({ enabled: true, targetHostname: 'fixvx.com' })).toEqual(['fixvx.com']);
+      expect(getTargetHostnames(undefined)).toEqual([]);
+    });
+
+    test('buildHealthCheckUrl substitutes every {hostname} placeholder', () => {
+      expect(buildHealthCheckUrl('https://{hostname}/', 'fixvx.com')).toBe('https://fixvx.com/');
+      expect(buildHealthCheckUrl('http://127.0.0.1:8080/health/{hostname}?h={hostname}', 'fixvx.com'))
+        .toBe('http://127.0.0.1:8080/health/fixvx.com?h=fixvx.com');
+    });
+
+    test('getHealthCheckOrigin names the host permission a probe needs', () => {
+      expect(getHealthCheckOrigin('https://{hostname}/', 'fixvx.com')).toBe('https://fixvx.com/*');
+      expect(getHealthCheckOrigin('http://127.0.0.1:8080/health/{hostname}', 'fixvx.com')).toBe('http://127.0.0.1/*');
+      expect(getHealthCheckOrigin('not a url {hostname}', 'fixvx.com')).toBeNull();
+    });
+
+    test('selectHealthyHostname skips hosts marked as down', () => {
+      const hostHealth = {
+        'fixvx.com': { healthy: false, checkedAt: 1 },
+        'vxtwitter.com': { healthy: true, checkedAt: 1 }
+      };
+      expect(selectHealthyHostname(['fixvx.com', 'vxtwitter.com'], hostHealth)).toBe('vxtwitter.com');
+    });
+
+    test('selectHealthyHostname treats hosts that were never probed as healthy', () => {
+      const hostHealth = {
+        'fixvx.com': { healthy: false, checkedAt: 1 },
+        'vxtwitter.com': { healthy: null, checkedAt: 1 }
+      };
+      expect(selectHealthyHostname(['fixvx.com', 'fxtwitter.com'], hostHealth)).toBe('fxtwitter.com');
+      expect(selectHealthyHostname(['fixvx.com', 'vxtwitter.com'], hostHealth)).toBe('vxtwitter.com');
+      expect(selectHealthyHostname(['fixvx.com'], undefined)).toBe('fixvx.com');
+    });
+
+    test('selectHealthyHostname falls back to the primary host when every host is down', () => {
+      const hostHealth = {
+        'fixvx.com': { healthy: false, checkedAt: 1 },
+        'vxtwitter.com': { healthy: false, checkedAt: 1 }
+      };
+      expect(selectHealthyHostname(['fixvx.com', 'vxtwitter.com'], hostHealth)).toBe('fixvx.com');
+      expect(selectHealthyHostname([], hostHealth)).toBeNull();
+    });
+  });
+
+  // ============================================================================
+  // HEALTH PROBES AGAINST A LOCAL STUB
+  // ============================================================================
+
+  describe('Health probes', () => {
+    let server;
+    let endpoint;
+
+    beforeAll(async () => {
+      // Stub health endpoint: /health/<hostname> answers 503 for hosts named down.*
+      // and 403, like a challenge page, for hosts named blocked.*
+      server = http.createServer((request, response) => {
+        const hostname = decodeURIComponent(request.url.replace('/health/', ''));
+        response.statusCode = hostname.startsWith('down.') ? 503 : hostname.startsWith('blocked.') ? 403 : 200;
+        response.end();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      endpoint = `http://127.0.0.1:${server.address().port}/health/{hostname}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('probeHost marks hosts answering 2xx as healthy', async () => {
+      const entry = await probeHost('up.example.com', endpoint);
+      expect(entry.healthy).toBe(true);
+      expect(entry.status).toBe(200);
+      expect(typeof entry.checkedAt).toBe('number');
+    });
+
+    test('probeHost marks hosts answering 5xx as down', async () => {
+      expect(await probeHost('down.example.com', endpoint)).toEqual({
+        healthy: false,
+        status: 503,
+        checkedAt: expect.any(Number)
+      });
+    });
+
+    test('probeHost marks hosts answering error pages with 4xx as down', async () => {
+      expect(await probeHost('blocked.example.com', endpoint)).toMatchObject({ healthy: false, status: 403 });
+    });
+
+    test('probeHost marks unreachable endpoints as down', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise(resolve => closed.close(resolve));
+
+      expect(await probeHost('up.example.com', `http://127.0.0.1:${port}/{hostname}`))
+        .toMatchObject({ healthy: false, status: null });
+    });
+
+    test('probed health drives failover to the first healthy host', async () => {
+      const hostnames = ['down.fixvx.com', 'down.vxtwitter.com', 'fxtwitter.com'];
+      const hostHealth = await probeHosts(hostnames, endpoint);
+
+      expect(Object.keys(hostHealth)).toEqual(hostnames);
+      expect(selectHealthyHostname(hostnames, hostHealth)).toBe('fxtwitter.com');
+    });
+  });
+
+  // ============================================================================
+  // CONTENT SCRIPT RESOLUTION
+  // ============================================================================
+
+  describe('resolveTargetHostname', () => {
+
+    afterEach(() => {
+      delete global.browser;
+    });
+
+    test('uses the hostname selected by the background script', async () => {
+      global.browser = {
+        runtime: {
+          sendMessage: jest.fn().mockResolvedValue({ success: true, hostname: 'vxtwitter.com' })
+        }
+      };
+
+      await expect(resolveTargetHostname(['fixvx.com', 'vxtwitter.com'])).resolves.toBe('vxtwitter.com');
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'getHealthyHostname',
+        hostnames: ['fixvx.com', 'vxtwitter.com']
+      });
+    });
+
+    test('falls back to the primary hostname when the background is unreachable', async () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      global.browser = {
+        runtime: {
+          sendMessage: jest.fn().mockRejectedValue(new Error('Receiving end does not exist'))
+        }
+      };
+
+      await expect(resolveTargetHostname(['fixvx.com', 'vxtwitter.com'])).resolves.toBe('fixvx.com');
+      console.warn.mockRestore();
+    });
+  });
+});
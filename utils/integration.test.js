@@ -8,6 +8,10 @@
 
 const { copyToClipboard } = require('./clipboard-manager');
 const { initializeShareMenuIntegration } = require('./share-menu-integration');
+const { getTargetHostnames } = require('./host-health');
+const ShareMenuInjector = require('./share-menu-injector');
+const FeedbackManager = require('./feedback-manager');
+const { MENU_ITEM_ICONS } = require('../config/platforms');
 const { getConfig, saveConfig, clearConfig, getDefaultConfig } = require('../config/config');
 
 describe('Integration Tests', () => {
@@ -138,7 +142,14 @@ describe('Integration Tests', () => {
 
       const config = await getConfig();
       
-      expect(config).toEqual(mockConfig);
+      // Fields and platforms missing from storage are filled in with their defaults
+      const defaultConfig = getDefaultConfig();
+      expect(config).toEqual({
+        ...defaultConfig,
+        twitter: { ...defaultConfig.twitter, ...mockConfig.twitter },
+        instagram: { ...defaultConfig.instagram, ...mockConfig.instagram },
+        debugLogging: true
+      });
       expect(browser.storage.sync.get).toHaveBeenCalledWith('config');
     });
 
@@ -168,7 +179,8 @@ describe('Integration Tests', () => {
 
       await saveConfig(newConfig);
       
-      expect(browser.storage.sync.set).toHaveBeenCalledWith({ config: newConfig });
+      // Saved configs are stamped with the current schema version
+      expect(browser.storage.sync.set).toHaveBeenCalledWith({ config: { ...newConfig, schemaVersion: 2 } });
     });
 
     test('config handles storage errors gracefully', async () => {
@@ -192,6 +204,23 @@ describe('Integration Tests', () => {
       expect(browser.storage.sync.set).not.toHaveBeenCalled();
     });
 
+    test('config validates fallback hostnames and health check endpoint', async () => {
+      const defaults = getDefaultConfig();
+
+      await expect(saveConfig({
+        ...defaults,
+        twitter: { enabled: true, targetHostname: 'fixvx.com', fallbackHostnames: ['https://vxtwitter.com'] }
+      })).rejects.toThrow('Invalid configuration');
+      await expect(saveConfig({
+        ...defaults,
+        healthCheckEndpoint: 'https://status.example.com/'
+      })).rejects.toThrow('Invalid configuration');
+      expect(browser.storage.sync.set).not.toHaveBeenCalled();
+
+      await saveConfig({ ...defaults, healthCheckEndpoint: 'http://127.0.0.1:8080/health?host={hostname}' });
+      expect(browser.storage.sync.set).toHaveBeenCalled();
+    });
+
     test('config clears storage successfully', async () => {
       browser.storage.sync.remove.mockResolvedValue(undefined);
 
@@ -247,11 +276,12 @@ describe('Integration Tests', () => {
       
       global.window.ShareMenuInjector = {
         createEmbedLinkMenuItem: jest.fn().mockReturnValue(null),
-        injectMenuItem: jest.fn().mockReturnValue(false)
+        injectMenuItems: jest.fn().mockReturnValue(false)
       };
       
       global.window.PostUrlExtractor = {
-        extractPostUrl: jest.fn().mockReturnValue(null)
+        extractPostUrl: jest.fn().mockReturnValue(null),
+        normalizePostUrl: jest.fn(url => url)
       };
       
       global.window.UrlTransformer = {
@@ -264,6 +294,11 @@ describe('Integration Tests', () => {
         hideFeedbackAfterDelay: jest.fn()
       };
       
+      global.window.HostHealth = {
+        getTargetHostnames,
+        resolveTargetHostname: jest.fn(async hostnames => hostnames[0])
+      };
+      
       global.window.ClipboardManager = {
         copyToClipboard: jest.fn().mockResolvedValue(true)
       };
@@ -418,11 +453,12 @@ describe('Integration Tests', () => {
       
       global.window.ShareMenuInjector = {
         createEmbedLinkMenuItem: jest.fn(),
-        injectMenuItem: jest.fn().mockReturnValue(true)
+        injectMenuItems: jest.fn().mockReturnValue(true)
       };
       
       global.window.PostUrlExtractor = {
-        extractPostUrl: jest.fn()
+        extractPostUrl: jest.fn(),
+        normalizePostUrl: jest.fn(url => url)
       };
       
       global.window.UrlTransformer = {
@@ -435,6 +471,11 @@ describe('Integration Tests', () => {
         hideFeedbackAfterDelay: jest.fn()
       };
       
+      global.window.HostHealth = {
+        getTargetHostnames,
+        resolveTargetHostname: jest.fn(async hostnames => hostnames[0])
+      };
+      
       // Use real clipboard manager
       global.window.ClipboardManager = {
         copyToClipboard
@@ -483,12 +524,13 @@ describe('Integration Tests', () => {
       expect(window.ShareMenuInjector.createEmbedLinkMenuItem).toHaveBeenCalledWith(
         postUrl,
         targetHostname,
-        'twitter'
+        'twitter',
+        { label: 'Copy embed link', icon: 'link' }
       );
       
       // Verify menu item was injected
-      expect(window.ShareMenuInjector.injectMenuItem).toHaveBeenCalledWith(
-        mockMenuItem,
+      expect(window.ShareMenuInjector.injectMenuItems).toHaveBeenCalledWith(
+        [mockMenuItem],
         menuElement,
         'twitter'
       );
@@ -511,7 +553,8 @@ describe('Integration Tests', () => {
         // Verify URL was transformed
         expect(window.UrlTransformer.transformUrl).toHaveBeenCalledWith(
           postUrl,
-          targetHostname
+          targetHostname,
+          expect.any(Object)
         );
         
         // Verify clipboard copy was attempted
@@ -563,12 +606,13 @@ describe('Integration Tests', () => {
       expect(window.ShareMenuInjector.createEmbedLinkMenuItem).toHaveBeenCalledWith(
         postUrl,
         targetHostname,
-        'instagram'
+        'instagram',
+        { label: 'Copy embed link', icon: 'link' }
       );
       
       // Verify menu item was injected
-      expect(window.ShareMenuInjector.injectMenuItem).toHaveBeenCalledWith(
-        mockMenuItem,
+      expect(window.ShareMenuInjector.injectMenuItems).toHaveBeenCalledWith(
+        [mockMenuItem],
         menuElement,
         'instagram'
       );
@@ -591,7 +635,8 @@ describe('Integration Tests', () => {
         // Verify URL was transformed
         expect(window.UrlTransformer.transformUrl).toHaveBeenCalledWith(
           postUrl,
-          targetHostname
+          targetHostname,
+          expect.any(Object)
         );
         
         // Verify clipboard copy was attempted
@@ -605,6 +650,52 @@ describe('Integration Tests', () => {
       }
     });
 
+    test('a copied link is recorded in the copy history unless history is off', async () => {
+      const postUrl = 'https://x.com/user/status/123';
+      const transformedUrl = 'https://fixvx.com/user/status/123';
+      browser.runtime = { sendMessage: jest.fn().mockResolvedValue({ success: true, recorded: true }) };
+      window.ShareMenuDetector.findAssociatedPost.mockReturnValue(document.createElement('article'));
+      window.PostUrlExtractor.extractPostUrl.mockReturnValue(postUrl);
+      window.ShareMenuInjector.createEmbedLinkMenuItem.mockImplementation(() => document.createElement('div'));
+      window.UrlTransformer.transformUrl.mockReturnValue(transformedUrl);
+
+      /**
+       * Open a share menu with the given config, click its item and wait for the copy
+       * @param {boolean} keepCopyHistory - Whether copy history is on
+       */
+      async function copyFromShareMenu(keepCopyHistory) {
+        window.ShareMenuDetector.observeShareMenus.mockClear();
+        await initializeShareMenuIntegration({
+          platform: 'twitter',
+          platformKey: 'twitter',
+          getConfig: jest.fn().mockResolvedValue({
+            twitter: { enabled: true, targetHostname: 'fixvx.com' },
+            keepCopyHistory
+          })
+        });
+        window.ShareMenuDetector.observeShareMenus.mock.calls[0][1](document.createElement('div'));
+
+        const [[[menuItem]]] = window.ShareMenuInjector.injectMenuItems.mock.calls.slice(-1);
+        menuItem.click();
+        for (let i = 0; i < 5; i++) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+
+      await copyFromShareMenu(true);
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith(transformedUrl);
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'recordCopy',
+        copy: { originalUrl: postUrl, transformedUrl, platform: 'twitter', timestamp: expect.any(Number) }
+      });
+
+      browser.runtime.sendMessage.mockClear();
+      navigator.clipboard.writeText.mockClear();
+      await copyFromShareMenu(false);
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith(transformedUrl);
+      expect(browser.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
     test('config update propagates to active integration', async () => {
       // Initialize with Twitter enabled
       const getConfigFn = jest.fn().mockResolvedValue({
@@ -637,7 +728,9 @@ describe('Integration Tests', () => {
         }
       };
       
+      getConfigFn.mockResolvedValue(changes.config.newValue);
       configUpdateHandler(changes, 'sync');
+      await new Promise(resolve => setTimeout(resolve, 0));
       
       // Verify observer was disconnected
       expect(window.Logger.log).toHaveBeenCalledWith(
@@ -645,6 +738,54 @@ describe('Integration Tests', () => {
       );
     });
 
+    test('organization policy keeps priority over config updates', async () => {
+      browser.storage.managed = {
+        get: jest.fn().mockResolvedValue({ config: { twitter: { enabled: true } } })
+      };
+
+      const integration = await initializeShareMenuIntegration({
+        platform: 'twitter',
+        platformKey: 'twitter',
+        getConfig
+      });
+      const configUpdateHandler = browser.storage.onChanged.addListener.mock.calls[0][0];
+
+      // The policy enables Twitter, so disabling it in the stored settings has no effect
+      const storedConfig = { twitter: { enabled: false, targetHostname: 'fixvx.com' } };
+      browser.storage.sync.get.mockResolvedValue({ config: storedConfig });
+      configUpdateHandler({ config: { newValue: storedConfig } }, 'sync');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(integration.isActive()).toBe(true);
+
+      // Once the policy is lifted, the stored settings apply again
+      browser.storage.managed.get.mockResolvedValue({});
+      configUpdateHandler({ config: { oldValue: { twitter: { enabled: true } } } }, 'managed');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(integration.isActive()).toBe(false);
+    });
+
+    test('config updates apply the validated config, not the raw stored value', async () => {
+      browser.storage.sync.get.mockResolvedValue({
+        config: { twitter: { enabled: false, targetHostname: 'fixvx.com' } }
+      });
+      const integration = await initializeShareMenuIntegration({
+        platform: 'twitter',
+        platformKey: 'twitter',
+        getConfig
+      });
+      const configUpdateHandler = browser.storage.onChanged.addListener.mock.calls[0][0];
+
+      expect(integration.isActive()).toBe(false);
+
+      // An invalid enabled flag is dropped and the default (enabled) applies
+      const storedConfig = { twitter: { enabled: 'no', targetHostname: 'fixvx.com' } };
+      browser.storage.sync.get.mockResolvedValue({ config: storedConfig });
+      configUpdateHandler({ config: { newValue: storedConfig } }, 'sync');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(integration.isActive()).toBe(true);
+    });
+
     test('error handling: clipboard failure shows error feedback', async () => {
       // Setup clipboard to fail
       navigator.clipboard.writeText = jest.fn().mockRejectedValue(
@@ -749,5 +890,574 @@ describe('Integration Tests', () => {
       expect(twitterIntegration.isActive()).toBe(false);
       expect(instagramIntegration.isActive()).toBe(false);
     });
+
+    test('configured menu items are created in order with their own label, icon and host', async () => {
+      window.ShareMenuDetector.findAssociatedPost.mockReturnValue(document.createElement('article'));
+      window.PostUrlExtractor.extractPostUrl.mockReturnValue('https://x.com/user/status/123');
+      window.ShareMenuInjector.createEmbedLinkMenuItem.mockImplementation(() => document.createElement('div'));
+
+      const menuItems = [
+        { label: 'Copy fixvx link', icon: 'link' },
+        { label: 'Copy vxtwitter link', icon: 'link', targetHostname: 'vxtwitter.com' },
+        { label: 'Copy direct media link', icon: 'media', targetHostname: 'd.fixvx.com' }
+      ];
+      await initializeShareMenuIntegration({
+        platform: 'twitter',
+        platformKey: 'twitter',
+        getConfig: jest.fn().mockResolvedValue({
+          twitter: { enabled: true, targetHostname: 'fixvx.com', fallbackHostnames: ['fxtwitter.com'], menuItems }
+        })
+      });
+
+      const detectHandler = window.ShareMenuDetector.observeShareMenus.mock.calls[0][1];
+      const menuElement = document.createElement('div');
+      document.body.appendChild(menuElement);
+      detectHandler(menuElement);
+
+      const createCalls = window.ShareMenuInjector.createEmbedLinkMenuItem.mock.calls;
+      expect(createCalls.map(call => call[1])).toEqual(['fixvx.com', 'vxtwitter.com', 'd.fixvx.com']);
+      expect(createCalls.map(call => call[3])).toEqual([
+        { label: 'Copy fixvx link', icon: 'link' },
+        { label: 'Copy vxtwitter link', icon: 'link' },
+        { label: 'Copy direct media link', icon: 'media' }
+      ]);
+
+      // All items are injected together, in the configured order
+      const createdItems = window.ShareMenuInjector.createEmbedLinkMenuItem.mock.results.map(result => result.value);
+      expect(window.ShareMenuInjector.injectMenuItems).toHaveBeenCalledWith(createdItems, menuElement, 'twitter');
+    });
+  });
+
+  // ============================================================================
+  // KEYBOARD SHORTCUT
+  // ============================================================================
+
+  describe('Keyboard shortcut on the focused or hovered post', () => {
+    let posts;
+    let integration;
+    let onRuntimeMessage;
+
+    /**
+     * Create a post with a link and a button, as the timeline renders it
+     * @param {string} id - Status id of the post
+     */
+    function createPost(id) {
+      const post = document.createElement('article');
+      post.dataset.statusId = id;
+      post.innerHTML = `<span class="text">Post ${id}</span><button type="button">Like</button>`;
+      document.body.appendChild(post);
+      return post;
+    }
+
+    /**
+     * Start the integration with the platform enabled or disabled
+     * @param {boolean} enabled - Whether Twitter/X is enabled
+     */
+    async function startIntegration(enabled = true) {
+      integration = await initializeShareMenuIntegration({
+        platform: 'twitter',
+        platformKey: 'twitter',
+        getConfig: jest.fn().mockResolvedValue({ twitter: { enabled, targetHostname: 'fixvx.com' } })
+      });
+      onRuntimeMessage = browser.runtime.onMessage.addListener.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      posts = [createPost('1'), createPost('2')];
+
+      global.browser = {
+        storage: {
+          onChanged: { addListener: jest.fn(), removeListener: jest.fn() }
+        },
+        runtime: {
+          onMessage: { addListener: jest.fn(), removeListener: jest.fn() }
+        }
+      };
+
+      Object.defineProperty(global, 'navigator', {
+        value: { clipboard: { writeText: jest.fn().mockResolvedValue(undefined) } },
+        writable: true,
+        configurable: true
+      });
+
+      window.Logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), initLogger: jest.fn() };
+      window.ShareMenuDetector = { observeShareMenus: jest.fn().mockReturnValue({ disconnect: jest.fn() }) };
+      window.PostDetector = { findPostContainers: jest.fn(() => posts) };
+      window.PostUrlExtractor = {
+        extractPostUrl: jest.fn(post => `https://x.com/user/status/${post.dataset.statusId}`),
+        normalizePostUrl: jest.fn(url => url)
+      };
+      window.UrlTransformer = {
+        transformUrl: jest.fn((url, hostname) => url.replace('x.com', hostname))
+      };
+      window.FeedbackManager = FeedbackManager;
+      jest.spyOn(FeedbackManager, 'showSuccessFeedback');
+      window.HostHealth = {
+        getTargetHostnames,
+        resolveTargetHostname: jest.fn(async hostnames => hostnames[0])
+      };
+      window.ClipboardManager = { copyToClipboard };
+    });
+
+    afterEach(() => {
+      integration.cleanup();
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    test('copies the link of the post with keyboard focus and shows feedback over it', async () => {
+      await startIntegration();
+      posts[1].querySelector('button').focus();
+
+      const response = await onRuntimeMessage({ action: 'copyFocusedPost' });
+
+      expect(response).toEqual({ success: true });
+      expect(window.PostDetector.findPostContainers).toHaveBeenCalledWith('twitter');
+      expect(window.PostUrlExtractor.extractPostUrl).toHaveBeenCalledWith(posts[1], 'twitter');
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith('https://fixvx.com/user/status/2');
+
+      // The feedback is shown in an overlay, not inside the site's post layout
+      const overlay = document.querySelector('.embed-link-feedback-overlay');
+      expect(FeedbackManager.showSuccessFeedback).toHaveBeenCalledWith(overlay, 'twitter');
+      expect(overlay.parentElement).toBe(document.body);
+      expect(overlay.style.position).toBe('fixed');
+      expect(overlay.textContent).toBe('✓ Copied!');
+      expect(posts[1].querySelector('.embed-link-feedback')).toBeNull();
+    });
+
+    test('copies the link of the post under the cursor when focus is outside the posts', async () => {
+      await startIntegration();
+      posts[0].querySelector('.text').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+      const response = await onRuntimeMessage({ action: 'copyFocusedPost' });
+
+      expect(response).toEqual({ success: true });
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith('https://fixvx.com/user/status/1');
+      expect(document.querySelector('.embed-link-feedback-overlay').textContent).toBe('✓ Copied!');
+    });
+
+    test('removes the feedback overlay together with its feedback', async () => {
+      jest.useFakeTimers();
+      await startIntegration();
+      posts[0].querySelector('button').focus();
+
+      await onRuntimeMessage({ action: 'copyFocusedPost' });
+      expect(document.querySelector('.embed-link-feedback-overlay')).not.toBeNull();
+
+      jest.advanceTimersByTime(2200);
+      expect(document.querySelector('.embed-link-feedback-overlay')).toBeNull();
+      jest.useRealTimers();
+    });
+
+    test('shows the feedback on the post\'s inline button when it has one', async () => {
+      await startIntegration();
+      const inlineButton = ShareMenuInjector.createInlineButton('twitter');
+      posts[0].appendChild(inlineButton);
+      FeedbackManager.showErrorFeedback(inlineButton, 'Copy failed', 'twitter');
+      inlineButton.focus();
+
+      const response = await onRuntimeMessage({ action: 'copyFocusedPost' });
+
+      expect(response).toEqual({ success: true });
+      expect(FeedbackManager.showSuccessFeedback).toHaveBeenCalledWith(inlineButton, 'twitter');
+      expect(posts[0].querySelectorAll('.embed-link-feedback')).toHaveLength(1);
+      expect(inlineButton.querySelector('.embed-link-feedback').textContent).toBe('✓ Copied!');
+      expect(document.querySelector('.embed-link-feedback-overlay')).toBeNull();
+    });
+
+    test('copies nothing when neither the cursor nor the focus is on a post', async () => {
+      await startIntegration();
+      document.body.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+      const response = await onRuntimeMessage({ action: 'copyFocusedPost' });
+
+      expect(response.success).toBe(false);
+      expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+      expect(onRuntimeMessage({ action: 'somethingElse' })).toBeUndefined();
+    });
+
+    test('copies nothing while the platform is disabled and stops listening on cleanup', async () => {
+      await startIntegration(false);
+      posts[0].querySelector('button').focus();
+
+      const response = await onRuntimeMessage({ action: 'copyFocusedPost' });
+
+      expect(response.success).toBe(false);
+      expect(navigator.clipboard.writeText).not.toHaveBeenCalled();
+
+      integration.cleanup();
+      expect(browser.runtime.onMessage.removeListener).toHaveBeenCalledWith(onRuntimeMessage);
+    });
+  });
+
+  // ============================================================================
+  // INLINE POST BUTTONS
+  // ============================================================================
+
+  describe('Inline buttons in post action bars', () => {
+    const PostDetector = require('./post-detector');
+    const PostUrlExtractor = require('./post-url-extractor');
+    const UrlTransformer = require('./url-transformer');
+    const FeedbackManager = require('./feedback-manager');
+    let integration;
+    let onStorageChanged;
+    let getConfig;
+
+    /**
+     * Add a tweet with an action bar to the timeline
+     * @param {string} id - Status id of the tweet
+     */
+    function addTweet(id) {
+      const tweet = document.createElement('article');
+      tweet.setAttribute('data-testid', 'tweet');
+      tweet.innerHTML = `
+        <a href="https://x.com/jack/status/${id}"><time>1h</time></a>
+        <span lang="en">Tweet ${id}</span>
+        <div role="group"><button type="button">Like</button></div>
+      `;
+      tweet.getBoundingClientRect = () => ({ width: 500, height: 200 });
+      document.body.appendChild(tweet);
+      return tweet;
+    }
+
+    /**
+     * Start the Twitter/X integration with inline buttons on or off
+     * @param {boolean} inlineButton - Whether inline buttons are turned on
+     */
+    async function startIntegration(inlineButton) {
+      getConfig = jest.fn().mockResolvedValue({
+        ...getDefaultConfig(),
+        twitter: { ...getDefaultConfig().twitter, inlineButton }
+      });
+      integration = await initializeShareMenuIntegration({
+        platform: 'twitter',
+        platformKey: 'twitter',
+        getConfig
+      });
+      onStorageChanged = browser.storage.onChanged.addListener.mock.calls[0][0];
+    }
+
+    /**
+     * Let pending promises and the post scan run
+     */
+    function flush() {
+      return new Promise(resolve => setTimeout(resolve, PostDetector.POST_SCAN_DELAY_MS + 10));
+    }
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+
+      global.browser = {
+        storage: {
+          onChanged: { addListener: jest.fn(), removeListener: jest.fn() }
+        }
+      };
+
+      Object.defineProperty(global, 'navigator', {
+        value: { clipboard: { writeText: jest.fn().mockResolvedValue(undefined) } },
+        writable: true,
+        configurable: true
+      });
+
+      window.Logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), initLogger: jest.fn() };
+      window.ShareMenuDetector = { observeShareMenus: jest.fn().mockReturnValue({ disconnect: jest.fn() }) };
+      window.ShareMenuInjector = ShareMenuInjector;
+      window.PostDetector = PostDetector;
+      window.PostUrlExtractor = PostUrlExtractor;
+      window.UrlTransformer = UrlTransformer;
+      window.FeedbackManager = FeedbackManager;
+      window.HostHealth = {
+        getTargetHostnames,
+        resolveTargetHostname: jest.fn(async hostnames => hostnames[0])
+      };
+      window.ClipboardManager = { copyToClipboard };
+    });
+
+    afterEach(() => {
+      integration.cleanup();
+      jest.clearAllMocks();
+    });
+
+    test('no buttons are added unless the mode is turned on', async () => {
+      addTweet('20');
+      await startIntegration(false);
+      await flush();
+
+      expect(document.querySelectorAll('.embed-link-inline-button')).toHaveLength(0);
+    });
+
+    test('each post gets one button in its action bar, also posts streamed in later', async () => {
+      const first = addTweet('20');
+      await startIntegration(true);
+
+      const second = addTweet('21');
+      await flush();
+      addTweet('22');
+      await flush();
+
+      expect(document.querySelectorAll('.embed-link-inline-button')).toHaveLength(3);
+      for (const tweet of [first, second]) {
+        const buttons = tweet.querySelectorAll('.embed-link-inline-button');
+        expect(buttons).toHaveLength(1);
+        expect(buttons[0].parentElement.getAttribute('role')).toBe('group');
+        expect(buttons[0].getAttribute('aria-label')).toBe('Copy embed link');
+      }
+    });
+
+    test('posts whose link or action bar loads later get their button once it has loaded', async () => {
+      const tweet = document.createElement('article');
+      tweet.setAttribute('data-testid', 'tweet');
+      tweet.innerHTML = '<span lang="en">Loading tweet</span>';
+      tweet.getBoundingClientRect = () => ({ width: 500, height: 200 });
+      document.body.appendChild(tweet);
+      await startIntegration(true);
+
+      tweet.insertAdjacentHTML('beforeend', '<a href="https://x.com/jack/status/20"><time>1h</time></a>');
+      await flush();
+      expect(tweet.querySelector('.embed-link-inline-button')).toBeNull();
+
+      tweet.insertAdjacentHTML('beforeend', '<div role="group"><button type="button">Like</button></div>');
+      await flush();
+      expect(tweet.querySelectorAll('.embed-link-inline-button')).toHaveLength(1);
+    });
+
+    test('clicking a button copies the transformed link without opening the post', async () => {
+      const tweet = addTweet('20');
+      const openPost = jest.fn();
+      tweet.addEventListener('click', openPost);
+      await startIntegration(true);
+
+      const button = tweet.querySelector('.embed-link-inline-button');
+      button.click();
+      await flush();
+
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith('https://fixvx.com/jack/status/20');
+      expect(button.querySelector('.embed-link-feedback').textContent).toBe('✓ Copied!');
+      expect(openPost).not.toHaveBeenCalled();
+    });
+
+    test('turning the mode off removes the buttons and turning it on adds them back', async () => {
+      addTweet('20');
+      await startIntegration(true);
+      expect(document.querySelectorAll('.embed-link-inline-button')).toHaveLength(1);
+
+      const config = getDefaultConfig();
+      getConfig.mockResolvedValue(config);
+      onStorageChanged({ config: { newValue: config } }, 'sync');
+      await flush();
+      expect(document.querySelectorAll('.embed-link-inline-button')).toHaveLength(0);
+
+      config.twitter.inlineButton = true;
+      getConfig.mockResolvedValue(config);
+      onStorageChanged({ config: { newValue: config } }, 'sync');
+      await flush();
+      expect(document.querySelectorAll('.embed-link-inline-button')).toHaveLength(1);
+    });
+  });
+
+  // ============================================================================
+  // MULTIPLE MENU ITEMS
+  // ============================================================================
+
+  describe('Clipboard output formats', () => {
+    const PostUrlExtractor = require('./post-url-extractor');
+    const UrlTransformer = require('./url-transformer');
+    const CopyFormats = require('./copy-formats');
+    let integration;
+
+    /**
+     * Add a tweet and open a share menu for it
+     * @returns {HTMLElement} The share menu
+     */
+    function openShareMenu() {
+      const tweet = document.createElement('article');
+      tweet.innerHTML = `
+        <a href="https://x.com/jack/status/20"><time>1h</time></a>
+        <div data-testid="tweetText">just setting up my twttr</div>
+      `;
+      const menu = document.createElement('div');
+      menu.setAttribute('role', 'menu');
+      menu.innerHTML = '<div role="menuitem">Copy link</div>';
+      document.body.append(tweet, menu);
+
+      window.ShareMenuDetector.findAssociatedPost.mockReturnValue(tweet);
+      window.ShareMenuDetector.observeShareMenus.mock.calls[0][1](menu);
+      return menu;
+    }
+
+    /**
+     * Start the Twitter/X integration
+     * @param {Object} twitterConfig - Settings overriding the default Twitter/X config
+     */
+    async function startIntegration(twitterConfig) {
+      integration = await initializeShareMenuIntegration({
+        platform: 'twitter',
+        platformKey: 'twitter',
+        getConfig: jest.fn().mockResolvedValue({
+          ...getDefaultConfig(),
+          twitter: { ...getDefaultConfig().twitter, ...twitterConfig }
+        })
+      });
+    }
+
+    /**
+     * Click a menu item and wait for the copy
+     * @param {HTMLElement} menuItem - The menu item
+     * @returns {Promise<string>} The copied text
+     */
+    async function clickAndReadClipboard(menuItem) {
+      navigator.clipboard.writeText.mockClear();
+      menuItem.click();
+      for (let i = 0; i < 5 && navigator.clipboard.writeText.mock.calls.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      return navigator.clipboard.writeText.mock.calls[0][0];
+    }
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      global.browser = {
+        storage: {
+          onChanged: { addListener: jest.fn(), removeListener: jest.fn() }
+        }
+      };
+      Object.defineProperty(global, 'navigator', {
+        value: { clipboard: { writeText: jest.fn().mockResolvedValue(undefined) } },
+        writable: true,
+        configurable: true
+      });
+
+      window.Logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn(), initLogger: jest.fn() };
+      window.ShareMenuDetector = {
+        observeShareMenus: jest.fn().mockReturnValue({ disconnect: jest.fn() }),
+        findAssociatedPost: jest.fn()
+      };
+      window.ShareMenuInjector = ShareMenuInjector;
+      window.PostDetector = { observePosts: jest.fn(), findPostContainers: jest.fn().mockReturnValue([]) };
+      window.PostUrlExtractor = PostUrlExtractor;
+      window.UrlTransformer = UrlTransformer;
+      window.CopyFormats = CopyFormats;
+      window.FeedbackManager = { showSuccessFeedback: jest.fn(), showErrorFeedback: jest.fn(), hideFeedbackAfterDelay: jest.fn() };
+      window.HostHealth = {
+        getTargetHostnames,
+        resolveTargetHostname: jest.fn(async hostnames => hostnames[0])
+      };
+      window.ClipboardManager = { copyToClipboard };
+    });
+
+    afterEach(() => {
+      integration.cleanup();
+      delete window.CopyFormats;
+      jest.clearAllMocks();
+    });
+
+    test('the platform copy format quotes the post author and text', async () => {
+      await startIntegration({ copyFormat: 'markdown' });
+      const [menuItem] = openShareMenu().querySelectorAll('.embed-link-menu-item');
+
+      expect(await clickAndReadClipboard(menuItem))
+        .toBe('[@jack: just setting up my twttr](https://fixvx.com/jack/status/20)');
+    });
+
+    test('each menu item can copy in its own format', async () => {
+      await startIntegration({
+        copyFormat: 'spoiler',
+        menuItems: [
+          { label: 'Copy embed link', icon: 'link' },
+          { label: 'Copy for forums', icon: 'link', format: 'bbcode' },
+          { label: 'Copy link only', icon: 'link', format: 'url' }
+        ]
+      });
+      const menuItems = openShareMenu().querySelectorAll('.embed-link-menu-item');
+
+      expect(await clickAndReadClipboard(menuItems[0])).toBe('||https://fixvx.com/jack/status/20||');
+      expect(await clickAndReadClipboard(menuItems[1]))
+        .toBe('[url=https://fixvx.com/jack/status/20]@jack: just setting up my twttr[/url]');
+      expect(await clickAndReadClipboard(menuItems[2])).toBe('https://fixvx.com/jack/status/20');
+    });
+  });
+
+  describe('Multiple menu items in a share menu', () => {
+
+    beforeEach(() => {
+      document.body.innerHTML = '';
+      window.Logger = {
+        log: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+      };
+    });
+
+    /**
+     * Build a Twitter-style dropdown with a native "Copy link" item
+     */
+    function createTwitterMenu() {
+      const menu = document.createElement('div');
+      menu.setAttribute('role', 'menu');
+      for (const text of ['Copy link', 'Share post via …']) {
+        const item = document.createElement('div');
+        item.setAttribute('role', 'menuitem');
+        item.textContent = text;
+        menu.appendChild(item);
+      }
+      document.body.appendChild(menu);
+      return menu;
+    }
+
+    test('items are injected right after "Copy link" in the given order', () => {
+      const menu = createTwitterMenu();
+      const postUrl = 'https://x.com/user/status/123';
+      const items = [
+        ShareMenuInjector.createEmbedLinkMenuItem(postUrl, 'fixvx.com', 'twitter', { label: 'Copy fixvx link' }),
+        ShareMenuInjector.createEmbedLinkMenuItem(postUrl, 'vxtwitter.com', 'twitter', { label: 'Copy vxtwitter link' }),
+        ShareMenuInjector.createEmbedLinkMenuItem(postUrl, 'd.fixvx.com', 'twitter', { label: 'Copy direct media link', icon: 'media' })
+      ];
+
+      expect(ShareMenuInjector.injectMenuItems(items, menu, 'twitter')).toBe(true);
+
+      expect(Array.from(menu.children).map(child => child.textContent)).toEqual([
+        'Copy link',
+        'Copy fixvx link',
+        'Copy vxtwitter link',
+        'Copy direct media link',
+        'Share post via …'
+      ]);
+      expect(items.map(item => item.getAttribute('data-target-hostname'))).toEqual(['fixvx.com', 'vxtwitter.com', 'd.fixvx.com']);
+      expect(items[2].querySelector('path').getAttribute('d')).toBe(MENU_ITEM_ICONS.media[0]);
+      expect(items[0].querySelector('path').getAttribute('d')).toBe(MENU_ITEM_ICONS.link[0]);
+    });
+
+    test('items default to the "Copy embed link" label', () => {
+      const item = ShareMenuInjector.createEmbedLinkMenuItem('https://x.com/user/status/123', 'fixvx.com', 'twitter');
+      expect(item.textContent).toBe('Copy embed link');
+    });
+
+    test('a menu that already has our items is not injected into again', () => {
+      const menu = createTwitterMenu();
+      const postUrl = 'https://x.com/user/status/123';
+      const first = [ShareMenuInjector.createEmbedLinkMenuItem(postUrl, 'fixvx.com', 'twitter', { label: 'Copy link via fixvx' })];
+      const second = [ShareMenuInjector.createEmbedLinkMenuItem(postUrl, 'vxtwitter.com', 'twitter')];
+
+      ShareMenuInjector.injectMenuItems(first, menu, 'twitter');
+      expect(ShareMenuInjector.injectMenuItems(second, menu, 'twitter')).toBe(true);
+
+      expect(menu.querySelectorAll('.embed-link-menu-item')).toHaveLength(1);
+      // A user label containing "Copy link" is not mistaken for the native item
+      expect(menu.children[1]).toBe(first[0]);
+    });
+
+    test('config validation rejects malformed menu items', () => {
+      const { validateConfig } = require('../config/config');
+      const withItems = menuItems => ({ twitter: { enabled: true, targetHostname: 'fixvx.com', menuItems } });
+
+      expect(validateConfig(withItems([{ label: 'Copy media', icon: 'media', targetHostname: 'd.fixvx.com' }]))).toBe(true);
+      expect(validateConfig(withItems([{ label: '' }]))).toBe(false);
+      expect(validateConfig(withItems([{ label: 'Copy', icon: 'rocket' }]))).toBe(false);
+      expect(validateConfig(withItems([{ label: 'Copy as Markdown', format: 'markdown' }]))).toBe(true);
+      expect(validateConfig(withItems([{ label: 'Copy', format: 'rtf' }]))).toBe(false);
+      expect(validateConfig(withItems([{ label: 'Copy', targetHostname: 'https://fixvx.com' }]))).toBe(false);
+      expect(validateConfig(withItems('Copy embed link'))).toBe(false);
+    });
   });
 });
@@ -0,0 +1,140 @@
+/**
+ * Link Converter Module
+ * Converts a post URL from anywhere (pasted, linked from another site) into the
+ * embed link the share menu would copy, using the same validation, normalization
+ * and transformation steps as the share menu integration
+ */
+
+// The platform registry, post URL extractor and URL transformer are loaded ahead
+// of this file; under Node require them directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+  require('./post-url-extractor');
+  require('./url-transformer');
+}
+
+/**
+ * Parse a URL entered or pasted by the user
+ * Surrounding whitespace is ignored, a missing scheme is assumed to be https and
+ * http links are upgraded, since every supported platform serves posts over https
+ * @param {string} text - The entered text
+ * @returns {URL|null} The parsed URL or null if the text is not a URL
+ */
+function parseEnteredUrl(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return null;
+  }
+
+  const trimmed = text.trim();
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+  try {
+    const url = new URL(withScheme);
+    if (url.protocol === 'http:') {
+      url.protocol = 'https:';
+    }
+    return url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the platform of a post URL
+ * Page hosts (including mobile ones) and short-link hosts are recognized
+ * @param {string} text - The entered URL
+ * @returns {Object} { platformId, postUrl } with the canonical post URL, or { error } with the reason it is rejected
+ */
+function findPostPlatform(text) {
+  const url = parseEnteredUrl(text);
+  if (!url) {
+    return { error: 'Enter a post URL, such as https://x.com/user/status/123.' };
+  }
+
+  const definition = PlatformRegistry.findPlatformByHostname(url.hostname) ||
+    PlatformRegistry.findPlatformByShortLinkHostname(url.hostname);
+  if (!definition) {
+    return { error: `${url.hostname} is not a supported site.` };
+  }
+
+  const postUrl = PostUrlExtractor.normalizePostUrl(url.href, definition.id);
+  if (!postUrl) {
+    return { error: `This is not a link to a single ${definition.displayName} post.` };
+  }
+
+  return { platformId: definition.id, postUrl };
+}
+
+/**
+ * Normalize a post URL and transform it into the embed link with a platform's settings
+ * The share menu, the popup's convert box, the context menu and the options page
+ * preview all build links through this function, so they always agree
+ * @param {string} postUrl - Post URL of the platform, extracted from the page or entered
+ * @param {string} platformId - Registered platform identifier (see config/platforms.js)
+ * @param {Object} platformConfig - The platform's settings: queryPolicy, rewriteRules and translateTo
+ * @param {string} targetHostname - Target hostname to use
+ * @returns {string|null} The embed link, or null if the URL is not a post of the
+ *   platform or no rewrite rule result is a valid URL
+ */
+function transformPostUrl(postUrl, platformId, platformConfig, targetHostname) {
+  const normalizedUrl = PostUrlExtractor.normalizePostUrl(postUrl, platformId);
+  if (!normalizedUrl) {
+    return null;
+  }
+
+  return UrlTransformer.transformUrl(normalizedUrl, targetHostname, {
+    queryPolicy: platformConfig.queryPolicy,
+    rewriteRules: platformConfig.rewriteRules,
+    translateTo: platformConfig.translateTo
+  });
+}
+
+/**
+ * Convert a post URL into the embed link for a configuration
+ * @param {string} text - The entered URL
+ * @param {Object} config - Configuration object (see config/config.js)
+ * @param {string} [targetHostname] - Target hostname to use; defaults to the platform's primary one
+ * @returns {Object} { platformId, url } with the embed link, or { error } with the reason it failed
+ */
+function convertPostUrl(text, config, targetHostname) {
+  const { platformId, postUrl, error } = findPostPlatform(text);
+  if (error) {
+    return { error };
+  }
+
+  const platformConfig = config[platformId];
+  const url = transformPostUrl(postUrl, platformId, platformConfig, targetHostname || platformConfig.targetHostname);
+
+  if (!url) {
+    return { platformId, error: 'The link could not be transformed with the current rewrite rules.' };
+  }
+  return { platformId, url };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js/CommonJS environment (for testing)
+  module.exports = {
+    parseEnteredUrl,
+    findPostPlatform,
+    transformPostUrl,
+    convertPostUrl
+  };
+}
+
+// Expose to window for the content scripts, popup and options page, or to the service worker global scope
+if (typeof window !== 'undefined') {
+  window.LinkConverter = {
+    parseEnteredUrl,
+    findPostPlatform,
+    transformPostUrl,
+    convertPostUrl
+  };
+} else if (typeof self !== 'undefined') {
+  self.LinkConverter = {
+    parseEnteredUrl,
+    findPostPlatform,
+    transformPostUrl,
+    convertPostUrl
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Link Converter Tests
+ * Unit and property-based tests for recognizing pasted post URLs and converting
+ * them into embed links
+ */
+
+const fc = require('fast-check');
+const { parseEnteredUrl, findPostPlatform, transformPostUrl, convertPostUrl } = require('./link-converter');
+const { extractPostUrl } = require('./post-url-extractor');
+const { getDefaultConfig } = require('../config/config');
+const { PLATFORMS } = require('../config/platforms');
+
+describe('Link Converter', () => {
+
+  // ============================================================================
+  // UNIT TESTS
+  // ============================================================================
+
+  describe('Unit Tests', () => {
+
+    test('parseEnteredUrl trims, adds a missing scheme and upgrades http', () => {
+      expect(parseEnteredUrl('  x.com/jack/status/20\n').href).toBe('https://x.com/jack/status/20');
+      expect(parseEnteredUrl('http://x.com/jack/status/20').href).toBe('https://x.com/jack/status/20');
+      expect(parseEnteredUrl('ftp://x.com/jack/status/20')).toBeNull();
+      expect(parseEnteredUrl('not a url')).toBeNull();
+      expect(parseEnteredUrl('')).toBeNull();
+      expect(parseEnteredUrl(undefined)).toBeNull();
+    });
+
+    test('findPostPlatform recognizes mobile hosts and short links', () => {
+      expect(findPostPlatform('https://mobile.x.com/jack/status/20'))
+        .toEqual({ platformId: 'twitter', postUrl: 'https://mobile.x.com/jack/status/20' });
+      expect(findPostPlatform('https://m.tiktok.com/@tiktok/video/7106594312292453675').platformId).toBe('tiktok');
+      expect(findPostPlatform('https://vm.tiktok.com/ZMabc123/'))
+        .toEqual({ platformId: 'tiktok', postUrl: 'https://www.tiktok.com/t/ZMabc123/' });
+      expect(findPostPlatform('redd.it/abc123'))
+        .toEqual({ platformId: 'reddit', postUrl: 'https://www.reddit.com/comments/abc123' });
+    });
+
+    test('findPostPlatform explains why a URL is rejected', () => {
+      expect(findPostPlatform('https://example.com/jack/status/20').error).toBe('example.com is not a supported site.');
+      expect(findPostPlatform('https://www.instagram.com/instagram/').error)
+        .toBe('This is not a link to a single Instagram post.');
+      expect(findPostPlatform('https://bsky.app/profile/did:plc:abc%zz/post/3kf6ia3m2p72a').error)
+        .toBe('This is not a link to a single Bluesky post.');
+    });
+
+    test('transformPostUrl normalizes the post URL before applying the platform settings', () => {
+      const config = getDefaultConfig();
+      config.reddit.queryPolicy = { mode: 'strip-all' };
+
+      expect(transformPostUrl('https://redd.it/abc123?utm_source=share', 'reddit', config.reddit, 'rxddit.com'))
+        .toBe('https://rxddit.com/comments/abc123');
+      expect(transformPostUrl('https://www.reddit.com/r/pics/', 'reddit', config.reddit, 'rxddit.com')).toBeNull();
+    });
+
+    test('links copied from the page and entered links with the same settings agree', () => {
+      const config = getDefaultConfig();
+      config.instagram.queryPolicy = { mode: 'allowlist', allowlist: ['img_index'] };
+      config.instagram.rewriteRules = [{ match: '^/reels?/([^/]+)', path: '/p/$1/' }];
+
+      const post = document.createElement('article');
+      post.innerHTML = '<a href="https://www.instagram.com/reel/C0ffee12345/?igsh=abc&img_index=2">1h</a>';
+      const extractedUrl = extractPostUrl(post, 'instagram');
+
+      expect(transformPostUrl(extractedUrl, 'instagram', config.instagram, 'kkinstagram.com'))
+        .toBe(convertPostUrl('www.instagram.com/reel/C0ffee12345/?igsh=abc&img_index=2', config).url);
+    });
+
+    test('convertPostUrl applies the platform settings and an explicit hostname', () => {
+      const config = getDefaultConfig();
+      config.twitter.queryPolicy = { mode: 'strip-all' };
+
+      expect(convertPostUrl('https://x.com/jack/status/20?s=20', config))
+        .toEqual({ platformId: 'twitter', url: 'https://fixvx.com/jack/status/20' });
+      expect(convertPostUrl('https://x.com/jack/status/20', config, 'vxtwitter.com').url)
+        .toBe('https://vxtwitter.com/jack/status/20');
+      expect(convertPostUrl('https://x.com/jack', config)).toEqual({
+        error: 'This is not a link to a single Twitter/X post.'
+      });
+    });
+  });
+
+  // ============================================================================
+  // PROPERTY-BASED TESTS
+  // ============================================================================
+
+  describe('Property-Based Tests', () => {
+
+    test('every sample post URL converts to its default target hostname, with or without a scheme', () => {
+      const config = getDefaultConfig();
+      const samplesGen = fc.constantFrom(...Object.values(PLATFORMS).filter(platform => platform.samplePostUrl));
+
+      fc.assert(
+        fc.property(samplesGen, fc.constantFrom('', 'https://', 'http://'), (platform, scheme) => {
+          const entered = scheme + platform.samplePostUrl.replace(/^https:\/\//, '');
+          const { platformId, url } = convertPostUrl(entered, config);
+          expect(platformId).toBe(platform.id);
+          expect(new URL(url).hostname).toBe(config[platform.id].targetHostname);
+        })
+      );
+    });
+  });
+});
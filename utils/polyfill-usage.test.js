@@ -32,7 +32,8 @@ describe('Polyfill Usage Consistency', () => {
             'content/twitter-share-menu.js',
             'content/instagram-share-menu.js',
             'utils/share-menu-integration.js',
-            'popup/popup.js'
+            'popup/popup.js',
+            'options/options.js'
           ),
           async (modulePath) => {
             // Read the module file
@@ -110,10 +111,14 @@ describe('Polyfill Usage Consistency', () => {
             'utils/post-detector.js',
             'utils/post-url-extractor.js',
             'utils/url-transformer.js',
+            'utils/link-converter.js',
+            'utils/copy-history.js',
+            'utils/copy-formats.js',
             'utils/share-menu-detector.js',
             'utils/share-menu-injector.js',
             'utils/feedback-manager.js',
-            'popup/popup.js'
+            'popup/popup.js',
+            'options/options.js'
           ),
           async (modulePath) => {
             // Read the module file
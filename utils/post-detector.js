@@ -1,48 +1,32 @@
 /**
  * Post Detection Utilities
- * Provides platform-specific selectors and functions to detect post containers
- * on Twitter/X and Instagram timelines.
+ * Detects post containers on platform timelines using the selectors
+ * declared in the platform registry.
  */
 
-/**
- * Platform-specific selector configurations
- */
-const SELECTORS = {
-  twitter: {
-    primary: [
-      'article[data-testid="tweet"]',
-      'div[data-testid="cellInnerDiv"] article'
-    ],
-    fallback: [
-      'article[role="article"]',
-      'div[data-testid="tweet"]'
-    ]
-  },
-  instagram: {
-    primary: [
-      'article[role="presentation"]',
-      'div[class*="x1iyjqo2"] article'
-    ],
-    fallback: [
-      'article',
-      'div[role="presentation"]'
-    ]
-  }
-};
+// The platform registry is loaded ahead of this file by the manifest; under Node require it directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+}
+
+// Delay between a DOM change and the scan for new posts, so a burst of
+// mutations while a timeline page loads triggers a single scan
+const POST_SCAN_DELAY_MS = 100;
 
 /**
  * Find all post containers on the page for a given platform
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  * @param {HTMLElement} [root=document] - Root element to search within
  * @returns {Array<HTMLElement>} Array of post container elements
  */
 function findPostContainers(platform, root = document) {
-  if (!platform || !SELECTORS.hasOwnProperty(platform)) {
+  const definition = window.PlatformRegistry.getPlatform(platform);
+  if (!definition) {
     console.warn(`[post-detector] Invalid platform: ${platform}`);
     return [];
   }
 
-  const config = SELECTORS[platform];
+  const config = definition.posts;
   const foundPosts = new Set();
 
   // Try primary selectors first
@@ -79,65 +63,113 @@ function findPostContainers(platform, root = document) {
 }
 
 /**
- * Validate if an element is a valid post container
- * @param {HTMLElement} element - Element to validate
- * @param {string} platform - 'twitter' or 'instagram'
- * @returns {boolean} True if element is a valid post container
+ * Find the post containers in or around a node added to the page
+ * Content loaded into a post after it appeared (its link, its action bar)
+ * reports the post it was added to
+ * @param {Node} node - The added node
+ * @param {string} platform - Registered platform identifier
+ * @returns {Array<HTMLElement>} Posts inside the node, or the post that contains it
  */
-function isPostContainer(element, platform) {
-  if (!element || !(element instanceof HTMLElement)) {
-    return false;
+function findPostsAroundNode(node, platform) {
+  const element = node instanceof HTMLElement ? node : node.parentElement;
+  if (!element || !element.isConnected) {
+    return [];
   }
 
-  // Platform-specific validation
-  if (platform === 'twitter') {
-    return isTwitterPostContainer(element);
-  } else if (platform === 'instagram') {
-    return isInstagramPostContainer(element);
+  const config = window.PlatformRegistry.getPlatform(platform).posts;
+  for (const selectors of [config.primary, config.fallback]) {
+    for (const selector of selectors) {
+      try {
+        const post = element.closest(selector);
+        if (post && isPostContainer(post, platform)) {
+          return [post];
+        }
+      } catch (error) {
+        console.warn(`[post-detector] Post selector failed: ${selector}`, error);
+      }
+    }
   }
 
-  return false;
+  return findPostContainers(platform, element);
 }
 
 /**
- * Validate if an element is a valid Twitter/X post container
- * @param {HTMLElement} element - Element to validate
- * @returns {boolean} True if element is a valid tweet container
+ * Report post containers as they stream in (infinite scroll, navigation)
+ * The page is scanned once right away; after DOM changes only the added nodes
+ * and the posts containing them are scanned, shortly after the changes. A post
+ * is reported again when content is added to it, so callers keep track of the
+ * posts they have handled
+ * @param {string} platform - Registered platform identifier
+ * @param {Function} callback - Called with (postElement) for every post found
+ * @returns {Object|null} Observer handle with disconnect(), or null if the arguments are invalid
  */
-function isTwitterPostContainer(element) {
-  // Must be an article element
-  if (element.tagName !== 'ARTICLE') {
-    return false;
+function observePosts(platform, callback) {
+  if (!window.PlatformRegistry.getPlatform(platform)) {
+    console.error(`[post-detector] Invalid platform: ${platform}`);
+    return null;
   }
 
-  // Should have some content (not empty)
-  if (!element.textContent || element.textContent.trim().length === 0) {
-    return false;
+  if (typeof callback !== 'function') {
+    console.error('[post-detector] Callback must be a function');
+    return null;
   }
 
-  // Should have reasonable dimensions (not hidden)
-  const rect = element.getBoundingClientRect();
-  if (rect.width === 0 || rect.height === 0) {
-    return false;
-  }
+  let scanTimer = null;
+  let addedNodes = new Set();
 
-  // Additional validation: should contain tweet-like structure
-  // Look for common tweet elements (links, text content, etc.)
-  const hasLinks = element.querySelectorAll('a').length > 0;
-  const hasText = element.querySelector('[lang]') !== null || 
-                  element.querySelector('[dir]') !== null;
+  const scan = () => {
+    scanTimer = null;
+    const posts = new Set();
+    for (const node of addedNodes) {
+      findPostsAroundNode(node, platform).forEach(post => posts.add(post));
+    }
+    addedNodes = new Set();
+    posts.forEach(post => callback(post));
+  };
 
-  return hasLinks || hasText;
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.addedNodes.forEach(node => addedNodes.add(node));
+    }
+    if (scanTimer === null && addedNodes.size > 0) {
+      scanTimer = setTimeout(scan, POST_SCAN_DELAY_MS);
+    }
+  });
+
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true
+  });
+  findPostContainers(platform).forEach(post => callback(post));
+
+  return {
+    disconnect: () => {
+      observer.disconnect();
+      clearTimeout(scanTimer);
+      scanTimer = null;
+      addedNodes = new Set();
+    }
+  };
 }
 
 /**
- * Validate if an element is a valid Instagram post container
+ * Validate if an element is a valid post container
  * @param {HTMLElement} element - Element to validate
+ * @param {string} platform - Registered platform identifier
  * @returns {boolean} True if element is a valid post container
  */
-function isInstagramPostContainer(element) {
-  // Must be an article element
-  if (element.tagName !== 'ARTICLE') {
+function isPostContainer(element, platform) {
+  if (!element || !(element instanceof HTMLElement)) {
+    return false;
+  }
+
+  const definition = window.PlatformRegistry.getPlatform(platform);
+  if (!definition) {
+    return false;
+  }
+
+  // Must be one of the platform's container elements (article for most platforms)
+  if (!definition.posts.containerTags.includes(element.tagName)) {
     return false;
   }
 
@@ -152,39 +184,39 @@ function isInstagramPostContainer(element) {
     return false;
   }
 
-  // Additional validation: should contain post-like structure
-  // Look for common post elements (images, links, etc.)
-  const hasImages = element.querySelectorAll('img').length > 0;
-  const hasLinks = element.querySelectorAll('a').length > 0;
-
-  return hasImages || hasLinks;
+  // Additional validation: should contain platform-specific post structure
+  // (e.g. links and language-tagged text for tweets, images for Instagram)
+  return definition.posts.contentSelectors.some(selector => element.querySelector(selector) !== null);
 }
 
 /**
  * Get selector configuration for a platform
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  * @returns {Object|null} Selector configuration object
  */
 function getSelectorConfig(platform) {
-  return SELECTORS.hasOwnProperty(platform) ? SELECTORS[platform] : null;
+  const definition = window.PlatformRegistry.getPlatform(platform);
+  return definition ? definition.posts : null;
 }
 
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    POST_SCAN_DELAY_MS,
     findPostContainers,
+    observePosts,
     isPostContainer,
-    getSelectorConfig,
-    SELECTORS
+    getSelectorConfig
   };
 }
 
 // Expose to window for browser extension content scripts
 if (typeof window !== 'undefined') {
   window.PostDetector = {
+    POST_SCAN_DELAY_MS,
     findPostContainers,
+    observePosts,
     isPostContainer,
-    getSelectorConfig,
-    SELECTORS
+    getSelectorConfig
   };
 }
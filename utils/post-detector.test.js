@@ -3,7 +3,7 @@
  * Includes unit tests and property-based tests
  */
 
-const { findPostContainers, isPostContainer, getSelectorConfig, SELECTORS } = require('./post-detector');
+const { POST_SCAN_DELAY_MS, findPostContainers, observePosts, isPostContainer, getSelectorConfig } = require('./post-detector');
 const fc = require('fast-check');
 
 // ============================================================================
@@ -241,6 +241,107 @@ describe('Post Detector - Unit Tests', () => {
       expect(posts.length).toBeGreaterThan(0);
     });
   });
+
+  describe('observePosts', () => {
+    let handle;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      document.body.innerHTML = '';
+    });
+
+    afterEach(() => {
+      if (handle) {
+        handle.disconnect();
+        handle = null;
+      }
+      jest.useRealTimers();
+    });
+
+    test('reports posts already on the page right away', () => {
+      document.body.appendChild(createMockDOMTree(2, 'twitter'));
+      const callback = jest.fn();
+
+      handle = observePosts('twitter', callback);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    test('reports posts streamed in with one scan per burst of changes', async () => {
+      const callback = jest.fn();
+      handle = observePosts('twitter', callback);
+      expect(callback).not.toHaveBeenCalled();
+
+      const timeline = createMockDOMTree(3, 'twitter');
+      document.body.appendChild(timeline);
+      const extraPost = createMockArticle();
+      extraPost.setAttribute('data-testid', 'tweet');
+      timeline.appendChild(extraPost);
+
+      // Mutation records are delivered as a microtask
+      await Promise.resolve();
+      expect(callback).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(POST_SCAN_DELAY_MS);
+      expect(callback).toHaveBeenCalledTimes(4);
+      expect(callback).toHaveBeenCalledWith(extraPost);
+    });
+
+    test('only scans the added nodes, not the posts already reported', async () => {
+      document.body.appendChild(createMockDOMTree(2, 'twitter'));
+      const callback = jest.fn();
+      handle = observePosts('twitter', callback);
+      callback.mockClear();
+
+      const sidebar = document.createElement('aside');
+      sidebar.textContent = 'Trends';
+      document.body.appendChild(sidebar);
+      await Promise.resolve();
+      jest.advanceTimersByTime(POST_SCAN_DELAY_MS);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('reports a post again when content is added to it', async () => {
+      const timeline = createMockDOMTree(2, 'twitter');
+      document.body.appendChild(timeline);
+      const callback = jest.fn();
+      handle = observePosts('twitter', callback);
+      callback.mockClear();
+
+      const [first, second] = timeline.children;
+      const actionBar = document.createElement('div');
+      actionBar.setAttribute('role', 'group');
+      second.appendChild(actionBar);
+      await Promise.resolve();
+      jest.advanceTimersByTime(POST_SCAN_DELAY_MS);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(second);
+      expect(callback).not.toHaveBeenCalledWith(first);
+    });
+
+    test('stops scanning once disconnected', async () => {
+      const callback = jest.fn();
+      handle = observePosts('twitter', callback);
+
+      document.body.appendChild(createMockDOMTree(1, 'twitter'));
+      await Promise.resolve();
+      handle.disconnect();
+      jest.advanceTimersByTime(POST_SCAN_DELAY_MS);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown platforms and missing callbacks', () => {
+      jest.spyOn(console, 'error').mockImplementation();
+
+      expect(observePosts('invalid', jest.fn())).toBeNull();
+      expect(observePosts('twitter', null)).toBeNull();
+
+      console.error.mockRestore();
+    });
+  });
 });
 
 
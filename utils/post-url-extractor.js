@@ -1,63 +1,77 @@
 /**
  * Post URL Extraction Module
- * Extracts unique URLs from individual Twitter/X and Instagram posts
+ * Extracts unique URLs from individual posts of registered platforms
  */
 
+// The platform registry is loaded ahead of this file by the manifest; under Node require it directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+}
+
 /**
- * Extract URL from a Twitter/X post container
- * Handles regular tweets, retweets, and quoted tweets
- * @param {HTMLElement} tweetElement - The tweet container element
- * @returns {string|null} The tweet URL or null if not found
+ * Extract the post URL from a post container using a platform definition
+ * Strategies are tried in order: timestamp link, the definition's link
+ * selectors, then data attributes (when the definition allows it)
+ * @param {HTMLElement} postElement - The post container element
+ * @param {Object} definition - Platform definition from the registry
+ * @returns {string|null} The post URL or null if not found
  */
-function extractTweetUrl(tweetElement) {
-  if (!tweetElement || !(tweetElement instanceof HTMLElement)) {
-    console.warn('[post-url-extractor] Invalid tweet element provided');
-    return null;
-  }
+function extractPostUrlWithDefinition(postElement, definition) {
+  const { extraction } = definition;
 
-  try {
-    // Strategy 1: Look for timestamp link (most reliable)
-    // Twitter uses <time> elements with parent <a> tags containing the status URL
-    const timeElement = tweetElement.querySelector('time');
-    if (timeElement) {
-      const timeLink = timeElement.closest('a');
-      if (timeLink && timeLink.href) {
-        const url = timeLink.href;
-        if (validateTwitterUrl(url)) {
-          return url;
-        }
-      }
+  /**
+   * Accept a candidate URL if it is a valid, non-excluded post URL
+   * The query string is kept: the platform's query policy decides which
+   * parameters survive when the URL is transformed
+   * @param {string} url - Candidate URL
+   * @returns {string|null} The canonical URL or null
+   */
+  const accept = (url) => {
+    if (!url || !validatePostUrl(url, definition.id)) {
+      return null;
     }
+    if (extraction.excludedPaths.some(excluded => url.includes(excluded))) {
+      return null;
+    }
+    return normalizePostUrl(url, definition.id);
+  };
 
-    // Strategy 2: Look for any link matching the status URL pattern
-    // Pattern: /username/status/1234567890
-    const links = tweetElement.querySelectorAll('a[href*="/status/"]');
-    for (const link of links) {
-      if (link.href && validateTwitterUrl(link.href)) {
-        return link.href;
-      }
+  // Strategy 1: Look for timestamp link (most reliable)
+  // Platforms wrap <time> elements in a link pointing at the post itself
+  const timeElement = postElement.querySelector('time');
+  if (timeElement) {
+    const timeLink = timeElement.closest('a');
+    const url = timeLink ? accept(timeLink.href) : null;
+    if (url) {
+      return url;
     }
+  }
 
-    // Strategy 3: Check for retweet - look for the original tweet's URL
-    // Retweets often have the original tweet link in a specific structure
-    const retweetLinks = tweetElement.querySelectorAll('a[href*="x.com"][href*="/status/"]');
-    for (const link of retweetLinks) {
-      if (link.href && validateTwitterUrl(link.href)) {
-        return link.href;
+  // Strategy 2: Look for links matching the platform's post URL pattern
+  for (const selector of extraction.linkSelectors) {
+    const links = postElement.querySelectorAll(selector);
+    for (const link of links) {
+      const url = accept(link.href);
+      if (url) {
+        return url;
       }
     }
+  }
 
-    // Strategy 4: Look in data attributes (fallback)
-    const articleElement = tweetElement.tagName === 'ARTICLE' ? tweetElement : tweetElement.querySelector('article');
+  // Strategy 3: Look in data attributes (fallback)
+  if (extraction.attributeBaseUrl) {
+    const articleElement = postElement.tagName === 'ARTICLE'
+      ? postElement
+      : postElement.querySelector('article') || postElement;
     if (articleElement && articleElement.attributes) {
       // Check for any data attributes that might contain the URL
       try {
         for (const attr of articleElement.attributes) {
-          if (attr.value && attr.value.includes('/status/')) {
+          if (attr.value) {
             try {
-              const url = new URL(attr.value, 'https://x.com');
-              if (validateTwitterUrl(url.href)) {
-                return url.href;
+              const url = accept(new URL(attr.value, extraction.attributeBaseUrl).href);
+              if (url) {
+                return url;
               }
             } catch (e) {
               // Invalid URL in attribute, continue
@@ -68,13 +82,27 @@ function extractTweetUrl(tweetElement) {
         // attributes might not be iterable in test environment
       }
     }
+  }
 
-    console.warn('[post-url-extractor] Could not extract URL from tweet element');
-    return null;
-  } catch (error) {
-    console.error('[post-url-extractor] Error extracting tweet URL:', error);
-    return null;
+  // Strategy 4: Use the page URL when the page itself is a single post
+  if (extraction.usePageUrl && typeof window !== 'undefined' && window.location) {
+    const url = accept(window.location.href);
+    if (url) {
+      return url;
+    }
   }
+
+  return null;
+}
+
+/**
+ * Extract URL from a Twitter/X post container
+ * Handles regular tweets, retweets, and quoted tweets
+ * @param {HTMLElement} tweetElement - The tweet container element
+ * @returns {string|null} The tweet URL or null if not found
+ */
+function extractTweetUrl(tweetElement) {
+  return extractPostUrl(tweetElement, 'twitter');
 }
 
 /**
@@ -84,61 +112,7 @@ function extractTweetUrl(tweetElement) {
  * @returns {string|null} The post URL or null if not found
  */
 function extractInstagramPostUrl(postElement) {
-  if (!postElement || !(postElement instanceof HTMLElement)) {
-    console.warn('[post-url-extractor] Invalid post element provided');
-    return null;
-  }
-
-  try {
-    // Strategy 1: Look for time element's parent link (most reliable for the actual post)
-    // This is typically the timestamp link that points to the post itself
-    const timeElement = postElement.querySelector('time');
-    if (timeElement) {
-      const timeLink = timeElement.closest('a');
-      if (timeLink && timeLink.href && validateInstagramUrl(timeLink.href)) {
-        console.log('[post-url-extractor] Found Instagram URL via time element:', timeLink.href);
-        return cleanInstagramUrl(timeLink.href);
-      }
-    }
-
-    // Strategy 2: Look for post header link (but exclude liked_by, tagged, etc.)
-    // Instagram posts typically have a link in the header with the post URL
-    const headerLinks = postElement.querySelectorAll('header a[href*="/p/"], header a[href*="/reel/"], header a[href*="/tv/"]');
-    for (const link of headerLinks) {
-      if (link.href && validateInstagramUrl(link.href) && !link.href.includes('/liked_by/') && !link.href.includes('/tagged/')) {
-        console.log('[post-url-extractor] Found Instagram URL via header link:', link.href);
-        return cleanInstagramUrl(link.href);
-      }
-    }
-
-    // Strategy 3: Look for any link matching the post URL pattern (excluding unwanted paths)
-    // Pattern: /p/ABC123/ or /reel/ABC123/ or /tv/ABC123/
-    const postLinks = postElement.querySelectorAll('a[href*="/p/"], a[href*="/reel/"], a[href*="/tv/"]');
-    for (const link of postLinks) {
-      if (link.href && validateInstagramUrl(link.href) && !link.href.includes('/liked_by/') && !link.href.includes('/tagged/')) {
-        console.log('[post-url-extractor] Found Instagram URL via post link:', link.href);
-        return cleanInstagramUrl(link.href);
-      }
-    }
-
-    // Strategy 4: Look in article element for links (last resort)
-    const articleElement = postElement.tagName === 'ARTICLE' ? postElement : postElement.querySelector('article');
-    if (articleElement) {
-      const articleLinks = articleElement.querySelectorAll('a[href*="/p/"], a[href*="/reel/"], a[href*="/tv/"]');
-      for (const link of articleLinks) {
-        if (link.href && validateInstagramUrl(link.href) && !link.href.includes('/liked_by/') && !link.href.includes('/tagged/')) {
-          console.log('[post-url-extractor] Found Instagram URL via article link:', link.href);
-          return cleanInstagramUrl(link.href);
-        }
-      }
-    }
-
-    console.warn('[post-url-extractor] Could not extract URL from Instagram post element');
-    return null;
-  } catch (error) {
-    console.error('[post-url-extractor] Error extracting Instagram post URL:', error);
-    return null;
-  }
+  return extractPostUrl(postElement, 'instagram');
 }
 
 /**
@@ -163,36 +137,7 @@ function cleanInstagramUrl(url) {
  * @returns {boolean} True if valid Twitter post URL
  */
 function validateTwitterUrl(url) {
-  if (!url || typeof url !== 'string') {
-    return false;
-  }
-
-  try {
-    const urlObj = new URL(url);
-    
-    // Check protocol (must be https)
-    if (urlObj.protocol !== 'https:') {
-      return false;
-    }
-    
-    // Check hostname
-    if (urlObj.hostname !== 'x.com' && 
-        urlObj.hostname !== 'www.x.com' && 
-        urlObj.hostname !== 'twitter.com' && 
-        urlObj.hostname !== 'www.twitter.com') {
-      return false;
-    }
-
-    // Check pathname pattern: /username/status/1234567890
-    const pathPattern = /^\/[^\/]+\/status\/\d+/;
-    if (!pathPattern.test(urlObj.pathname)) {
-      return false;
-    }
-
-    return true;
-  } catch (error) {
-    return false;
-  }
+  return validatePostUrl(url, 'twitter');
 }
 
 /**
@@ -201,10 +146,27 @@ function validateTwitterUrl(url) {
  * @returns {boolean} True if valid Instagram post URL
  */
 function validateInstagramUrl(url) {
+  return validatePostUrl(url, 'instagram');
+}
+
+/**
+ * Validate a post URL for a given platform
+ * The URL must use https, be served from one of the platform's hosts and
+ * match the platform's post path pattern (or be one of its short links)
+ * @param {string} url - The URL to validate
+ * @param {string} platform - Registered platform identifier
+ * @returns {boolean} True if valid post URL for the platform
+ */
+function validatePostUrl(url, platform) {
   if (!url || typeof url !== 'string') {
     return false;
   }
 
+  const definition = PlatformRegistry.getPlatform(platform);
+  if (!definition) {
+    return false;
+  }
+
   try {
     const urlObj = new URL(url);
     
@@ -212,16 +174,20 @@ function validateInstagramUrl(url) {
     if (urlObj.protocol !== 'https:') {
       return false;
     }
+
+    // Short links (e.g. vm.tiktok.com/<code>/) have their own path pattern
+    const { shortLinks } = definition;
+    if (shortLinks && shortLinks.hosts.includes(urlObj.hostname)) {
+      return shortLinks.pathPattern.test(urlObj.pathname);
+    }
     
     // Check hostname
-    if (urlObj.hostname !== 'www.instagram.com' && 
-        urlObj.hostname !== 'instagram.com') {
+    if (!definition.hosts.includes(urlObj.hostname)) {
       return false;
     }
 
-    // Check pathname pattern: /p/ABC123/ or /reel/ABC123/
-    const pathPattern = /^\/(p|reel|tv)\/[A-Za-z0-9_-]+\/?/;
-    if (!pathPattern.test(urlObj.pathname)) {
+    // Check pathname pattern
+    if (!definition.postPathPattern.test(urlObj.pathname)) {
       return false;
     }
 
@@ -232,33 +198,82 @@ function validateInstagramUrl(url) {
 }
 
 /**
- * Validate a post URL for a given platform
- * @param {string} url - The URL to validate
- * @param {string} platform - 'twitter' or 'instagram'
- * @returns {boolean} True if valid post URL for the platform
+ * Normalize a Bluesky post path
+ * Posts are addressed by either the author's handle or their DID. Handles are
+ * case-insensitive and get lowercased; DIDs are case-sensitive and only get
+ * percent-decoded (did%3Aplc%3A... becomes did:plc:...)
+ * @param {string} pathname - A /profile/<actor>/post/<rkey> path
+ * @returns {string|null} The normalized path without a trailing slash, or null
+ *   if the actor has a malformed percent-escape
  */
-function validatePostUrl(url, platform) {
-  if (!url || typeof url !== 'string') {
-    return false;
+function normalizeBlueskyPostPath(pathname) {
+  const [, actor, rkey] = pathname.match(/^\/profile\/([^\/]+)\/post\/([^\/]+)/);
+  let decodedActor;
+  try {
+    decodedActor = decodeURIComponent(actor);
+  } catch (error) {
+    return null;
   }
+  const normalizedActor = decodedActor.toLowerCase().startsWith('did:')
+    ? `did:${decodedActor.slice(4)}`
+    : decodedActor.toLowerCase();
 
-  if (!platform || typeof platform !== 'string') {
-    return false;
+  return `/profile/${normalizedActor}/post/${rkey}`;
+}
+
+/**
+ * Platform-specific path normalizers, keyed by platform identifier
+ */
+const PATH_NORMALIZERS = {
+  bluesky: normalizeBlueskyPostPath
+};
+
+/**
+ * Normalize a post URL to its canonical form
+ * Short links are rewritten onto the platform's canonical prefix so they can
+ * be transformed like any other post URL, and paths are trimmed to the
+ * platform's canonical path pattern; other URLs are returned unchanged
+ * @param {string} url - The post URL to normalize
+ * @param {string} platform - Registered platform identifier
+ * @returns {string|null} The canonical post URL or null if the URL is not a valid post URL
+ */
+function normalizePostUrl(url, platform) {
+  if (!validatePostUrl(url, platform)) {
+    return null;
   }
 
-  if (platform === 'twitter') {
-    return validateTwitterUrl(url);
-  } else if (platform === 'instagram') {
-    return validateInstagramUrl(url);
+  const { shortLinks, canonicalPathPattern } = PlatformRegistry.getPlatform(platform);
+  const urlObj = new URL(url);
+
+  if (shortLinks && shortLinks.hosts.includes(urlObj.hostname)) {
+    return `${shortLinks.canonicalPrefix}${urlObj.pathname}`;
   }
 
-  return false;
+  if (PATH_NORMALIZERS[platform]) {
+    const pathname = PATH_NORMALIZERS[platform](urlObj.pathname);
+    if (!pathname) {
+      return null;
+    }
+    urlObj.pathname = pathname;
+    return urlObj.href;
+  }
+
+  // Keep only the canonical part of the path (e.g. drop Reddit title slugs)
+  if (canonicalPathPattern) {
+    const match = urlObj.pathname.match(canonicalPathPattern);
+    if (match) {
+      urlObj.pathname = `${match[0]}/`;
+      return urlObj.href;
+    }
+  }
+
+  return url;
 }
 
 /**
  * Extract post URL based on platform
  * @param {HTMLElement} postElement - The post container element
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  * @returns {string|null} The post URL or null if not found
  */
 function extractPostUrl(postElement, platform) {
@@ -272,14 +287,81 @@ function extractPostUrl(postElement, platform) {
     return null;
   }
 
-  if (platform === 'twitter') {
-    return extractTweetUrl(postElement);
-  } else if (platform === 'instagram') {
-    return extractInstagramPostUrl(postElement);
+  const definition = PlatformRegistry.getPlatform(platform);
+  if (!definition) {
+    console.warn(`[post-url-extractor] Unsupported platform: ${platform}`);
+    return null;
   }
 
-  console.warn(`[post-url-extractor] Unsupported platform: ${platform}`);
-  return null;
+  // A post without a link is expected (ads, posts still loading), so no warning is logged
+  try {
+    return extractPostUrlWithDefinition(postElement, definition);
+  } catch (error) {
+    console.error(`[post-url-extractor] Error extracting ${definition.displayName} post URL:`, error);
+    return null;
+  }
+}
+
+/**
+ * Extract the author handle and text of a post for formatted copies
+ * The author comes from the post URL when the platform's URLs carry it, otherwise
+ * from the post container. Without a container (e.g. a linked post) only the URL
+ * is used
+ * @param {HTMLElement|null} postElement - The post container element, if any
+ * @param {string} postUrl - The post URL
+ * @param {string} platform - Registered platform identifier
+ * @returns {Object} { author, text }, each an empty string when not found
+ */
+function extractPostDetails(postElement, postUrl, platform) {
+  const definition = PlatformRegistry.getPlatform(platform);
+  if (!definition) {
+    return { author: '', text: '' };
+  }
+  const { extraction } = definition;
+
+  /**
+   * Read the first non-empty container attribute or element text
+   * @param {Array<string>} [selectors] - Selectors within the container
+   * @param {Array<string>} [attributes] - Attributes of the container, tried first
+   * @returns {string} The trimmed value, or an empty string
+   */
+  const readPostValue = (selectors = [], attributes = []) => {
+    if (!postElement || !(postElement instanceof HTMLElement)) {
+      return '';
+    }
+    for (const attribute of attributes) {
+      const value = (postElement.getAttribute(attribute) || '').trim();
+      if (value) {
+        return value;
+      }
+    }
+    for (const selector of selectors) {
+      const element = postElement.querySelector(selector);
+      const value = element ? element.textContent.trim() : '';
+      if (value) {
+        return value;
+      }
+    }
+    return '';
+  };
+
+  let author = '';
+  if (extraction.authorPattern) {
+    try {
+      const match = new URL(postUrl).pathname.match(extraction.authorPattern);
+      author = match ? decodeURIComponent(match[1]) : '';
+    } catch (error) {
+      // Invalid URL or escape sequence, fall back to the container
+    }
+  }
+  if (!author) {
+    author = readPostValue(extraction.authorSelectors, extraction.authorAttributes);
+  }
+
+  return {
+    author: author.replace(/^@/, ''),
+    text: readPostValue(extraction.textSelectors, extraction.textAttributes)
+  };
 }
 
 // Export functions
@@ -288,20 +370,36 @@ if (typeof module !== 'undefined' && module.exports) {
     extractTweetUrl,
     extractInstagramPostUrl,
     extractPostUrl,
+    extractPostDetails,
     validatePostUrl,
+    normalizePostUrl,
     validateTwitterUrl,
     validateInstagramUrl,
     cleanInstagramUrl
   };
 }
 
-// Expose to window for browser extension content scripts
+// Expose to window for content scripts and extension pages, or to the service worker global scope
 if (typeof window !== 'undefined') {
   window.PostUrlExtractor = {
     extractTweetUrl,
     extractInstagramPostUrl,
     extractPostUrl,
+    extractPostDetails,
+    validatePostUrl,
+    normalizePostUrl,
+    validateTwitterUrl,
+    validateInstagramUrl,
+    cleanInstagramUrl
+  };
+} else if (typeof self !== 'undefined') {
+  self.PostUrlExtractor = {
+    extractTweetUrl,
+    extractInstagramPostUrl,
+    extractPostUrl,
+    extractPostDetails,
     validatePostUrl,
+    normalizePostUrl,
     validateTwitterUrl,
     validateInstagramUrl,
     cleanInstagramUrl
@@ -8,11 +8,15 @@ const {
   extractTweetUrl,
   extractInstagramPostUrl,
   extractPostUrl,
+  extractPostDetails,
   validatePostUrl,
+  normalizePostUrl,
   validateTwitterUrl,
   validateInstagramUrl,
   cleanInstagramUrl
 } = require('./post-url-extractor');
+const { transformUrl } = require('./url-transformer');
+const { getPlatform, getPlatformIds } = require('../config/platforms');
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -121,6 +125,13 @@ describe('Post URL Extractor', () => {
         expect(extractTweetUrl(tweet)).toBe(null);
       });
 
+      test('does not warn about a tweet whose link has not loaded yet', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation();
+        expect(extractTweetUrl(createEmptyMockPost())).toBe(null);
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+      });
+
       test('returns null for null input', () => {
         expect(extractTweetUrl(null)).toBe(null);
       });
@@ -159,11 +170,10 @@ describe('Post URL Extractor', () => {
         expect(extractInstagramPostUrl(post)).toBe(url);
       });
 
-      test('cleans query parameters from URL', () => {
+      test('keeps query parameters for the query policy to sanitize', () => {
         const urlWithParams = 'https://www.instagram.com/p/ABC123/?utm_source=ig_web';
-        const cleanUrl = 'https://www.instagram.com/p/ABC123/';
         const post = createMockInstagramPost(urlWithParams);
-        expect(extractInstagramPostUrl(post)).toBe(cleanUrl);
+        expect(extractInstagramPostUrl(post)).toBe(urlWithParams);
       });
 
       test('returns null for post without links', () => {
@@ -207,6 +217,11 @@ describe('Post URL Extractor', () => {
         expect(validateTwitterUrl('https://www.twitter.com/user/status/1234567890')).toBe(true);
       });
 
+      test('validates mobile.twitter.com and mobile.x.com status URLs', () => {
+        expect(validateTwitterUrl('https://mobile.twitter.com/user/status/1234567890')).toBe(true);
+        expect(validateTwitterUrl('https://mobile.x.com/user/status/1234567890')).toBe(true);
+      });
+
       test('rejects URL without status path', () => {
         expect(validateTwitterUrl('https://x.com/user')).toBe(false);
       });
@@ -383,6 +398,238 @@ describe('Post URL Extractor', () => {
         expect(extractPostUrl(post, null)).toBe(null);
       });
     });
+
+    describe('TikTok URLs', () => {
+      test('validates video URL', () => {
+        expect(validatePostUrl('https://www.tiktok.com/@user.name/video/7234567890123456789', 'tiktok')).toBe(true);
+      });
+
+      test('validates photo URL', () => {
+        expect(validatePostUrl('https://www.tiktok.com/@user/photo/7234567890123456789', 'tiktok')).toBe(true);
+      });
+
+      test('validates vm.tiktok.com short link', () => {
+        expect(validatePostUrl('https://vm.tiktok.com/ZMabc123/', 'tiktok')).toBe(true);
+      });
+
+      test('rejects profile URL', () => {
+        expect(validatePostUrl('https://www.tiktok.com/@user', 'tiktok')).toBe(false);
+      });
+
+      test('rejects short link with nested path', () => {
+        expect(validatePostUrl('https://vm.tiktok.com/ZMabc123/extra', 'tiktok')).toBe(false);
+      });
+
+      test('normalizes short link to canonical /t/ URL', () => {
+        expect(normalizePostUrl('https://vm.tiktok.com/ZMabc123/', 'tiktok')).toBe('https://www.tiktok.com/t/ZMabc123/');
+      });
+
+      test('leaves canonical video URL unchanged', () => {
+        const url = 'https://www.tiktok.com/@user/video/7234567890123456789';
+        expect(normalizePostUrl(url, 'tiktok')).toBe(url);
+      });
+
+      test('returns null when normalizing an invalid URL', () => {
+        expect(normalizePostUrl('https://www.tiktok.com/@user', 'tiktok')).toBe(null);
+      });
+
+      test('extracts video URL with its query parameters', () => {
+        const container = document.createElement('div');
+        const link = document.createElement('a');
+        link.href = 'https://www.tiktok.com/@user/video/7234567890123456789?is_from_webapp=1';
+        container.appendChild(link);
+        expect(extractPostUrl(container, 'tiktok'))
+          .toBe('https://www.tiktok.com/@user/video/7234567890123456789?is_from_webapp=1');
+      });
+    });
+
+    describe('Reddit URLs', () => {
+      test('validates comments URL on new and old Reddit', () => {
+        expect(validatePostUrl('https://www.reddit.com/r/aww/comments/1abcde/cute_dog/', 'reddit')).toBe(true);
+        expect(validatePostUrl('https://old.reddit.com/r/aww/comments/1abcde/', 'reddit')).toBe(true);
+      });
+
+      test('validates /s/ share link and redd.it short link', () => {
+        expect(validatePostUrl('https://www.reddit.com/r/aww/s/AbC123xYz', 'reddit')).toBe(true);
+        expect(validatePostUrl('https://redd.it/1abcde', 'reddit')).toBe(true);
+      });
+
+      test('rejects subreddit and user pages', () => {
+        expect(validatePostUrl('https://www.reddit.com/r/aww/', 'reddit')).toBe(false);
+        expect(validatePostUrl('https://www.reddit.com/user/someone/', 'reddit')).toBe(false);
+      });
+
+      test('normalizes comments URL to canonical /r/<sub>/comments/<id>/', () => {
+        expect(normalizePostUrl('https://www.reddit.com/r/aww/comments/1abcde/cute_dog/', 'reddit'))
+          .toBe('https://www.reddit.com/r/aww/comments/1abcde/');
+        expect(normalizePostUrl('https://old.reddit.com/r/aww/comments/1abcde', 'reddit'))
+          .toBe('https://old.reddit.com/r/aww/comments/1abcde/');
+      });
+
+      test('normalizes redd.it short link to comments URL', () => {
+        expect(normalizePostUrl('https://redd.it/1abcde', 'reddit')).toBe('https://www.reddit.com/comments/1abcde');
+      });
+
+      test('leaves /s/ share link unchanged', () => {
+        const url = 'https://www.reddit.com/r/aww/s/AbC123xYz';
+        expect(normalizePostUrl(url, 'reddit')).toBe(url);
+      });
+
+      test('extracts canonical URL from shreddit-post permalink attribute', () => {
+        const post = document.createElement('shreddit-post');
+        post.setAttribute('permalink', '/r/aww/comments/1abcde/cute_dog/');
+        expect(extractPostUrl(post, 'reddit')).toBe('https://www.reddit.com/r/aww/comments/1abcde/');
+      });
+
+      test('extracts canonical URL from Old Reddit permalink link', () => {
+        const thing = document.createElement('div');
+        thing.className = 'thing link';
+        const link = document.createElement('a');
+        link.setAttribute('data-event-action', 'permalink');
+        link.href = 'https://old.reddit.com/r/aww/comments/1abcde/cute_dog/?utm_source=share';
+        thing.appendChild(link);
+        expect(extractPostUrl(thing, 'reddit')).toBe('https://old.reddit.com/r/aww/comments/1abcde/?utm_source=share');
+      });
+    });
+
+    describe('Bluesky URLs', () => {
+      const did = 'did:plc:z72i7hdynmk6r22z27h6tvur';
+
+      test('validates post URL by handle', () => {
+        expect(validatePostUrl('https://bsky.app/profile/jay.bsky.team/post/3kf6ia3m2p72a', 'bluesky')).toBe(true);
+      });
+
+      test('validates post URL by DID, plain and percent-encoded', () => {
+        expect(validatePostUrl(`https://bsky.app/profile/${did}/post/3kf6ia3m2p72a`, 'bluesky')).toBe(true);
+        expect(validatePostUrl('https://bsky.app/profile/did%3Aplc%3Az72i7hdynmk6r22z27h6tvur/post/3kf6ia3m2p72a', 'bluesky')).toBe(true);
+      });
+
+      test('rejects profile and liked-by pages', () => {
+        expect(validatePostUrl('https://bsky.app/profile/jay.bsky.team', 'bluesky')).toBe(false);
+        expect(validatePostUrl('https://bsky.app/profile/jay.bsky.team/post/3kf6ia3m2p72a/liked-by', 'bluesky')).toBe(false);
+      });
+
+      test('lowercases handles', () => {
+        expect(normalizePostUrl('https://bsky.app/profile/Jay.Bsky.Team/post/3kf6ia3m2p72a/', 'bluesky'))
+          .toBe('https://bsky.app/profile/jay.bsky.team/post/3kf6ia3m2p72a');
+      });
+
+      test('decodes percent-encoded DIDs', () => {
+        expect(normalizePostUrl('https://bsky.app/profile/did%3Aplc%3Az72i7hdynmk6r22z27h6tvur/post/3kf6ia3m2p72a', 'bluesky'))
+          .toBe(`https://bsky.app/profile/${did}/post/3kf6ia3m2p72a`);
+      });
+
+      test('rejects DIDs with a malformed percent-escape', () => {
+        expect(validatePostUrl('https://bsky.app/profile/did:plc:abc%zz/post/3kf6ia3m2p72a', 'bluesky')).toBe(true);
+        expect(normalizePostUrl('https://bsky.app/profile/did:plc:abc%zz/post/3kf6ia3m2p72a', 'bluesky')).toBe(null);
+      });
+
+      test('leaves DID URLs unchanged', () => {
+        const url = `https://bsky.app/profile/${did}/post/3kf6ia3m2p72a`;
+        expect(normalizePostUrl(url, 'bluesky')).toBe(url);
+      });
+
+      test('extracts post URL from feed item link', () => {
+        const feedItem = document.createElement('div');
+        feedItem.setAttribute('data-testid', 'feedItem-by-jay.bsky.team');
+        const link = document.createElement('a');
+        link.href = 'https://bsky.app/profile/Jay.Bsky.Team/post/3kf6ia3m2p72a';
+        feedItem.appendChild(link);
+        expect(extractPostUrl(feedItem, 'bluesky')).toBe('https://bsky.app/profile/jay.bsky.team/post/3kf6ia3m2p72a');
+      });
+    });
+
+    describe('extractPostDetails', () => {
+      test('reads the author from the post URL and the text from the post', () => {
+        const tweet = document.createElement('article');
+        tweet.innerHTML = '<div data-testid="tweetText">just setting up\n my twttr</div>';
+
+        expect(extractPostDetails(tweet, 'https://x.com/jack/status/20', 'twitter'))
+          .toEqual({ author: 'jack', text: 'just setting up\n my twttr' });
+        expect(extractPostDetails(null, 'https://www.tiktok.com/@scout2015/video/6718335390845095173', 'tiktok'))
+          .toEqual({ author: 'scout2015', text: '' });
+        expect(extractPostDetails(null, 'https://bsky.app/profile/jay.bsky.team/post/3kf6ia3m2p72a', 'bluesky').author)
+          .toBe('jay.bsky.team');
+        expect(extractPostDetails(null, 'https://x.com/i/status/20', 'twitter').author).toBe('');
+      });
+
+      test('reads the author from the post when the URL has none', () => {
+        const post = document.createElement('article');
+        post.innerHTML = '<header><a href="/instagram/">instagram</a></header><h1>Coffee time</h1>';
+
+        expect(extractPostDetails(post, 'https://www.instagram.com/p/C0ffee12345/', 'instagram'))
+          .toEqual({ author: 'instagram', text: 'Coffee time' });
+        expect(extractPostDetails(null, 'https://www.instagram.com/p/C0ffee12345/', 'instagram'))
+          .toEqual({ author: '', text: '' });
+      });
+
+      test('reads Reddit authors and titles from post attributes', () => {
+        const post = document.createElement('shreddit-post');
+        post.setAttribute('author', 'spez');
+        post.setAttribute('post-title', 'Hello Reddit');
+        expect(extractPostDetails(post, 'https://www.reddit.com/r/test/comments/abc123/', 'reddit'))
+          .toEqual({ author: 'spez', text: 'Hello Reddit' });
+
+        const oldPost = document.createElement('div');
+        oldPost.className = 'thing';
+        oldPost.setAttribute('data-author', 'kn0thing');
+        oldPost.innerHTML = '<a class="title" href="/r/test/comments/abc123/hello/">Old title</a>';
+        expect(extractPostDetails(oldPost, 'https://old.reddit.com/r/test/comments/abc123/', 'reddit'))
+          .toEqual({ author: 'kn0thing', text: 'Old title' });
+      });
+
+      test('returns empty details for unknown platforms', () => {
+        expect(extractPostDetails(null, 'https://example.com/post/1', 'myspace')).toEqual({ author: '', text: '' });
+      });
+    });
+
+    describe('Query policy after extraction', () => {
+      const sharedUrl = 'https://www.instagram.com/p/C0ffee12345/?igsh=MWQ1ZGUxMzBkMA%3D%3D&img_index=2';
+
+      /**
+       * Extract the shared Instagram post and transform it under a query policy
+       */
+      function copyInstagramPost(queryPolicy) {
+        const postUrl = extractInstagramPostUrl(createMockInstagramPost(sharedUrl));
+        return transformUrl(postUrl, 'kkinstagram.com', { queryPolicy });
+      }
+
+      test('keep-all keeps every parameter of the shared link', () => {
+        expect(copyInstagramPost({ mode: 'keep-all', allowlist: [] }))
+          .toBe('https://kkinstagram.com/p/C0ffee12345/?igsh=MWQ1ZGUxMzBkMA%3D%3D&img_index=2');
+      });
+
+      test('strip-tracking drops igsh and keeps the carousel index', () => {
+        expect(copyInstagramPost({ mode: 'strip-tracking', allowlist: [] }))
+          .toBe('https://kkinstagram.com/p/C0ffee12345/?img_index=2');
+      });
+
+      test('allowlist keeps only the listed parameters', () => {
+        expect(copyInstagramPost({ mode: 'allowlist', allowlist: ['igsh'] }))
+          .toBe('https://kkinstagram.com/p/C0ffee12345/?igsh=MWQ1ZGUxMzBkMA%3D%3D');
+        expect(copyInstagramPost({ mode: 'allowlist', allowlist: [] }))
+          .toBe('https://kkinstagram.com/p/C0ffee12345/');
+      });
+
+      test('strip-all drops the whole query string', () => {
+        expect(copyInstagramPost({ mode: 'strip-all', allowlist: [] }))
+          .toBe('https://kkinstagram.com/p/C0ffee12345/');
+      });
+
+      test('every platform leaves the query string to the policy', () => {
+        for (const platformId of getPlatformIds()) {
+          const { samplePostUrl, defaultTargetHostname } = getPlatform(platformId);
+          const link = document.createElement('a');
+          link.href = `${samplePostUrl}?lang=en`;
+          const container = document.createElement('div');
+          container.appendChild(link);
+
+          const postUrl = extractPostUrl(container, platformId);
+          expect(transformUrl(postUrl, defaultTargetHostname, { queryPolicy: { mode: 'keep-all', allowlist: [] } }))
+            .toMatch(/\?lang=en$/);
+        }
+      });
+    });
   });
 
   // ============================================================================
@@ -3,60 +3,10 @@
  * Detects share menu appearance and identifies associated posts
  */
 
-/**
- * Platform-specific selectors for share menus
- */
-const SHARE_MENU_SELECTORS = {
-  twitter: {
-    // Share menu container
-    menu: [
-      'div[data-testid="Dropdown"]',
-      'div[role="menu"]',
-      'div[data-testid="sheetDialog"]'
-    ],
-    // Share button that triggers the menu
-    trigger: [
-      'button[data-testid="share"]',
-      'div[data-testid="share"]'
-    ],
-    // Menu items within the share menu
-    menuItems: [
-      'div[role="menuitem"]',
-      'a[role="menuitem"]'
-    ],
-    // Post container selectors (from post-detector)
-    postContainer: [
-      'article[data-testid="tweet"]',
-      'div[data-testid="cellInnerDiv"] article',
-      'article[role="article"]'
-    ]
-  },
-  instagram: {
-    // Share menu container
-    menu: [
-      'div[role="dialog"]',
-      'div[class*="Sheet"]'
-    ],
-    // Share button that triggers the menu
-    trigger: [
-      'svg[aria-label*="Share"]',
-      'button[aria-label*="Share"]',
-      'svg[aria-label*="share"]',
-      'button[aria-label*="share"]'
-    ],
-    // Menu items within the share menu
-    menuItems: [
-      'button',
-      'a'
-    ],
-    // Post container selectors (from post-detector)
-    postContainer: [
-      'article[role="presentation"]',
-      'div[class*="x1iyjqo2"] article',
-      'article'
-    ]
-  }
-};
+// The platform registry is loaded ahead of this file by the manifest; under Node require it directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+}
 
 // Track the last clicked share button globally
 let lastClickedShareButton = null;
@@ -64,12 +14,13 @@ let lastClickTime = 0;
 
 /**
  * Detect share menu appearance using MutationObserver
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  * @param {Function} callback - Called when share menu is detected with (menuElement)
  * @returns {MutationObserver} The observer instance
  */
 function observeShareMenus(platform, callback) {
-  if (!platform || !SHARE_MENU_SELECTORS[platform]) {
+  const config = getShareMenuConfig(platform);
+  if (!config) {
     console.error(`[share-menu-detector] Invalid platform: ${platform}`);
     return null;
   }
@@ -79,7 +30,6 @@ function observeShareMenus(platform, callback) {
     return null;
   }
 
-  const config = SHARE_MENU_SELECTORS[platform];
   const processedMenus = new WeakSet();
   
   // Set up click tracking for share buttons
@@ -189,7 +139,7 @@ function observeShareMenus(platform, callback) {
 /**
  * Find the post container associated with a share menu
  * @param {HTMLElement} menuElement - The share menu element
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  * @returns {HTMLElement|null} The associated post container
  */
 function findAssociatedPost(menuElement, platform) {
@@ -198,13 +148,12 @@ function findAssociatedPost(menuElement, platform) {
     return null;
   }
 
-  if (!platform || !SHARE_MENU_SELECTORS[platform]) {
+  const config = getShareMenuConfig(platform);
+  if (!config) {
     window.Logger.warn(`[share-menu-detector] Invalid platform: ${platform}`);
     return null;
   }
 
-  const config = SHARE_MENU_SELECTORS[platform];
-
   try {
     // Strategy 0: Use the last clicked share button if it was clicked recently (within 2 seconds)
     const timeSinceClick = Date.now() - lastClickTime;
@@ -319,7 +268,7 @@ function findAssociatedPost(menuElement, platform) {
 /**
  * Check if an element is a share menu
  * @param {HTMLElement} element - Element to check
- * @param {string} platform - 'twitter' or 'instagram'
+ * @param {string} platform - Registered platform identifier
  * @returns {boolean} True if element is a share menu
  */
 function isShareMenu(element, platform) {
@@ -327,12 +276,11 @@ function isShareMenu(element, platform) {
     return false;
   }
 
-  if (!platform || !SHARE_MENU_SELECTORS[platform]) {
+  const config = getShareMenuConfig(platform);
+  if (!config) {
     return false;
   }
 
-  const config = SHARE_MENU_SELECTORS[platform];
-
   try {
     // Check if element matches any menu selector
     let matchesSelector = false;
@@ -388,12 +336,15 @@ function isShareMenu(element, platform) {
 }
 
 /**
- * Get selector configuration for a platform
- * @param {string} platform - 'twitter' or 'instagram'
+ * Get share menu selector configuration for a platform
+ * Named distinctly from post-detector's getSelectorConfig because content
+ * scripts share one global scope
+ * @param {string} platform - Registered platform identifier
  * @returns {Object|null} Selector configuration object
  */
-function getSelectorConfig(platform) {
-  return SHARE_MENU_SELECTORS[platform] || null;
+function getShareMenuConfig(platform) {
+  const definition = window.PlatformRegistry.getPlatform(platform);
+  return definition ? definition.shareMenu : null;
 }
 
 // Export functions
@@ -402,8 +353,7 @@ if (typeof module !== 'undefined' && module.exports) {
     observeShareMenus,
     findAssociatedPost,
     isShareMenu,
-    getSelectorConfig,
-    SHARE_MENU_SELECTORS
+    getSelectorConfig: getShareMenuConfig
   };
 }
 
@@ -413,7 +363,6 @@ if (typeof window !== 'undefined') {
     observeShareMenus,
     findAssociatedPost,
     isShareMenu,
-    getSelectorConfig,
-    SHARE_MENU_SELECTORS
+    getSelectorConfig: getShareMenuConfig
   };
 }
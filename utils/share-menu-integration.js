@@ -1,8 +1,15 @@
 /**
  * Share Menu Integration Module
- * Unified share menu logic for Twitter and Instagram
+ * Unified share menu logic for all registered platforms
  */
 
+// The platform registry, config and link converter are loaded ahead of this file by the manifest; under Node require them directly
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+  require('../config/config');
+  require('./link-converter');
+}
+
 /**
  * Get a unique identifier for a menu element (for logging and tracking)
  * @param {HTMLElement} menuElement - The menu element
@@ -23,7 +30,7 @@ function getMenuIdentifier(menuElement) {
 /**
  * Initialize share menu integration for a platform
  * @param {Object} config - Platform configuration
- * @param {string} config.platform - Platform name ('twitter' or 'instagram')
+ * @param {string} config.platform - Registered platform identifier (see config/platforms.js)
  * @param {string} config.platformKey - Config key for the platform
  * @param {Function} config.getConfig - Function to get current configuration
  * @returns {Promise<Object>} Integration controller with cleanup methods
@@ -32,8 +39,30 @@ async function initializeShareMenuIntegration(config) {
   const { platform, platformKey, getConfig } = config;
   
   let observer = null;
+  let postObserver = null;
   let currentConfig = null;
+  let pointerTarget = null;
   const processedMenus = new WeakSet();
+  let processedPosts = new WeakSet();
+  
+  /**
+   * Check if the platform is enabled in a configuration
+   * Configs stored before the platform was added have no entry for it
+   * @param {Object} config - Configuration object
+   * @returns {boolean} True if the platform is enabled
+   */
+  function isPlatformEnabled(config) {
+    return Boolean(config && config[platformKey] && config[platformKey].enabled);
+  }
+  
+  /**
+   * Check if inline per-post buttons are turned on in a configuration
+   * @param {Object} config - Configuration object
+   * @returns {boolean} True if the platform is enabled with inline buttons
+   */
+  function isInlineButtonEnabled(config) {
+    return isPlatformEnabled(config) && config[platformKey].inlineButton === true;
+  }
   
   /**
    * Handle share menu detection
@@ -79,7 +108,7 @@ async function initializeShareMenuIntegration(config) {
     
     try {
       // Check if platform redirect is enabled
-      if (!currentConfig || !currentConfig[platformKey].enabled) {
+      if (!isPlatformEnabled(currentConfig)) {
         window.Logger.log(`[${platform}-share-menu] ${platform} redirect is disabled, skipping injection`);
         return;
       }
@@ -100,123 +129,367 @@ async function initializeShareMenuIntegration(config) {
       
       window.Logger.log(`[${platform}-share-menu] Post URL extracted:`, postUrl);
       
-      // Get target hostname from config
-      const targetHostname = currentConfig[platformKey].targetHostname;
-      
-      // Create menu item
-      const menuItem = window.ShareMenuInjector.createEmbedLinkMenuItem(
-        postUrl,
-        targetHostname,
-        platform
-      );
+      // Get target hostnames from config, primary first then fallbacks
+      const platformConfig = currentConfig[platformKey];
+      const targetHostnames = window.HostHealth.getTargetHostnames(platformConfig);
       
-      if (!menuItem) {
-        console.error(`[${platform}-share-menu] Failed to create menu item`);
-        return;
-      }
+      // Menu items in the user-defined order
+      const itemConfigs = platformConfig.menuItems && platformConfig.menuItems.length > 0
+        ? platformConfig.menuItems
+        : window.PlatformRegistry.DEFAULT_MENU_ITEMS;
       
-      // Add click handler
-      menuItem.addEventListener('click', (event) => {
-        handleMenuItemClick(event, postUrl, targetHostname);
-      });
-      
-      // Add keyboard handler for accessibility
-      menuItem.addEventListener('keydown', (event) => {
-        if (event.key === 'Enter' || event.key === ' ') {
-          event.preventDefault();
-          handleMenuItemClick(event, postUrl, targetHostname);
+      const menuItems = [];
+      for (const itemConfig of itemConfigs) {
+        // Items with their own target hostname copy links for that host only
+        const itemHostnames = itemConfig.targetHostname ? [itemConfig.targetHostname] : targetHostnames;
+        const copyOptions = { postElement, format: itemConfig.format };
+        
+        // Create menu item
+        const menuItem = window.ShareMenuInjector.createEmbedLinkMenuItem(
+          postUrl,
+          itemHostnames[0],
+          platform,
+          { label: itemConfig.label, icon: itemConfig.icon }
+        );
+        
+        if (!menuItem) {
+          console.error(`[${platform}-share-menu] Failed to create menu item`);
+          return;
         }
-      });
+        
+        // Add click handler
+        menuItem.addEventListener('click', (event) => {
+          handleMenuItemClick(event, postUrl, itemHostnames, copyOptions);
+        });
+        
+        // Add keyboard handler for accessibility
+        menuItem.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            handleMenuItemClick(event, postUrl, itemHostnames, copyOptions);
+          }
+        });
+        
+        menuItems.push(menuItem);
+      }
       
-      // Inject menu item
-      const injected = window.ShareMenuInjector.injectMenuItem(menuItem, menuElement, platform);
+      // Inject menu items
+      const injected = window.ShareMenuInjector.injectMenuItems(menuItems, menuElement, platform);
       
       if (injected) {
-        window.Logger.log(`[${platform}-share-menu] Menu item injected successfully`, { menuId });
+        window.Logger.log(`[${platform}-share-menu] Menu items injected successfully`, { menuId, count: menuItems.length });
       } else {
-        window.Logger.warn(`[${platform}-share-menu] Failed to inject menu item`, { menuId });
+        window.Logger.warn(`[${platform}-share-menu] Failed to inject menu items`, { menuId });
       }
     } catch (error) {
       console.error(`[${platform}-share-menu] Error processing share menu:`, error);
     }
   }
   
+  /**
+   * Add an inline "Copy embed link" button to a post's action bar
+   * @param {HTMLElement} postElement - The detected post container
+   */
+  function handlePostDetected(postElement) {
+    // Posts are reported again as their content loads; a post is only marked as
+    // handled once its button is in place, so one that has no link or action bar
+    // yet is tried again on a later report
+    if (processedPosts.has(postElement)) {
+      return;
+    }
+    
+    // Skip posts without a link of their own (e.g. ads) or whose link has not loaded yet
+    if (!window.PostUrlExtractor.extractPostUrl(postElement, platform)) {
+      return;
+    }
+    
+    const button = window.ShareMenuInjector.createInlineButton(platform);
+    if (!button) {
+      return;
+    }
+    
+    const handleActivate = (event) => {
+      // The post itself navigates to its page when clicked
+      event.preventDefault();
+      event.stopPropagation();
+      
+      // Extract on click, timelines may reuse a post container for another post
+      const postUrl = window.PostUrlExtractor.extractPostUrl(postElement, platform);
+      if (!postUrl) {
+        window.FeedbackManager.showErrorFeedback(button, 'No link found', platform);
+        window.FeedbackManager.hideFeedbackAfterDelay(button, 2000);
+        return;
+      }
+      copyEmbedLink(button, postUrl, window.HostHealth.getTargetHostnames(currentConfig[platformKey]), { postElement });
+    };
+    
+    button.addEventListener('click', handleActivate);
+    button.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        handleActivate(event);
+      }
+    });
+    
+    if (window.ShareMenuInjector.injectInlineButton(button, postElement, platform)) {
+      processedPosts.add(postElement);
+    } else {
+      window.Logger.log(`[${platform}-share-menu] Could not add inline button to post yet`);
+    }
+  }
+  
+  /**
+   * Start or stop adding inline buttons to posts
+   * Turning them off removes the buttons already added
+   * @param {Object} config - Configuration object
+   */
+  function updateInlineButtons(config) {
+    if (!isInlineButtonEnabled(config) && postObserver) {
+      window.Logger.log(`[${platform}-share-menu] Inline buttons turned off, removing them`);
+      postObserver.disconnect();
+      postObserver = null;
+      document.querySelectorAll(`.embed-link-inline-button[data-platform="${platform}"]`).forEach(button => button.remove());
+      processedPosts = new WeakSet();
+    }
+    
+    if (isInlineButtonEnabled(config) && !postObserver) {
+      window.Logger.log(`[${platform}-share-menu] Inline buttons turned on, observing posts`);
+      postObserver = window.PostDetector.observePosts(platform, handlePostDetected);
+    }
+  }
+  
   /**
    * Handle menu item click
    * @param {Event} event - The click event
    * @param {string} postUrl - The original post URL
-   * @param {string} targetHostname - The target hostname for transformation
+   * @param {Array<string>} targetHostnames - Ordered target hostnames for transformation
+   * @param {Object} copyOptions - The post and the menu item's copy format (see copyEmbedLink)
    */
-  async function handleMenuItemClick(event, postUrl, targetHostname) {
+  async function handleMenuItemClick(event, postUrl, targetHostnames, copyOptions) {
     window.Logger.log(`[${platform}-share-menu] Menu item clicked`);
     
-    const menuItem = event.currentTarget;
-    
+    await copyEmbedLink(event.currentTarget, postUrl, targetHostnames, copyOptions);
+  }
+  
+  /**
+   * Transform a post URL, copy it in the chosen format and show the outcome on an element
+   * @param {HTMLElement} feedbackTarget - Element that shows the feedback (menu item, inline button or feedback overlay)
+   * @param {string} postUrl - The original post URL
+   * @param {Array<string>} targetHostnames - Ordered target hostnames for transformation
+   * @param {Object} [copyOptions] - How to copy the link
+   * @param {HTMLElement} [copyOptions.postElement] - The post, whose author and text formatted copies quote
+   * @param {string} [copyOptions.format] - Copy format overriding the platform's (see Config.COPY_FORMATS)
+   * @returns {Promise<boolean>} True if the link was copied
+   */
+  async function copyEmbedLink(feedbackTarget, postUrl, targetHostnames, copyOptions = {}) {
     try {
-      // Transform URL
-      const transformedUrl = window.UrlTransformer.transformUrl(postUrl, targetHostname);
+      // Use the first target hostname the background health probe has not marked as down
+      const targetHostname = await window.HostHealth.resolveTargetHostname(targetHostnames);
+      
+      // Transform URL with the platform's rewrite rules, translation and query policy,
+      // the same way as the popup, the context menu and the options page preview
+      const transformedUrl = window.LinkConverter.transformPostUrl(
+        postUrl,
+        platformKey,
+        currentConfig[platformKey],
+        targetHostname
+      );
       
       if (!transformedUrl) {
         console.error(`[${platform}-share-menu] URL transformation failed`);
-        window.FeedbackManager.showErrorFeedback(menuItem, 'Failed to transform URL', platform);
-        window.FeedbackManager.hideFeedbackAfterDelay(menuItem, 2000);
-        return;
+        window.FeedbackManager.showErrorFeedback(feedbackTarget, 'Failed to transform URL', platform);
+        window.FeedbackManager.hideFeedbackAfterDelay(feedbackTarget, 2000);
+        return false;
       }
       
       window.Logger.log(`[${platform}-share-menu] URL transformed:`, transformedUrl);
       
-      // Copy to clipboard using clipboard manager
-      const success = await window.ClipboardManager.copyToClipboard(transformedUrl);
+      // Copy to clipboard using clipboard manager, in the menu item's or the platform's format
+      const format = copyOptions.format || currentConfig[platformKey].copyFormat || 'url';
+      const success = format === 'url'
+        ? await window.ClipboardManager.copyToClipboard(transformedUrl)
+        : await copyFormattedLink(format, transformedUrl, postUrl, copyOptions.postElement);
       
       if (success) {
         window.Logger.log(`[${platform}-share-menu] URL copied to clipboard`);
-        window.FeedbackManager.showSuccessFeedback(menuItem, platform);
-        window.FeedbackManager.hideFeedbackAfterDelay(menuItem, 2000);
+        window.FeedbackManager.showSuccessFeedback(feedbackTarget, platform);
+        window.FeedbackManager.hideFeedbackAfterDelay(feedbackTarget, 2000);
+        recordCopy(postUrl, transformedUrl);
       } else {
         console.error(`[${platform}-share-menu] Clipboard copy failed`);
-        window.FeedbackManager.showErrorFeedback(menuItem, 'Copy failed', platform);
-        window.FeedbackManager.hideFeedbackAfterDelay(menuItem, 2000);
+        window.FeedbackManager.showErrorFeedback(feedbackTarget, 'Copy failed', platform);
+        window.FeedbackManager.hideFeedbackAfterDelay(feedbackTarget, 2000);
       }
+      return success;
     } catch (error) {
-      console.error(`[${platform}-share-menu] Error handling menu item click:`, error);
-      window.FeedbackManager.showErrorFeedback(menuItem, 'Error', platform);
-      window.FeedbackManager.hideFeedbackAfterDelay(menuItem, 2000);
+      console.error(`[${platform}-share-menu] Error copying embed link:`, error);
+      window.FeedbackManager.showErrorFeedback(feedbackTarget, 'Error', platform);
+      window.FeedbackManager.hideFeedbackAfterDelay(feedbackTarget, 2000);
+      return false;
     }
   }
   
   /**
-   * Handle configuration updates
-   * @param {Object} changes - Storage changes object
-   * @param {string} areaName - Storage area name
+   * Copy an embed link rendered in a format that quotes the post's author and text
+   * @param {string} format - Copy format (see Config.COPY_FORMATS)
+   * @param {string} transformedUrl - The embed link
+   * @param {string} postUrl - The original post URL
+   * @param {HTMLElement} [postElement] - The post container
+   * @returns {Promise<boolean>} True if the link was copied
    */
-  function handleConfigUpdate(changes, areaName) {
-    if (areaName !== 'sync' || !changes.config) {
+  async function copyFormattedLink(format, transformedUrl, postUrl, postElement) {
+    const details = window.PostUrlExtractor.extractPostDetails(postElement || null, postUrl, platform);
+    const { text, html } = window.CopyFormats.renderCopyFormat(format, { url: transformedUrl, ...details });
+    
+    window.Logger.log(`[${platform}-share-menu] Copying as ${format}:`, text);
+    return window.ClipboardManager.copyToClipboard(text, html);
+  }
+  
+  /**
+   * Add a copied embed link to the popup's copy history through the background script
+   * A failure is only logged, the link has been copied either way
+   * @param {string} postUrl - The original post URL
+   * @param {string} transformedUrl - The copied embed link
+   */
+  async function recordCopy(postUrl, transformedUrl) {
+    if (currentConfig.keepCopyHistory === false) {
       return;
     }
     
-    window.Logger.log(`[${platform}-share-menu] Configuration updated`);
+    try {
+      await browser.runtime.sendMessage({
+        action: 'recordCopy',
+        copy: { originalUrl: postUrl, transformedUrl, platform, timestamp: Date.now() }
+      });
+    } catch (error) {
+      window.Logger.warn(`[${platform}-share-menu] Could not record copy in history:`, error.message);
+    }
+  }
+  
+  /**
+   * Remember the element under the cursor for the keyboard shortcut
+   * @param {MouseEvent} event - The mouseover event
+   */
+  function handlePointerOver(event) {
+    pointerTarget = event.target;
+  }
+  
+  /**
+   * Find the post the keyboard shortcut applies to
+   * The post containing the keyboard focus wins over the one under the cursor
+   * @returns {HTMLElement|null} The post container, or null if neither is inside a post
+   */
+  function findTargetPost() {
+    const posts = window.PostDetector.findPostContainers(platform);
+    const candidates = [document.activeElement, pointerTarget];
     
-    const newConfig = changes.config.newValue;
+    for (const candidate of candidates) {
+      if (candidate && candidate !== document.body) {
+        const post = posts.find(postElement => postElement.contains(candidate));
+        if (post) {
+          return post;
+        }
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Get the element that shows the outcome of a keyboard shortcut copy
+   * The post's inline button shows it if it has one, otherwise an overlay over the
+   * post does, so nothing is added to the site's post layout
+   * @param {HTMLElement} postElement - The post
+   * @returns {HTMLElement} The inline button or the feedback overlay
+   */
+  function getPostFeedbackTarget(postElement) {
+    const inlineButton = postElement.querySelector(`.embed-link-inline-button[data-platform="${platform}"]`);
+    return inlineButton || window.FeedbackManager.createFeedbackOverlay(postElement);
+  }
+  
+  /**
+   * Copy the embed link of the focused or hovered post (keyboard shortcut)
+   * @returns {Promise<Object>} { success, error } reported back to the background script
+   */
+  async function copyTargetPostLink() {
+    if (!isPlatformEnabled(currentConfig)) {
+      return { success: false, error: `${platform} is disabled` };
+    }
     
-    if (!newConfig) {
-      return;
+    const postElement = findTargetPost();
+    if (!postElement) {
+      window.Logger.warn(`[${platform}-share-menu] No post under the cursor or keyboard focus`);
+      return { success: false, error: 'No post under the cursor or keyboard focus' };
+    }
+    
+    const postUrl = window.PostUrlExtractor.extractPostUrl(postElement, platform);
+    if (!postUrl) {
+      window.Logger.warn(`[${platform}-share-menu] Could not extract post URL`);
+      const feedbackTarget = getPostFeedbackTarget(postElement);
+      window.FeedbackManager.showErrorFeedback(feedbackTarget, 'No link found', platform);
+      window.FeedbackManager.hideFeedbackAfterDelay(feedbackTarget, 2000);
+      return { success: false, error: 'Could not extract post URL' };
     }
     
+    window.Logger.log(`[${platform}-share-menu] Copying embed link from keyboard shortcut:`, postUrl);
+    const targetHostnames = window.HostHealth.getTargetHostnames(currentConfig[platformKey]);
+    const success = await copyEmbedLink(getPostFeedbackTarget(postElement), postUrl, targetHostnames, { postElement });
+    return success ? { success: true } : { success: false, error: 'Copy failed' };
+  }
+  
+  /**
+   * Handle messages from the background script
+   * @param {Object} message - The message
+   * @returns {Promise<Object>|undefined} The response, or undefined for other messages
+   */
+  function handleRuntimeMessage(message) {
+    if (message && message.action === 'copyFocusedPost') {
+      return copyTargetPostLink();
+    }
+    return undefined;
+  }
+  
+  /**
+   * Use a new configuration, starting or stopping the observer when the platform was toggled
+   * @param {Object} newConfig - Configuration object
+   */
+  function applyConfig(newConfig) {
     // Update current config
     currentConfig = newConfig;
     
     // If platform redirect was disabled, stop observing
-    if (!newConfig[platformKey].enabled && observer) {
+    if (!isPlatformEnabled(newConfig) && observer) {
       window.Logger.log(`[${platform}-share-menu] ${platform} redirect disabled, stopping observer`);
       observer.disconnect();
       observer = null;
     }
     
     // If platform redirect was enabled, start observing
-    if (newConfig[platformKey].enabled && !observer) {
+    if (isPlatformEnabled(newConfig) && !observer) {
       window.Logger.log(`[${platform}-share-menu] ${platform} redirect enabled, starting observer`);
       observer = window.ShareMenuDetector.observeShareMenus(platform, handleShareMenuDetected);
     }
+    
+    updateInlineButtons(newConfig);
+  }
+  
+  /**
+   * Handle configuration updates
+   * The configuration is read again rather than taken from the change, so it is
+   * migrated, validated and merged with the organization policy like on load
+   * @param {Object} changes - Storage changes object
+   * @param {string} areaName - Storage area name
+   */
+  function handleConfigUpdate(changes, areaName) {
+    if (!changes.config || (areaName !== 'sync' && areaName !== 'managed')) {
+      return;
+    }
+    
+    window.Logger.log(`[${platform}-share-menu] ${areaName === 'managed' ? 'Managed policy' : 'Configuration'} updated`);
+    
+    getConfig()
+      .then(applyConfig)
+      .catch(error => {
+        window.Logger.error(`[${platform}-share-menu] Error reloading configuration:`, error);
+      });
   }
   
   try {
@@ -249,22 +522,37 @@ async function initializeShareMenuIntegration(config) {
     if (!window.ClipboardManager) {
       window.Logger.error(`[${platform}-share-menu] ClipboardManager not loaded!`);
     }
+    if (!window.HostHealth) {
+      window.Logger.error(`[${platform}-share-menu] HostHealth not loaded!`);
+    }
+    if (!window.PostDetector) {
+      window.Logger.error(`[${platform}-share-menu] PostDetector not loaded!`);
+    }
+    if (!window.CopyFormats) {
+      window.Logger.error(`[${platform}-share-menu] CopyFormats not loaded!`);
+    }
     
-    // Check if platform redirect is enabled
-    if (!currentConfig[platformKey].enabled) {
-      window.Logger.log(`[${platform}-share-menu] ${platform} redirect is disabled, not initializing`);
-      return {
-        cleanup: () => {},
-        isActive: () => false
-      };
+    // Start observing share menus if platform redirect is enabled
+    if (isPlatformEnabled(currentConfig)) {
+      observer = window.ShareMenuDetector.observeShareMenus(platform, handleShareMenuDetected);
+    } else {
+      window.Logger.log(`[${platform}-share-menu] ${platform} redirect is disabled, waiting until it is enabled`);
     }
     
-    // Start observing share menus
-    observer = window.ShareMenuDetector.observeShareMenus(platform, handleShareMenuDetected);
+    // Optional inline buttons in each post's action bar
+    updateInlineButtons(currentConfig);
     
-    // Listen for configuration updates
+    // Listen for configuration updates, also while disabled so the platform
+    // can be turned back on without reloading the page
     browser.storage.onChanged.addListener(handleConfigUpdate);
     
+    // Keyboard shortcut: the background script asks for the post under the
+    // cursor or keyboard focus
+    document.addEventListener('mouseover', handlePointerOver, { passive: true });
+    if (browser.runtime && browser.runtime.onMessage) {
+      browser.runtime.onMessage.addListener(handleRuntimeMessage);
+    }
+    
     window.Logger.log(`[${platform}-share-menu] Initialization complete`);
     
     // Return integration controller
@@ -274,7 +562,15 @@ async function initializeShareMenuIntegration(config) {
           observer.disconnect();
           observer = null;
         }
+        if (postObserver) {
+          postObserver.disconnect();
+          postObserver = null;
+        }
         browser.storage.onChanged.removeListener(handleConfigUpdate);
+        document.removeEventListener('mouseover', handlePointerOver);
+        if (browser.runtime && browser.runtime.onMessage) {
+          browser.runtime.onMessage.removeListener(handleRuntimeMessage);
+        }
       },
       isActive: () => observer !== null
     };
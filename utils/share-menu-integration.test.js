@@ -5,6 +5,7 @@
 
 const fc = require('fast-check');
 const { initializeShareMenuIntegration, getMenuIdentifier } = require('./share-menu-integration');
+const { getTargetHostnames } = require('./host-health');
 
 describe('Share Menu Integration', () => {
   
@@ -54,11 +55,12 @@ describe('Share Menu Integration', () => {
       
       global.window.ShareMenuInjector = {
         createEmbedLinkMenuItem: jest.fn().mockReturnValue(null),
-        injectMenuItem: jest.fn().mockReturnValue(false)
+        injectMenuItems: jest.fn().mockReturnValue(false)
       };
       
       global.window.PostUrlExtractor = {
-        extractPostUrl: jest.fn().mockReturnValue(null)
+        extractPostUrl: jest.fn().mockReturnValue(null),
+        normalizePostUrl: jest.fn(url => url)
       };
       
       global.window.UrlTransformer = {
@@ -71,6 +73,11 @@ describe('Share Menu Integration', () => {
         hideFeedbackAfterDelay: jest.fn()
       };
       
+      global.window.HostHealth = {
+        getTargetHostnames,
+        resolveTargetHostname: jest.fn(async hostnames => hostnames[0])
+      };
+      
       global.window.ClipboardManager = {
         copyToClipboard: jest.fn().mockResolvedValue(true)
       };
@@ -144,18 +151,14 @@ describe('Share Menu Integration', () => {
               expect(integration.isActive()).toBe(false);
             }
             
-            // Verify storage listener was added (if enabled)
-            if (enabled) {
-              expect(browser.storage.onChanged.addListener).toHaveBeenCalled();
-            }
+            // Verify storage listener was added, also while disabled
+            expect(browser.storage.onChanged.addListener).toHaveBeenCalled();
             
             // Test cleanup
             integration.cleanup();
             
             // Verify cleanup removes listener
-            if (enabled) {
-              expect(browser.storage.onChanged.removeListener).toHaveBeenCalled();
-            }
+            expect(browser.storage.onChanged.removeListener).toHaveBeenCalled();
             
             return true;
           }
@@ -242,10 +245,13 @@ describe('Share Menu Integration', () => {
               getConfig
             });
             
-            // Get the config update handler that was registered
-            const configUpdateHandler = browser.storage.onChanged.addListener.mock.calls[0]?.[0];
+            // Get the config update handler registered by this integration;
+            // disabled integrations listen too so they can be turned back on
+            const listenerCalls = browser.storage.onChanged.addListener.mock.calls;
+            const configUpdateHandler = listenerCalls[listenerCalls.length - 1]?.[0];
+            expect(configUpdateHandler).toBeDefined();
             
-            if (configUpdateHandler && initialEnabled) {
+            if (configUpdateHandler) {
               // Simulate config update
               const newConfig = {
                 twitter: {
@@ -268,8 +274,10 @@ describe('Share Menu Integration', () => {
               // Clear previous calls
               jest.clearAllMocks();
               
-              // Trigger config update
+              // Trigger config update; the handler re-reads the config
+              getConfig.mockResolvedValue(newConfig);
               configUpdateHandler(changes, 'sync');
+              await new Promise(resolve => setTimeout(resolve, 0));
               
               // If state changed from enabled to disabled, observer should be disconnected
               if (initialEnabled && !newEnabled) {
@@ -346,11 +354,12 @@ describe('Share Menu Integration', () => {
             
             window.ShareMenuInjector = {
               createEmbedLinkMenuItem: jest.fn(),
-              injectMenuItem: jest.fn().mockReturnValue(true)
+              injectMenuItems: jest.fn().mockReturnValue(true)
             };
             
             window.PostUrlExtractor = {
-              extractPostUrl: jest.fn()
+              extractPostUrl: jest.fn(),
+              normalizePostUrl: jest.fn(url => url)
             };
             
             window.UrlTransformer = {
@@ -407,7 +416,8 @@ describe('Share Menu Integration', () => {
               expect(window.ShareMenuInjector.createEmbedLinkMenuItem).toHaveBeenCalledWith(
                 postUrl,
                 targetHostname,
-                platform
+                platform,
+                { label: 'Copy embed link', icon: 'link' }
               );
               
               // Simulate click on menu item
@@ -427,7 +437,12 @@ describe('Share Menu Integration', () => {
                 // Verify URL was transformed
                 expect(window.UrlTransformer.transformUrl).toHaveBeenCalledWith(
                   postUrl,
-                  mockConfig[platformKey].targetHostname
+                  mockConfig[platformKey].targetHostname,
+                  {
+                    queryPolicy: mockConfig[platformKey].queryPolicy,
+                    rewriteRules: mockConfig[platformKey].rewriteRules,
+                    translateTo: mockConfig[platformKey].translateTo
+                  }
                 );
                 
                 // Verify clipboard manager was called
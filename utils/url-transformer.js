@@ -3,47 +3,64 @@
  * Handles URL parsing, hostname replacement, and validation
  */
 
+// Load the platform registry and configuration module when running under Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  require('../config/platforms');
+  require('../config/config');
+}
+
+// Query parameters platforms and campaigns add to shared links to track them
+const TRACKING_PARAMETERS = [
+  's', 't', 'si', 'igsh', 'igshid', 'ref', 'ref_src', 'ref_url', 'share_id',
+  'is_from_webapp', 'sender_device', 'web_id', 'fbclid', 'gclid'
+];
+const TRACKING_PARAMETER_PREFIXES = ['utm_'];
+
 /**
- * Validate a hostname string
- * Ensures hostname doesn't contain protocol, paths, or invalid characters
- * @param {string} hostname - The hostname to validate
- * @returns {boolean} True if valid, false otherwise
+ * Check if a query parameter is a known tracking parameter
+ * @param {string} name - The parameter name
+ * @returns {boolean} True if the parameter only serves tracking
  */
-function validateHostname(hostname) {
-  if (!hostname || typeof hostname !== 'string') {
-    return false;
-  }
+function isTrackingParameter(name) {
+  const lowerName = name.toLowerCase();
+  return TRACKING_PARAMETERS.includes(lowerName) ||
+    TRACKING_PARAMETER_PREFIXES.some(prefix => lowerName.startsWith(prefix));
+}
 
-  // Trim whitespace
-  hostname = hostname.trim();
+/**
+ * Apply a query policy to a URL's query string
+ * - keep-all: keep the query string verbatim
+ * - strip-all: drop the query string
+ * - strip-tracking: drop known tracking parameters, keep the rest
+ * - allowlist: keep only the listed parameters
+ * @param {string} search - The query string, including the leading "?" (or empty)
+ * @param {Object} [queryPolicy] - Policy: { mode, allowlist }; keeps everything when omitted
+ * @returns {string} The sanitized query string, including the leading "?" (or empty)
+ */
+function applyQueryPolicy(search, queryPolicy) {
+  const mode = queryPolicy ? queryPolicy.mode : 'keep-all';
 
-  // Check if empty after trimming
-  if (hostname.length === 0) {
-    return false;
+  if (!search || mode === 'keep-all') {
+    return search || '';
   }
 
-  // Check for protocol (http://, https://, etc.)
-  if (hostname.includes('://')) {
-    return false;
+  if (mode === 'strip-all') {
+    return '';
   }
 
-  // Check for path separators
-  if (hostname.includes('/')) {
-    return false;
-  }
+  const params = new URLSearchParams(search);
+  const keptParams = new URLSearchParams();
+  const allowlist = queryPolicy.allowlist || [];
 
-  // Check for invalid characters (spaces, special chars except dots and hyphens)
-  const validHostnameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?)*$/;
-  if (!validHostnameRegex.test(hostname)) {
-    return false;
+  for (const [name, value] of params) {
+    const keep = mode === 'allowlist' ? allowlist.includes(name) : !isTrackingParameter(name);
+    if (keep) {
+      keptParams.append(name, value);
+    }
   }
 
-  // Check for consecutive dots
-  if (hostname.includes('..')) {
-    return false;
-  }
-
-  return true;
+  const query = keptParams.toString();
+  return query ? `?${query}` : '';
 }
 
 /**
@@ -68,15 +85,87 @@ function parseUrl(urlString) {
   }
 }
 
+/**
+ * Find the first rewrite rule whose pattern matches a URL path
+ * A rule is { match, hostname?, path?, query? }: match is a regular expression
+ * source tested against the pathname, the others are templates (see expandRewriteTemplate)
+ * @param {Array<Object>} rewriteRules - Rewrite rules, in priority order
+ * @param {string} pathname - The URL path to match
+ * @returns {Object|null} { rule, match } or null if no rule matches
+ */
+function findRewriteRule(rewriteRules, pathname) {
+  for (const rule of rewriteRules || []) {
+    let pattern;
+    try {
+      pattern = new RegExp(rule.match);
+    } catch (error) {
+      console.warn('[url-transformer] Skipping rewrite rule with invalid pattern:', rule.match);
+      continue;
+    }
+
+    const match = pathname.match(pattern);
+    if (match) {
+      return { rule, match };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Expand a rewrite template
+ * $1-$99 and $<name> insert groups captured by the rule's pattern, {hostname}
+ * inserts the selected target hostname and $$ inserts a literal dollar sign.
+ * Groups that did not participate in the match expand to an empty string
+ * @param {string} template - The template to expand
+ * @param {Array} match - Result of matching the rule's pattern
+ * @param {string} targetHostname - The selected target hostname
+ * @returns {string} The expanded template
+ */
+function expandRewriteTemplate(template, match, targetHostname) {
+  return template.replace(/\$\$|\$(\d{1,2})|\$<([A-Za-z_][A-Za-z0-9_]*)>|\{hostname\}/g, (token, index, name) => {
+    if (token === '$$') {
+      return '$';
+    }
+    if (token === '{hostname}') {
+      return targetHostname;
+    }
+    const value = index !== undefined ? match[Number(index)] : (match.groups || {})[name];
+    return value || '';
+  });
+}
+
+/**
+ * Check if an embed-fixer host translates embeds when a language code is
+ * appended to the path
+ * @param {string} hostname - The target hostname
+ * @returns {boolean} True if a registered platform lists the host as supporting translation
+ */
+function supportsTranslation(hostname) {
+  const normalized = hostname.toLowerCase();
+  return PlatformRegistry.getPlatformIds().some(platformId => {
+    const { translationHostnames } = PlatformRegistry.getPlatform(platformId);
+    return Array.isArray(translationHostnames) && translationHostnames.includes(normalized);
+  });
+}
+
 /**
  * Transform a URL by replacing its hostname while preserving all other components
+ * The first matching rewrite rule may also change the hostname, path and query,
+ * a language suffix is appended for hosts that translate embeds, and the query
+ * string is then sanitized according to the platform's query policy
  * @param {string} originalUrl - The original URL to transform
  * @param {string} targetHostname - The new hostname to use
+ * @param {Object} [options] - Transformation options
+ * @param {Object} [options.queryPolicy] - Query policy ({ mode, allowlist }); keeps the query when omitted
+ * @param {Array<Object>} [options.rewriteRules] - Rewrite rules ({ match, hostname, path, query }), in priority order
+ * @param {string} [options.translateTo] - Language code to translate the embed to (e.g. 'en'); ignored with a
+ *   warning when the resulting host does not support translation
  * @returns {string|null} The transformed URL or null if transformation fails
  */
-function transformUrl(originalUrl, targetHostname) {
+function transformUrl(originalUrl, targetHostname, options = {}) {
   // Validate target hostname
-  if (!validateHostname(targetHostname)) {
+  if (!Config.validateHostname(targetHostname)) {
     console.error('Invalid target hostname:', targetHostname);
     return null;
   }
@@ -87,8 +176,45 @@ function transformUrl(originalUrl, targetHostname) {
     return null;
   }
 
+  let hostname = targetHostname;
+  let pathname = urlComponents.pathname;
+  let search = urlComponents.search;
+
+  // Apply the first matching rewrite rule
+  const rewrite = findRewriteRule(options.rewriteRules, pathname);
+  if (rewrite) {
+    const { rule, match } = rewrite;
+
+    if (rule.hostname !== undefined) {
+      hostname = expandRewriteTemplate(rule.hostname, match, targetHostname);
+      if (!Config.validateHostname(hostname)) {
+        console.error('Invalid rewritten hostname:', hostname);
+        return null;
+      }
+    }
+    if (rule.path !== undefined) {
+      pathname = expandRewriteTemplate(rule.path, match, targetHostname);
+      if (!pathname.startsWith('/')) {
+        pathname = `/${pathname}`;
+      }
+    }
+    if (rule.query !== undefined) {
+      const query = expandRewriteTemplate(rule.query, match, targetHostname);
+      search = query ? `?${query}` : '';
+    }
+  }
+
+  // Append the translation language suffix (e.g. /en) for hosts that support it
+  if (options.translateTo) {
+    if (supportsTranslation(hostname)) {
+      pathname = `${pathname.replace(/\/+$/, '')}/${options.translateTo.toLowerCase()}`;
+    } else {
+      console.warn(`[url-transformer] ${hostname} does not support translation, ignoring "${options.translateTo}"`);
+    }
+  }
+
   // Reconstruct URL with new hostname, preserving all other components
-  let transformedUrl = `${urlComponents.protocol}//${targetHostname}`;
+  let transformedUrl = `${urlComponents.protocol}//${hostname}`;
   
   // Add port if present
   if (urlComponents.port) {
@@ -96,15 +222,14 @@ function transformUrl(originalUrl, targetHostname) {
   }
   
   // Add pathname (always present, defaults to '/')
-  transformedUrl += urlComponents.pathname;
+  transformedUrl += pathname;
   
-  // Add search/query parameters if present
-  if (urlComponents.search) {
-    transformedUrl += urlComponents.search;
-  }
+  // Add search/query parameters allowed by the query policy
+  transformedUrl += applyQueryPolicy(search, options.queryPolicy);
   
-  // Add hash fragment if present
-  if (urlComponents.hash) {
+  // Add hash fragment if present (stripped together with the whole query)
+  const stripAll = options.queryPolicy && options.queryPolicy.mode === 'strip-all';
+  if (urlComponents.hash && !stripAll) {
     transformedUrl += urlComponents.hash;
   }
 
@@ -112,31 +237,38 @@ function transformUrl(originalUrl, targetHostname) {
 }
 
 /**
- * Check if a URL matches Twitter/X pattern
+ * Check if a URL is on one of a platform's page hosts
  * @param {string} urlString - The URL to check
- * @returns {boolean} True if URL matches Twitter/X pattern
+ * @param {string} platform - Registered platform identifier
+ * @returns {boolean} True if the URL's hostname belongs to the platform
  */
-function isTwitterUrl(urlString) {
+function isPlatformUrl(urlString, platform) {
   try {
     const url = new URL(urlString);
-    return url.hostname === 'x.com' || url.hostname === 'www.x.com';
+    const definition = PlatformRegistry.findPlatformByHostname(url.hostname);
+    return definition !== null && definition.id === platform;
   } catch (error) {
     return false;
   }
 }
 
+/**
+ * Check if a URL matches Twitter/X pattern
+ * Accepts every Twitter/X host form (x.com, twitter.com, mobile.x.com, ...)
+ * @param {string} urlString - The URL to check
+ * @returns {boolean} True if URL matches Twitter/X pattern
+ */
+function isTwitterUrl(urlString) {
+  return isPlatformUrl(urlString, 'twitter');
+}
+
 /**
  * Check if a URL matches Instagram pattern
  * @param {string} urlString - The URL to check
  * @returns {boolean} True if URL matches Instagram pattern
  */
 function isInstagramUrl(urlString) {
-  try {
-    const url = new URL(urlString);
-    return url.hostname === 'www.instagram.com' || url.hostname === 'instagram.com';
-  } catch (error) {
-    return false;
-  }
+  return isPlatformUrl(urlString, 'instagram');
 }
 
 /**
@@ -152,21 +284,54 @@ function shouldInjectButton(urlString) {
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js/CommonJS environment (for testing)
   module.exports = {
-    validateHostname,
+    TRACKING_PARAMETERS,
+    // Hostname validation is shared with the configuration module
+    validateHostname: window.Config.validateHostname,
     parseUrl,
+    isTrackingParameter,
+    applyQueryPolicy,
+    findRewriteRule,
+    expandRewriteTemplate,
+    supportsTranslation,
     transformUrl,
+    isPlatformUrl,
     isTwitterUrl,
     isInstagramUrl,
     shouldInjectButton
   };
 }
 
-// Expose to window for browser extension content scripts
+// Expose to window for content scripts and extension pages, or to the service worker global scope
 if (typeof window !== 'undefined') {
   window.UrlTransformer = {
-    validateHostname,
+    TRACKING_PARAMETERS,
+    // Hostname validation is shared with the configuration module
+    validateHostname: window.Config.validateHostname,
+    parseUrl,
+    isTrackingParameter,
+    applyQueryPolicy,
+    findRewriteRule,
+    expandRewriteTemplate,
+    supportsTranslation,
+    transformUrl,
+    isPlatformUrl,
+    isTwitterUrl,
+    isInstagramUrl,
+    shouldInjectButton
+  };
+} else if (typeof self !== 'undefined') {
+  self.UrlTransformer = {
+    TRACKING_PARAMETERS,
+    // Hostname validation is shared with the configuration module
+    validateHostname: self.Config.validateHostname,
     parseUrl,
+    isTrackingParameter,
+    applyQueryPolicy,
+    findRewriteRule,
+    expandRewriteTemplate,
+    supportsTranslation,
     transformUrl,
+    isPlatformUrl,
     isTwitterUrl,
     isInstagramUrl,
     shouldInjectButton
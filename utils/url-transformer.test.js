@@ -10,8 +10,14 @@ const {
   transformUrl,
   isTwitterUrl,
   isInstagramUrl,
-  shouldInjectButton
+  shouldInjectButton,
+  isTrackingParameter,
+  applyQueryPolicy,
+  findRewriteRule,
+  expandRewriteTemplate,
+  supportsTranslation
 } = require('./url-transformer');
+const { getDefaultConfig, validateConfig, validateRewriteRules, validateLanguageCode } = require('../config/config');
 
 describe('URL Transformer', () => {
   
@@ -145,6 +151,13 @@ describe('URL Transformer', () => {
         expect(result).toBe('https://fixvx.com:8080/path');
       });
 
+      test('rewrites every Twitter/X host form to the same link', () => {
+        const hosts = ['x.com', 'www.x.com', 'mobile.x.com', 'twitter.com', 'www.twitter.com', 'mobile.twitter.com'];
+        for (const host of hosts) {
+          expect(transformUrl(`https://${host}/user/status/123`, 'fixvx.com')).toBe('https://fixvx.com/user/status/123');
+        }
+      });
+
       test('preserves all components', () => {
         const result = transformUrl('https://x.com:8080/path?q=1#hash', 'fixvx.com');
         expect(result).toBe('https://fixvx.com:8080/path?q=1#hash');
@@ -161,6 +174,173 @@ describe('URL Transformer', () => {
       });
     });
 
+    describe('query policies', () => {
+      const url = 'https://x.com/user/status/123?s=20&t=abc&lang=en&utm_source=share#m';
+
+      test('keeps the query and hash when no policy is given', () => {
+        expect(transformUrl(url, 'fixvx.com')).toBe('https://fixvx.com/user/status/123?s=20&t=abc&lang=en&utm_source=share#m');
+      });
+
+      test('keep-all keeps every parameter', () => {
+        expect(transformUrl(url, 'fixvx.com', { queryPolicy: { mode: 'keep-all' } }))
+          .toBe('https://fixvx.com/user/status/123?s=20&t=abc&lang=en&utm_source=share#m');
+      });
+
+      test('strip-all removes the query and hash', () => {
+        expect(transformUrl(url, 'fixvx.com', { queryPolicy: { mode: 'strip-all' } }))
+          .toBe('https://fixvx.com/user/status/123');
+      });
+
+      test('strip-tracking removes known tracking parameters only', () => {
+        expect(transformUrl(url, 'fixvx.com', { queryPolicy: { mode: 'strip-tracking' } }))
+          .toBe('https://fixvx.com/user/status/123?lang=en#m');
+        expect(transformUrl('https://www.instagram.com/p/abc/?igsh=xyz&UTM_Medium=a', 'kkinstagram.com', {
+          queryPolicy: { mode: 'strip-tracking' }
+        })).toBe('https://kkinstagram.com/p/abc/');
+      });
+
+      test('allowlist keeps only the listed parameters', () => {
+        expect(transformUrl(url, 'fixvx.com', { queryPolicy: { mode: 'allowlist', allowlist: ['lang', 't'] } }))
+          .toBe('https://fixvx.com/user/status/123?t=abc&lang=en#m');
+        expect(transformUrl(url, 'fixvx.com', { queryPolicy: { mode: 'allowlist', allowlist: [] } }))
+          .toBe('https://fixvx.com/user/status/123#m');
+      });
+
+      test('isTrackingParameter matches listed names and prefixes case-insensitively', () => {
+        expect(isTrackingParameter('igshid')).toBe(true);
+        expect(isTrackingParameter('utm_campaign')).toBe(true);
+        expect(isTrackingParameter('SI')).toBe(true);
+        expect(isTrackingParameter('lang')).toBe(false);
+      });
+
+      test('applyQueryPolicy returns an empty string when nothing is left', () => {
+        expect(applyQueryPolicy('?s=20', { mode: 'strip-tracking' })).toBe('');
+        expect(applyQueryPolicy('', { mode: 'keep-all' })).toBe('');
+      });
+
+      test('config defaults to strip-tracking and rejects unknown policies', () => {
+        const config = getDefaultConfig();
+        expect(config.twitter.queryPolicy).toEqual({ mode: 'strip-tracking', allowlist: [] });
+        expect(validateConfig({ ...config, twitter: { ...config.twitter, queryPolicy: { mode: 'strip-some' } } })).toBe(false);
+        expect(validateConfig({
+          ...config,
+          twitter: { ...config.twitter, queryPolicy: { mode: 'allowlist', allowlist: ['a b'] } }
+        })).toBe(false);
+        expect(validateConfig({
+          ...config,
+          twitter: { ...config.twitter, queryPolicy: { mode: 'allowlist', allowlist: ['lang'] } }
+        })).toBe(true);
+      });
+    });
+
+    describe('rewrite rules', () => {
+      const tweetUrl = 'https://x.com/user/status/123?s=20';
+
+      test('appends a path suffix using captured groups', () => {
+        const rewriteRules = [{ match: '^/([^/]+)/status/(\\d+)$', path: '/$1/status/$2/photo/1' }];
+        expect(transformUrl(tweetUrl, 'fixvx.com', { rewriteRules })).toBe('https://fixvx.com/user/status/123/photo/1?s=20');
+      });
+
+      test('derives the hostname from the selected target host', () => {
+        const rewriteRules = [{ match: '^/[^/]+/status/\\d+', hostname: 'd.{hostname}' }];
+        expect(transformUrl(tweetUrl, 'fixvx.com', { rewriteRules })).toBe('https://d.fixvx.com/user/status/123?s=20');
+      });
+
+      test('rewrites Instagram reels to posts with named groups', () => {
+        const rewriteRules = [{ match: '^/reels?/(?<code>[^/]+)', path: '/p/$<code>/' }];
+        expect(transformUrl('https://www.instagram.com/reel/abc123/', 'kkinstagram.com', { rewriteRules }))
+          .toBe('https://kkinstagram.com/p/abc123/');
+      });
+
+      test('replaces the query before the query policy is applied', () => {
+        const rewriteRules = [{ match: '^/([^/]+)/status/(\\d+)', query: 'lang=en&s=$2' }];
+        expect(transformUrl(tweetUrl, 'fixvx.com', { rewriteRules, queryPolicy: { mode: 'strip-tracking' } }))
+          .toBe('https://fixvx.com/user/status/123?lang=en');
+        expect(transformUrl(tweetUrl, 'fixvx.com', { rewriteRules: [{ match: '.', query: '' }] }))
+          .toBe('https://fixvx.com/user/status/123');
+      });
+
+      test('uses the first matching rule and skips invalid patterns', () => {
+        jest.spyOn(console, 'warn').mockImplementation();
+        const rewriteRules = [
+          { match: '(', path: '/broken' },
+          { match: '^/videos/', path: '/never' },
+          { match: '/status/', path: '/first' },
+          { match: '.', path: '/second' }
+        ];
+        expect(findRewriteRule(rewriteRules, '/user/status/123').rule.path).toBe('/first');
+        expect(findRewriteRule([], '/user/status/123')).toBeNull();
+        console.warn.mockRestore();
+      });
+
+      test('keeps the URL unchanged when no rule matches', () => {
+        const rewriteRules = [{ match: '^/i/spaces/', hostname: 'spaces.example' }];
+        expect(transformUrl(tweetUrl, 'fixvx.com', { rewriteRules })).toBe('https://fixvx.com/user/status/123?s=20');
+      });
+
+      test('returns null when the rewritten hostname is invalid', () => {
+        jest.spyOn(console, 'error').mockImplementation();
+        const rewriteRules = [{ match: '^/([^/]+)/', hostname: '$1.{hostname}/x' }];
+        expect(transformUrl(tweetUrl, 'fixvx.com', { rewriteRules })).toBeNull();
+        console.error.mockRestore();
+      });
+
+      test('expandRewriteTemplate fills groups, escapes and missing groups', () => {
+        const match = '/user/status/123'.match(/^\/(\w+)\/status\/(\d+)(\/photo)?/);
+        expect(expandRewriteTemplate('$1-$2-$3-$$-{hostname}', match, 'fixvx.com')).toBe('user-123--$-fixvx.com');
+      });
+
+      test('config accepts valid rules and rejects malformed ones', () => {
+        expect(getDefaultConfig().twitter.rewriteRules).toEqual([]);
+        expect(validateRewriteRules([{ match: '^/reel/(\\w+)', hostname: 'd.{hostname}', path: '/p/$1/' }])).toBe(true);
+        expect(validateRewriteRules([{ match: '(' }])).toBe(false);
+        expect(validateRewriteRules([{ match: '' }])).toBe(false);
+        expect(validateRewriteRules([{ match: '.', hostname: 'https://{hostname}' }])).toBe(false);
+        expect(validateRewriteRules([{ match: '.', path: 42 }])).toBe(false);
+        expect(validateRewriteRules('^/reel/')).toBe(false);
+      });
+    });
+
+    describe('translation suffix', () => {
+      test('appends the language code for hosts that support translation', () => {
+        expect(transformUrl('https://x.com/user/status/123', 'fixvx.com', { translateTo: 'en' }))
+          .toBe('https://fixvx.com/user/status/123/en');
+        expect(transformUrl('https://x.com/user/status/123/?s=20', 'fxtwitter.com', {
+          translateTo: 'PT-BR',
+          queryPolicy: { mode: 'strip-tracking' }
+        })).toBe('https://fxtwitter.com/user/status/123/pt-br');
+      });
+
+      test('applies to the hostname produced by a rewrite rule', () => {
+        const rewriteRules = [{ match: '^/', hostname: 'fixupx.com' }];
+        expect(transformUrl('https://x.com/user/status/123', 'vxtwitter.com', { rewriteRules, translateTo: 'de' }))
+          .toBe('https://fixupx.com/user/status/123/de');
+      });
+
+      test('warns and leaves the link untranslated for unsupported hosts', () => {
+        jest.spyOn(console, 'warn').mockImplementation();
+        expect(transformUrl('https://x.com/user/status/123', 'vxtwitter.com', { translateTo: 'en' }))
+          .toBe('https://vxtwitter.com/user/status/123');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('vxtwitter.com does not support translation'));
+        console.warn.mockRestore();
+      });
+
+      test('supportsTranslation reads the hosts listed in the platform registry', () => {
+        expect(supportsTranslation('FIXVX.com')).toBe(true);
+        expect(supportsTranslation('kkinstagram.com')).toBe(false);
+      });
+
+      test('config accepts empty or well-formed language codes only', () => {
+        expect(getDefaultConfig().twitter.translateTo).toBe('');
+        expect(validateLanguageCode('en')).toBe(true);
+        expect(validateLanguageCode('pt-BR')).toBe(true);
+        expect(validateLanguageCode('')).toBe(true);
+        expect(validateLanguageCode('/en')).toBe(false);
+        expect(validateLanguageCode('english')).toBe(false);
+        expect(validateLanguageCode(undefined)).toBe(false);
+      });
+    });
+
     describe('isTwitterUrl', () => {
       test('returns true for x.com URL', () => {
         expect(isTwitterUrl('https://x.com/user/status/123')).toBe(true);
@@ -170,6 +350,12 @@ describe('URL Transformer', () => {
         expect(isTwitterUrl('https://www.x.com/user/status/123')).toBe(true);
       });
 
+      test('returns true for twitter.com and mobile host forms', () => {
+        expect(isTwitterUrl('https://twitter.com/user/status/123')).toBe(true);
+        expect(isTwitterUrl('https://mobile.twitter.com/user/status/123')).toBe(true);
+        expect(isTwitterUrl('https://mobile.x.com/user/status/123')).toBe(true);
+      });
+
       test('returns false for Instagram URL', () => {
         expect(isTwitterUrl('https://www.instagram.com/p/abc/')).toBe(false);
       });